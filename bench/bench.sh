@@ -27,3 +27,10 @@ node $CWD/storage.js memory $TTL $ENTRIES $REFERENCES $GET $INVALIDATE
 echo -e "\n-----\n"
 
 node $CWD/storage.js redis  $TTL $ENTRIES $REFERENCES $GET $INVALIDATE
+
+echo -e "\n-----\n"
+
+# a reference shared by all the entries
+FANOUT=$ENTRIES
+
+node $CWD/storage.js memory $TTL $ENTRIES $REFERENCES $GET $INVALIDATE $FANOUT
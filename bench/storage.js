@@ -7,16 +7,19 @@ const createStorage = require(path.resolve(__dirname, '../src/storage/index.js')
 
 // NOTE: this is a very basic benchmarks for tweaking
 // performance is effected by keys and references size
+// fanout is how many keys share the same references, as a list of items referenced by every item
 
 function ms (ns) {
   return Number(ns) / 1e6
 }
 
 async function main () {
-  let [,, type, ttl, entries, references, set, invalidate] = process.argv
+  let [,, type, ttl, entries, references, set, invalidate, fanout = 1] = process.argv
 
   ttl = Number(ttl)
+  entries = Number(entries)
   references = Number(references)
+  fanout = Number(fanout)
   set = set === 'true' || set === '1'
   invalidate = invalidate === 'true' || invalidate === '1'
 
@@ -27,6 +30,7 @@ async function main () {
     references: ${references}
     set: ${set}
     invalidate: ${invalidate}
+    fanout: ${fanout}
   `)
 
   const options = {
@@ -35,6 +39,9 @@ async function main () {
 
   if (type === 'redis') {
     options.client = new Redis()
+  } else {
+    // all the entries are kept, so the references are not removed by the evictions
+    options.size = entries
   }
 
   let start = hrtime.bigint()
@@ -46,7 +53,7 @@ async function main () {
   for (let i = 0; i < entries; i++) {
     const r = []
     for (let j = 0; j < references; j++) {
-      r.push(`reference-${i + j}`)
+      r.push(`reference-${Math.floor(i / fanout) + j}`)
     }
     await storage.set(`key-${i}`, `value-${i}`, ttl, r)
   }
@@ -62,13 +69,23 @@ async function main () {
     console.log(`get ${entries} entries (ttl: ${!!ttl}, references: ${references}) in ${ms(end - start)} ms`)
   }
 
+  if (invalidate && fanout > 1) {
+    // remove half of the keys one by one, each one leaves the references shared with the others
+    start = hrtime.bigint()
+    for (let i = 0; i < entries; i += 2) {
+      await storage.remove(`key-${i}`)
+    }
+    end = hrtime.bigint()
+    console.log(`remove ${Math.ceil(entries / 2)} entries (ttl: ${!!ttl}, references: ${references}, fanout: ${fanout}) in ${ms(end - start)} ms`)
+  }
+
   if (invalidate) {
     start = hrtime.bigint()
-    for (let i = 0; i < entries; i++) {
+    for (let i = 0; i < entries / fanout; i++) {
       await storage.invalidate([`reference-${i}`])
     }
     end = hrtime.bigint()
-    console.log(`invalidate ${entries} entries (ttl: ${!!ttl}, references: ${references}) in ${ms(end - start)} ms`)
+    console.log(`invalidate ${Math.ceil(entries / fanout)} references (ttl: ${!!ttl}, references: ${references}, fanout: ${fanout}) in ${ms(end - start)} ms`)
   }
 
   options.client && options.client.disconnect()
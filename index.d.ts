@@ -5,6 +5,7 @@
  */
 export interface RedisCompatibleClient {
   get(key: string): Promise<string | null>;
+  mget(keys: string[]): Promise<Array<string | null>>;
   exists(key: string): Promise<number>;
   pttl(key: string): Promise<number>;
   set(key: string, value: string, ...args: any[]): Promise<string>;
@@ -13,10 +14,28 @@ export interface RedisCompatibleClient {
   srem(key: string, ...members: any[]): Promise<number>;
   expire(key: string, seconds: number): Promise<number>;
   del(...keys: string[]): Promise<number>;
-  keys(pattern: string): Promise<string[]>;
   flushall(): Promise<string>;
+  dbsize(): Promise<number>;
   pipeline(commands?: any[][]): RedisPipeline;
   scan(cursor: number, ...args: any[]): Promise<[string, string[]]>;
+  script?(subcommand: string, ...args: any[]): Promise<unknown>;
+  evalsha?(sha: string, numKeys: number, ...args: any[]): Promise<unknown>;
+  publish?(channel: string, message: string): Promise<number>;
+  duplicate?(): RedisSubscriberClient;
+  isCluster?: boolean;
+  slots?: string[][];
+  nodes?(role?: string): RedisCompatibleClient[];
+}
+
+/**
+ * Minimal interface for a Redis-compatible client in subscriber mode.
+ */
+export interface RedisSubscriberClient {
+  subscribe(channel: string): Promise<unknown>;
+  unsubscribe(channel: string): Promise<unknown>;
+  on(event: 'message', listener: (channel: string, message: string) => void): unknown;
+  removeListener(event: 'message', listener: (channel: string, message: string) => void): unknown;
+  quit?(): Promise<unknown>;
 }
 
 /**
@@ -26,11 +45,11 @@ export interface RedisPipeline {
   exec(): Promise<Array<[Error | null, any]>>;
 }
 
-export type StorageOptionsType = 'redis' | 'memory' | 'custom'
+export type StorageOptionsType = 'redis' | 'memory' | 'tiered' | 'custom'
 
 export type StorageOptions = {
   type: StorageOptionsType,
-  options: StorageRedisOptions | StorageMemoryOptions,
+  options: StorageRedisOptions | StorageMemoryOptions | StorageTieredOptions,
 }
 
 type References = string | string[]
@@ -45,16 +64,63 @@ interface Logger {
   warn: (input: LoggerInput) => void;
   error: (input: LoggerInput) => void;
 }
+interface LockOptions {
+  timeout?: number;
+  interval?: number;
+}
+
+interface ScanProgress {
+  operation: 'clear' | 'invalidate';
+  pattern: string;
+  scanned: number;
+  removed: number;
+}
+
+interface ScanOptions {
+  chunk?: number;
+  onProgress?: (progress: ScanProgress) => void;
+}
+
 export interface StorageRedisOptions {
   client: RedisCompatibleClient;
   log?: Logger;
+  prefix?: string;
   invalidation?: { referencesTTL: number } | boolean;
+  lock?: LockOptions | boolean;
+  scan?: ScanOptions;
+  cluster?: boolean;
+  ttlMs?: boolean;
 }
 
+export type StorageMemoryPolicy = 'lru' | 'lfu' | 'fifo' | 'tinylfu'
+
+export type EvictionReason = 'capacity' | 'expired' | 'invalidated' | 'cleared'
+
 export interface StorageMemoryOptions {
   size?: number;
+  policy?: StorageMemoryPolicy;
   log?: Logger;
   invalidation?: boolean;
+  ttlMs?: boolean;
+  maxBytes?: number;
+  maxEntryBytes?: number;
+  sizeOf?: (value: any) => number;
+  sweep?: boolean | { interval?: number; sample?: number };
+  onEvict?: (key: string, reason: EvictionReason) => void;
+}
+
+export interface StorageTieredOptions {
+  client: RedisCompatibleClient;
+  subscriber?: RedisSubscriberClient;
+  channel?: string;
+  memory?: StorageMemoryOptions;
+  log?: Logger;
+  prefix?: string;
+  invalidation?: { referencesTTL: number } | boolean;
+  lock?: LockOptions | boolean;
+  scan?: ScanOptions;
+  cluster?: boolean;
+  ttlMs?: boolean;
 }
 
 export interface StorageCustomOptions {
@@ -71,6 +137,8 @@ type Events = {
   onError?: (err: any) => void;
   onHit?: (key: string) => void;
   onMiss?: (key: string) => void;
+  onStaleServed?: (key: string) => void;
+  onEvict?: (key: string, reason: EvictionReason) => void;
 }
 
 export type StorageInputRedis = {
@@ -83,6 +151,11 @@ export type StorageInputMemory = {
   options?: StorageMemoryOptions;
 }
 
+export type StorageInputTiered = {
+  type: 'tiered';
+  options?: StorageTieredOptions;
+}
+
 export type StorageInputCustom = {
   type: 'custom';
   options?: StorageCustomOptions;
@@ -99,14 +172,153 @@ export declare class StorageInterface {
   refresh (): Promise<void>
   getTTL (key: string): Promise<void>
   exists (key: string): Promise<boolean>
+  getMany? (keys: string[]): Promise<Array<undefined | any>>
+  setMany? (entries: StorageEntry[]): Promise<void>
+  removeMany? (keys: string[]): Promise<boolean[]>
+  stats? (): StorageStats | Promise<StorageStats>
+  close? (): void | Promise<void>
+}
+
+export interface StorageStats {
+  type: string;
+  size?: number;
+  capacity?: number;
+  [key: string]: any;
+}
+
+export interface Metric {
+  name: string;
+  metric: 'hits' | 'misses' | 'dedupes' | 'staleServed' | 'errors' | 'aborts' | 'sets' | 'latency';
+  value: number;
+}
+
+export interface FunctionStats {
+  hits: number;
+  misses: number;
+  dedupes: number;
+  staleServed: number;
+  errors: number;
+  /**
+   * calls of the original function aborted by the timeout or by the callers
+   */
+  aborts: number;
+  sets: number;
+  /**
+   * durations of the calls of the original function, in milliseconds
+   */
+  latency: {
+    count: number;
+    sum: number;
+    buckets: Array<{ le: number; count: number }>;
+  };
+}
+
+export interface CacheStats {
+  functions: Record<string, FunctionStats>;
+  storages: Record<string, StorageStats>;
+}
+
+export interface RefreshAheadOptions {
+  maxKeys?: number;
+  concurrency?: number;
+  threshold?: number;
+}
+
+export interface WarmReport {
+  warmed: number;
+  failed: number;
+  /**
+   * the args already cached
+   */
+  skipped: number;
+  /**
+   * the args whose result has not been stored, with a ttl of 0 for instance
+   */
+  notStored: number;
+}
+
+export type CacheEventName = 'hit' | 'miss' | 'dedupe' | 'set' | 'evict' | 'invalidate' | 'stale-refresh' | 'abort' | 'error'
+
+export interface CacheEvent {
+  /**
+   * the defined function; undefined for invalidateAll and the whole storage events
+   */
+  name?: string;
+  /**
+   * the serialized args, or the storage key for cache.set, cache.setMany and cache.removeMany
+   */
+  key?: string;
+  args?: any;
+  /**
+   * the storage name, `_default` or the one of the function
+   */
+  storage?: string;
+  durationMs?: number;
+  stage?: string;
+  /**
+   * for the error and the abort events
+   */
+  error?: any;
+  /**
+   * for the invalidate event
+   */
+  references?: References;
+  keys?: string[];
+}
+
+export interface StorageEntry {
+  key: string;
+  value: any;
+  ttl: number;
+  references?: References;
+}
+
+export interface CallOptions {
+  signal?: AbortSignal;
+  /**
+   * skip the storage, calling the original function
+   */
+  bypass?: boolean;
+  /**
+   * skip the storage read, calling the original function and storing its result
+   */
+  forceRefresh?: boolean;
+  /**
+   * read the storage only, the result is undefined on miss
+   */
+  onlyIfCached?: boolean;
+}
+
+/**
+ * A defined function: the original one, accepting the call options.
+ */
+export type CachedFunction<T extends (args: any) => any> = ((
+  args: Parameters<T>[0],
+  options?: CallOptions
+) => ReturnType<T>) & {
+  withOptions (options: CallOptions): CachedFunction<T>
+}
+
+/**
+ * A function defined with defineBatch: it loads a single item of the batch.
+ */
+export type BatchedFunction<T extends (args: any[]) => any> = ((
+  args: Parameters<T>[0][number],
+  options?: CallOptions
+) => Promise<Awaited<ReturnType<T>>[number]>) & {
+  withOptions (options: CallOptions): BatchedFunction<T>
 }
 
 export declare function createCache (
   options?: {
-    storage?: StorageInputRedis | StorageInputMemory | StorageInputCustom;
+    storage?: StorageInputRedis | StorageInputMemory | StorageInputTiered | StorageInputCustom;
     ttl?: number | ((result: unknown) => number);
+    ttlJitter?: number | `${number}%`;
     transformer?: DataTransformer;
     stale?: number | ((result: unknown) => number);
+    staleIfError?: number | ((result: unknown) => number);
+    earlyRefresh?: boolean | number;
+    metricsSink?: (metric: Metric) => void;
   } & Events,
 ): Cache
 
@@ -114,7 +326,11 @@ export declare class Cache {
   constructor (
     options: {
       ttl: number | ((result: unknown) => number);
+      ttlJitter?: number | `${number}%`;
       stale?: number | ((result: unknown) => number);
+      staleIfError?: number | ((result: unknown) => number);
+      earlyRefresh?: boolean | number;
+      metricsSink?: (metric: Metric) => void;
       storage: StorageInterface;
     } & Events
   )
@@ -125,7 +341,14 @@ export declare class Cache {
       storage?: StorageOptions;
       transformer?: DataTransformer;
       ttl?: number | ((result: Awaited<ReturnType<T>>) => number);
+      ttlJitter?: number | `${number}%`;
       stale?: number | ((result: Awaited<ReturnType<T>>) => number);
+      staleIfError?: number | ((result: Awaited<ReturnType<T>>) => number);
+      earlyRefresh?: boolean | number;
+      refreshAhead?: boolean | RefreshAheadOptions;
+      errorTtl?: number;
+      cacheError?: (err: Error) => boolean;
+      timeout?: number;
       serialize?: (...args: any[]) => any;
       references?: (
         args: Parameters<T>[0],
@@ -134,16 +357,55 @@ export declare class Cache {
       ) => References | Promise<References>;
     } & Events,
     func?: T
-  ): S & { [n in N]: T }
+  ): S & { [n in N]: CachedFunction<T> }
   define<T extends (args: any) => any, N extends string, S extends this>(
     name: N,
     opts: T
-  ): S & { [n in N]: T }
+  ): S & { [n in N]: CachedFunction<T> }
+
+  defineBatch<T extends (args: any[]) => any, N extends string, S extends this>(
+    name: N,
+    opts: {
+      storage?: StorageOptions;
+      transformer?: DataTransformer;
+      ttl?: number | ((result: Awaited<ReturnType<T>>[number]) => number);
+      ttlJitter?: number | `${number}%`;
+      stale?: number | ((result: Awaited<ReturnType<T>>[number]) => number);
+      staleIfError?: number | ((result: Awaited<ReturnType<T>>[number]) => number);
+      earlyRefresh?: boolean | number;
+      refreshAhead?: boolean | RefreshAheadOptions;
+      errorTtl?: number;
+      cacheError?: (err: Error) => boolean;
+      timeout?: number;
+      maxBatchSize?: number;
+      serialize?: (...args: any[]) => any;
+      references?: (
+        args: Parameters<T>[0][number],
+        key: string,
+        result: Awaited<ReturnType<T>>[number]
+      ) => References | Promise<References>;
+    } & Events,
+    func: T
+  ): S & { [n in N]: BatchedFunction<T> }
+  defineBatch<T extends (args: any[]) => any, N extends string, S extends this>(
+    name: N,
+    opts: T
+  ): S & { [n in N]: BatchedFunction<T> }
 
   clear (): Promise<void>
   clear (name: string): Promise<void>
   clear (name: string, value: any): Promise<void>
 
+  stopRefresh (): Promise<void>
+
+  close (): Promise<void>
+
+  warm (
+    name: string,
+    args: Iterable<any> | AsyncIterable<any>,
+    options?: { concurrency?: number }
+  ): Promise<WarmReport>
+
   get (name: string, key: string): Promise<any>
 
   exists (name: string, key: string): Promise<boolean>
@@ -156,6 +418,17 @@ export declare class Cache {
     references?: References
   ): Promise<void>
 
+  getMany (name: string, keys: string[]): Promise<Array<undefined | any>>
+
+  setMany (name: string, entries: StorageEntry[]): Promise<void>
+
+  removeMany (name: string, keys: string[]): Promise<boolean[]>
+
+  stats (): Promise<CacheStats>
+
+  on (event: CacheEventName, listener: (event: CacheEvent) => void): this
+  off (event: CacheEventName, listener: (event: CacheEvent) => void): this
+
   invalidate (name: string, references: References): Promise<void>
 
   invalidateAll (
@@ -164,10 +437,13 @@ export declare class Cache {
   ): Promise<void>
 }
 
+export declare function toPrometheus (stats: CacheStats, options?: { prefix?: string }): string
+
 export declare function createStorage (type: 'redis', options: StorageRedisOptions): StorageInterface
 export declare function createStorage (type: 'memory', options: StorageMemoryOptions): StorageInterface
+export declare function createStorage (type: 'tiered', options: StorageTieredOptions): StorageInterface
 export declare function createStorage (type: 'custom', options: StorageCustomOptions): StorageInterface
 export declare function createStorage (
   type: StorageOptionsType,
-  options: StorageRedisOptions | StorageMemoryOptions,
+  options: StorageRedisOptions | StorageMemoryOptions | StorageTieredOptions,
 ): StorageInterface
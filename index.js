@@ -1,14 +1,22 @@
 const { Cache } = require('./src/cache')
 const createStorage = require('./src/storage')
 const StorageInterface = require('./src/storage/interface')
+const { toPrometheus } = require('./src/metrics')
+const { kOwnStorages } = require('./src/symbol')
 
 /**
    * @param {!Object} options
    * @param {!Object} [options.storage] - the storage to use; default is `{ type: 'memory' }`
-   * @param {?number} [options.ttl=0] - in seconds; default is 0 seconds, so it only does dedupe without cache
+   * @param {?number} [options.ttl=0] - in seconds, or milliseconds with a storage with ttlMs; default is 0, so it only does dedupe without cache
+   * @param {?number|string} [options.ttlJitter=0] - shorten the ttls at random by up to this amount, or a percentage as `'10%'`
+   * @param {?number|function} [options.staleIfError=0] - in seconds, how long an expired value is kept to be served if the original function fails
+   * @param {?boolean|number} [options.earlyRefresh=false] - refresh the values before they expire, at random; a number is the beta factor
    * @param {?function} options.onDedupe
    * @param {?function} options.onHit
    * @param {?function} options.onMiss
+   * @param {?function} options.onStaleServed
+   * @param {?function} options.onEvict - called with the key and the reason, when the memory storage removes a result
+   * @param {?function} options.metricsSink
    */
 function createCache (options) {
   if (!options) {
@@ -17,15 +25,19 @@ function createCache (options) {
     options.storage = { type: 'memory' }
   }
   const storage = createStorage(options.storage.type, options.storage.options)
-  return new Cache({
+  const cache = new Cache({
     ...options,
     storage
   })
+  // the storage is created from the options, so cache.close() closes it
+  cache[kOwnStorages].add(storage)
+  return cache
 }
 
 module.exports = {
   Cache,
   createCache,
   createStorage,
-  StorageInterface
+  StorageInterface,
+  toPrometheus
 }
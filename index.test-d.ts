@@ -1,7 +1,7 @@
 // Write a tsd file for the module
-import { expectType, expectNotAssignable, expectAssignable } from 'tsd'
-import { createCache, Cache, createStorage, StorageInterface } from './index.js'
-import type { StorageCustomOptions, StorageMemoryOptions } from './index.js'
+import { expectType, expectNotAssignable, expectAssignable, expectError } from 'tsd'
+import { createCache, Cache, createStorage, StorageInterface, toPrometheus } from './index.js'
+import type { BatchedFunction, CachedFunction, CacheEvent, CacheStats, EvictionReason, Metric, RedisCompatibleClient, StorageCustomOptions, StorageMemoryOptions, WarmReport } from './index.js'
 
 // Testing internal types
 
@@ -31,6 +31,27 @@ const cacheWithTtlAndStale = createCache({
 })
 expectType<Cache>(cacheWithTtlAndStale)
 
+const cacheWithStaleIfError = createCache({
+  ttl: 1000,
+  staleIfError: 60,
+  onStaleServed: (key) => {
+    expectType<string>(key)
+  }
+})
+expectType<Cache>(cacheWithStaleIfError)
+cacheWithStaleIfError.define('fetchSomething', {
+  staleIfError: (result) => result.k ? 60 : 0
+}, async (k: any) => ({ k }))
+
+cacheWithStaleIfError.define('fetchSomethingElse', {
+  errorTtl: 5,
+  cacheError: (err) => {
+    expectType<Error>(err)
+    return err.name !== 'AbortError'
+  }
+}, async (k: any) => ({ k }))
+expectError(cacheWithStaleIfError.define('fetchOther', { errorTtl: '5' }, async (k: any) => ({ k })))
+
 const cacheClass = new Cache({
   ttl: 1000,
   stale: 1000,
@@ -75,12 +96,12 @@ const currentCacheInstance = unionMemoryCache
     { storage: { type: 'memory', options: { size: 10 } }, stale: 1000 },
     fetchSomething
   )
-expectType<typeof fetchSomething>(currentCacheInstance.fetchSomething)
-expectType<typeof fetchSomething>(currentCacheInstance.fetchSomethingElse)
-expectType<typeof fetchSomething>(
+expectType<CachedFunction<typeof fetchSomething>>(currentCacheInstance.fetchSomething)
+expectType<CachedFunction<typeof fetchSomething>>(currentCacheInstance.fetchSomethingElse)
+expectType<CachedFunction<typeof fetchSomething>>(
   currentCacheInstance.fetchSomethingElseWithTtlFunction
 )
-expectType<typeof fetchSomething>(
+expectType<CachedFunction<typeof fetchSomething>>(
   currentCacheInstance.fetchSomethingElseWithCustomStorage
 )
 
@@ -88,8 +109,58 @@ expectType<Promise<void>>(cache.clear())
 
 const result = await currentCacheInstance.fetchSomething('test')
 
+// Testing call options
+const controller = new AbortController()
+expectType<Promise<{ k: any }>>(currentCacheInstance.fetchSomething('test', { signal: controller.signal }))
+expectError(currentCacheInstance.fetchSomething('test', { signal: 'abort' }))
+
+// Testing the per-call options
+expectType<Promise<{ k: any }>>(currentCacheInstance.fetchSomething.withOptions({ forceRefresh: true })('test'))
+expectType<Promise<{ k: any }>>(currentCacheInstance.fetchSomething('test', { bypass: true }))
+currentCacheInstance.fetchSomething.withOptions({ onlyIfCached: true }).withOptions({ signal: controller.signal })
+expectError(currentCacheInstance.fetchSomething.withOptions({ bypass: 'yes' }))
+
+// Testing timeout and the signal of the original function
+cacheWithStaleIfError.define('fetchWithSignal', { timeout: 1000 }, async (k: string, key?: string, signal?: AbortSignal) => {
+  expectType<AbortSignal | undefined>(signal)
+  return { k }
+})
+
+// Testing earlyRefresh
+expectType<Cache>(createCache({ ttl: 60, earlyRefresh: true }))
+createCache({ ttl: 60, earlyRefresh: 2 }).define('fetchEarly', { earlyRefresh: false }, fetchSomething)
+expectError(createCache({ ttl: 60, earlyRefresh: 'yes' }))
+
 expectType<{ k: any }>(result)
 
+// Testing metrics
+const metricsCache = createCache({ ttl: 60, metricsSink: (metric) => { expectType<Metric>(metric) } })
+const stats = await metricsCache.stats()
+expectType<CacheStats>(stats)
+expectType<number>(stats.functions.fetchSomething.hits)
+expectType<number | undefined>(stats.storages._default.size)
+expectType<string>(toPrometheus(stats, { prefix: 'app_' }))
+expectError(createCache({ metricsSink: true }))
+
+// Testing events
+const onHit = (event: CacheEvent) => {
+  expectType<string | undefined>(event.name)
+  expectType<number | undefined>(event.durationMs)
+}
+expectType<Cache>(metricsCache.on('hit', onHit).off('hit', onHit))
+metricsCache.on('error', ({ stage }) => { expectType<string | undefined>(stage) })
+metricsCache.on('abort', ({ error }) => { expectType<any>(error) })
+expectError(metricsCache.on('hits', onHit))
+
+// Testing defineBatch
+const fetchUsers = async (ids: number[]) => ids.map(id => ({ id }))
+const batchCache = createCache({ ttl: 60 })
+  .defineBatch('fetchUser', { maxBatchSize: 100, references: (id, key, user) => [`user:${user.id}`] }, fetchUsers)
+  .defineBatch('fetchOtherUser', fetchUsers)
+expectType<BatchedFunction<typeof fetchUsers>>(batchCache.fetchUser)
+expectType<Promise<{ id: number }>>(batchCache.fetchOtherUser(1))
+expectError(batchCache.fetchUser('1'))
+
 await unionMemoryCache.invalidateAll('test:*')
 
 // Testing define.func only accepts one argument
@@ -114,6 +185,91 @@ memoryCache.define('fetchFuncSingleArgument', {
   }
 }, fetchFuncSingleArgument)
 
+// Testing tiered storage
+const redisLike = {} as RedisCompatibleClient
+expectType<Promise<Array<string | null>>>(redisLike.mget(['a', 'b']))
+expectType<Promise<number>>(redisLike.dbsize())
+const storageTiered = createStorage('tiered', { client: redisLike, channel: 'acd', memory: { size: 100 } })
+expectType<StorageInterface>(storageTiered)
+
+const storageRedisLock = createStorage('redis', { client: redisLike, prefix: 'acd:', lock: { timeout: 1000, interval: 20 } })
+expectType<StorageInterface>(storageRedisLock)
+
+const storageRedisScan = createStorage('redis', {
+  client: redisLike,
+  scan: {
+    chunk: 500,
+    onProgress: (progress) => {
+      expectType<'clear' | 'invalidate'>(progress.operation)
+      expectType<number>(progress.removed)
+    }
+  }
+})
+expectType<StorageInterface>(storageRedisScan)
+
+const storageRedisCluster = createStorage('redis', { client: redisLike, cluster: true, invalidation: true })
+expectType<StorageInterface>(storageRedisCluster)
+expectError(createStorage('redis', { client: redisLike, cluster: 'yes' }))
+
+expectType<Cache>(createCache({ ttl: 100, ttlJitter: 10 }))
+expectType<Cache>(createCache({ ttl: 100, ttlJitter: '10%' }))
+expectError(createCache({ ttl: 100, ttlJitter: '10' }))
+createCache().define('jittered', { ttl: 100, ttlJitter: '12.5%' }, async () => 1)
+
+const refreshing = createCache({ ttl: 100 })
+  .define('refreshing', { refreshAhead: true }, async () => 1)
+  .define('refreshingLimited', { refreshAhead: { maxKeys: 100, concurrency: 2, threshold: 0.5 } }, async () => 1)
+expectType<Promise<void>>(refreshing.stopRefresh())
+expectType<Promise<void>>(refreshing.close())
+expectError(createCache().define('refreshingWrong', { refreshAhead: { maxKeys: '100' } }, async () => 1))
+
+expectType<Promise<WarmReport>>(refreshing.warm('refreshing', [1, 2, 3]))
+refreshing.warm('refreshing', [1]).then(({ notStored }) => expectType<number>(notStored))
+expectType<Promise<WarmReport>>(refreshing.warm('refreshing', (async function * () { yield 1 })(), { concurrency: 2 }))
+expectError(refreshing.warm('refreshing', [1], { concurrency: '2' }))
+
+const storageMemoryMs = createStorage('memory', { ttlMs: true })
+expectType<StorageInterface>(storageMemoryMs)
+expectType<StorageInterface>(createStorage('memory', { maxBytes: 1024 * 1024, maxEntryBytes: 1024, sizeOf: (value) => JSON.stringify(value).length }))
+expectError(createStorage('memory', { sizeOf: 1024 }))
+expectType<StorageInterface>(createStorage('memory', { policy: 'tinylfu' }))
+expectError(createStorage('memory', { policy: 'random' }))
+const storageMemorySweep = createStorage('memory', { sweep: { interval: 500, sample: 50 } })
+storageMemorySweep.close?.()
+expectType<StorageInterface>(createStorage('memory', { sweep: true }))
+expectError(createStorage('memory', { sweep: { interval: '500' } }))
+createStorage('memory', {
+  onEvict: (key, reason) => {
+    expectType<string>(key)
+    expectType<EvictionReason>(reason)
+  }
+})
+expectError(createStorage('memory', { onEvict: true }))
+
+const cacheWithOnEvict = createCache({
+  onEvict: (key, reason) => {
+    expectType<string>(key)
+    expectType<EvictionReason>(reason)
+  }
+})
+cacheWithOnEvict.define('fetchSomething', {
+  onEvict: (key, reason) => {
+    expectType<EvictionReason>(reason)
+  }
+}, async (k: any) => ({ k }))
+const storageRedisMs = createStorage('redis', { client: redisLike, ttlMs: true })
+expectType<StorageInterface>(storageRedisMs)
+expectError(createStorage('redis', { client: redisLike, ttlMs: 'yes' }))
+expectType<Cache>(createCache({ ttl: 250, storage: { type: 'tiered', options: { client: redisLike, ttlMs: true } } }))
+
+const tieredCache = createCache({
+  storage: {
+    type: 'tiered',
+    options: { client: redisLike, invalidation: true, lock: true },
+  },
+})
+expectType<Cache>(tieredCache)
+
 class CustomStorage extends StorageInterface { }
 
 // createStorage with valid custom storage
@@ -128,3 +284,9 @@ const customCache = createCache({
   },
 })
 expectType<Cache>(customCache)
+
+// Testing bulk methods
+expectType<Promise<Array<undefined | any>>>(customCache.getMany('fetchSomething', ['fetchSomething~1', 'fetchSomething~2']))
+expectType<Promise<void>>(customCache.setMany('fetchSomething', [{ key: 'fetchSomething~1', value: { k: 1 }, ttl: 10, references: ['some'] }]))
+expectType<Promise<boolean[]>>(customCache.removeMany('fetchSomething', ['fetchSomething~1']))
+expectError(customCache.setMany('fetchSomething', [{ key: 'fetchSomething~1', value: { k: 1 } }]))
@@ -0,0 +1,89 @@
+'use strict'
+
+/* c8 ignore next */
+const setImmediate = typeof globalThis.setImmediate !== 'undefined' ? globalThis.setImmediate : (fn, ...args) => setTimeout(fn, 0, ...args)
+
+/**
+ * collect the calls in a batch, to call func once with all of them
+ * a batch is dispatched on the next tick, or as soon as it reaches maxBatchSize
+ * @param {function} func - called with the array of args, must return an array with the result of each args, in the same order;
+ *   a result can be an Error, rejecting only the call of its args
+ * @param {number} maxBatchSize
+ * @returns {function} (args, key) => Promise, that resolves with the result of args
+ */
+function createBatchLoader (func, maxBatchSize) {
+  let batch = null
+
+  return function load (args, key) {
+    if (!batch) {
+      const current = batch = new Batch()
+      // after the pending I/O callbacks, so the misses resolved in the same tick end up in the same batch
+      setImmediate(() => dispatch(current))
+    }
+
+    // the same key may be loaded again meanwhile, for instance by the stale revalidation
+    let call = batch.calls.get(key)
+    if (!call) {
+      call = new Call(args)
+      batch.calls.set(key, call)
+    }
+    const promise = call.promise
+
+    if (batch.calls.size >= maxBatchSize) {
+      dispatch(batch)
+    }
+    return promise
+  }
+
+  async function dispatch (current) {
+    if (current.dispatched) {
+      return
+    }
+    current.dispatched = true
+    if (batch === current) {
+      batch = null
+    }
+
+    const calls = Array.from(current.calls.values())
+    let results
+    try {
+      results = await func(calls.map(call => call.args))
+      if (!Array.isArray(results) || results.length !== calls.length) {
+        throw new Error('the batch function must return an array with a result for each args')
+      }
+    } catch (err) {
+      for (const call of calls) {
+        call.reject(err)
+      }
+      return
+    }
+
+    for (let i = 0; i < calls.length; i++) {
+      if (results[i] instanceof Error) {
+        calls[i].reject(results[i])
+      } else {
+        calls[i].resolve(results[i])
+      }
+    }
+  }
+}
+
+class Batch {
+  constructor () {
+    // key -> call, in the order of the args passed to func
+    this.calls = new Map()
+    this.dispatched = false
+  }
+}
+
+class Call {
+  constructor (args) {
+    this.args = args
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve
+      this.reject = reject
+    })
+  }
+}
+
+module.exports = { createBatchLoader }
@@ -1,19 +1,32 @@
 'use strict'
 
-const { kValues, kStorage, kStorages, kTransfromer, kTTL, kOnDedupe, kOnError, kOnHit, kOnMiss, kStale } = require('./symbol')
+const { kValues, kStorage, kStorages, kTransfromer, kTTL, kTTLJitter, kOnDedupe, kOnError, kOnHit, kOnMiss, kStale, kStaleIfError, kOnStaleServed, kEarlyRefresh, kMetrics, kMetricsSink, kEvents, kOnEvict, kOwnStorages, kForwardedStorages } = require('./symbol')
 const stringify = require('safe-stable-stringify')
 const createStorage = require('./storage')
+const { serializeError, isSerializedError, deserializeError, serializeEntry, isSerializedEntry, deserializeEntry } = require('./util')
+const { createBatchLoader } = require('./batch')
+const { FunctionMetrics } = require('./metrics')
+const { channels, trace } = require('./tracing')
+const { CacheEvents } = require('./events')
+const { RefreshAhead } = require('./refresh-ahead')
 
 class Cache {
   /**
    * @param {!Object} opts
    * @param {!Storage} opts.storage - the storage to use
    * @param {?Object} opts.transformer - the transformer to use
-   * @param {?number} [opts.ttl=0] - in seconds; default is 0 seconds, so it only does dedupe without cache
+   * @param {?number} [opts.ttl=0] - in seconds, or milliseconds with a storage with ttlMs; default is 0, so it only does dedupe without cache
+   * @param {?number|string} [opts.ttlJitter=0] - the stored ttl is shortened at random by up to this amount, in the unit of the ttl, or a percentage of the ttl as `'10%'`
+   * @param {?number|function} [opts.staleIfError=0] - in seconds, how long an expired value is kept to be served if the original function fails
+   * @param {?boolean|number} [opts.earlyRefresh=false] - refresh the values in background before they expire, randomly, as in the XFetch algorithm;
+   *   a number is the beta factor, the higher the earlier; true is beta 1
    * @param {?function} opts.onDedupe
    * @param {?function} opts.onError
    * @param {?function} opts.onHit
    * @param {?function} opts.onMiss
+   * @param {?function} opts.onStaleServed
+   * @param {?function} opts.onEvict - called with the key and the reason, when the storage removes a result of a defined function, see the memory storage
+   * @param {?function} opts.metricsSink - called with every metric, as `{ name, metric, value }`
    */
   constructor (options = {}) {
     if (!options.storage) {
@@ -25,6 +38,10 @@ class Cache {
       throw new Error('ttl must be a positive integer greater than 0')
     }
 
+    if (!isValidTtlJitter(options.ttlJitter)) {
+      throw new Error('ttlJitter must be an integer greater or equal to 0 or a percentage')
+    }
+
     if (options.onDedupe && typeof options.onDedupe !== 'function') {
       throw new Error('onDedupe must be a function')
     }
@@ -41,25 +58,82 @@ class Cache {
       throw new Error('onMiss must be a function')
     }
 
+    if (options.onStaleServed && typeof options.onStaleServed !== 'function') {
+      throw new Error('onStaleServed must be a function')
+    }
+
+    if (options.onEvict && typeof options.onEvict !== 'function') {
+      throw new Error('onEvict must be a function')
+    }
+
+    if (options.metricsSink && typeof options.metricsSink !== 'function') {
+      throw new Error('metricsSink must be a function')
+    }
+
     // stale _may_ be a function to defer the stale decision until later
     if (typeof options.stale === 'number' && !(Math.floor(options.stale) === options.stale && options.stale >= 0)) {
       throw new Error('stale must be an integer greater or equal to 0')
     }
 
+    // staleIfError _may_ be a function to defer the decision until later
+    if (typeof options.staleIfError === 'number' && !(Number.isInteger(options.staleIfError) && options.staleIfError >= 0)) {
+      throw new Error('staleIfError must be an integer greater or equal to 0')
+    }
+
+    if (!isValidEarlyRefresh(options.earlyRefresh)) {
+      throw new Error('earlyRefresh must be a boolean or a number greater than 0')
+    }
+
     this[kValues] = {}
 
     this[kStorage] = options.storage
     this[kStorages] = new Map()
     this[kStorages].set('_default', options.storage)
+    // the storages created by the cache, that close() closes
+    this[kOwnStorages] = new Set()
 
     this[kTransfromer] = options.transformer
 
     this[kTTL] = options.ttl || 0
+    this[kTTLJitter] = options.ttlJitter || 0
     this[kOnDedupe] = options.onDedupe || noop
     this[kOnError] = options.onError || noop
     this[kOnHit] = options.onHit || noop
     this[kOnMiss] = options.onMiss || noop
     this[kStale] = options.stale || 0
+    this[kStaleIfError] = options.staleIfError || 0
+    this[kOnStaleServed] = options.onStaleServed || noop
+    this[kEarlyRefresh] = earlyRefreshBeta(options.earlyRefresh)
+    this[kMetrics] = new Map()
+    this[kMetricsSink] = options.metricsSink || noop
+    this[kEvents] = new CacheEvents()
+    this[kOnEvict] = options.onEvict || noop
+    // the storages whose evictions are forwarded to the defined functions
+    this[kForwardedStorages] = new WeakSet()
+  }
+
+  /**
+   * listen to an event of the defined functions
+   * @param {!string} event one of hit, miss, dedupe, set, evict, invalidate, stale-refresh, abort, error
+   * @param {!function} listener called with `{ name, key, args, storage, durationMs, stage }`
+   */
+  on (event, listener) {
+    this[kEvents].on(event, listener)
+    if (event === 'evict') {
+      for (const storage of this[kStorages].values()) {
+        this._forwardEvictions(storage)
+      }
+    }
+    return this
+  }
+
+  /**
+   * @param {!string} event
+   * @param {!function} listener the one passed to `on`
+   */
+  off (event, listener) {
+    this[kEvents].off(event, listener)
+    return this
   }
 
   /**
@@ -69,10 +143,19 @@ class Cache {
    * @param {?Object} [opts.storage] storage to use; default is the main one
    * @param {?Object} opts.transformer - the transformer to use
    * @param {?number} [opts.ttl] ttl for the results; default ttl is the one passed to the constructor
+   * @param {?number|string} [opts.ttlJitter] how much the ttl of the results is shortened at random, absolute or as `'10%'`; default is the one passed to the constructor
+   * @param {?number} [opts.errorTtl=0] ttl for the errors, that are replayed to the callers meanwhile; default is 0, so errors are not cached
+   * @param {?function} [opts.cacheError] function to decide if an error has to be cached; default is all errors are cached
+   * @param {?number} [opts.timeout] in milliseconds, how long the callers wait for `func` at most; default is no timeout
+   * @param {?number|function} [opts.staleIfError] how long an expired result is kept to be served if `func` fails; default is the one passed to the constructor
+   * @param {?boolean|number} [opts.earlyRefresh] refresh the results randomly before they expire; default is the one passed to the constructor
+   * @param {?boolean|Object} [opts.refreshAhead] refresh the recently requested results on a timer before they expire, see RefreshAhead; default is disabled
    * @param {?function} [opts.onDedupe] function to call on dedupe; default is the one passed to the constructor
    * @param {?function} [opts.onError] function to call on error; default is the one passed to the constructor
    * @param {?function} [opts.onHit] function to call on hit; default is the one passed to the constructor
    * @param {?function} [opts.onMiss] function to call on miss; default is the one passed to the constructor
+   * @param {?function} [opts.onStaleServed] function to call when an expired result is served because `func` failed; default is the one passed to the constructor
+   * @param {?function} [opts.onEvict] function to call when the storage removes a result, with the key and the reason; default is the one passed to the constructor
    * @param {?function} [opts.serialize] custom function to serialize the arguments of `func`, in order to create the key for deduping and caching
    * @param {?function} [opts.references] function to generate references
    * @param {!function} func the function to dedupe (and cache)
@@ -109,29 +192,112 @@ class Cache {
       }
     }
 
+    if (!isValidTtlJitter(opts.ttlJitter)) {
+      throw new Error('ttlJitter must be an integer greater or equal to 0 or a percentage')
+    }
+
+    if (typeof opts.staleIfError === 'number' && !(Number.isInteger(opts.staleIfError) && opts.staleIfError >= 0)) {
+      throw new Error('staleIfError must be an integer greater or equal to 0')
+    }
+
+    if (opts.onStaleServed && typeof opts.onStaleServed !== 'function') {
+      throw new Error('onStaleServed must be a function')
+    }
+
+    if (opts.onEvict && typeof opts.onEvict !== 'function') {
+      throw new Error('onEvict must be a function')
+    }
+
+    if (opts.errorTtl !== undefined && !(Number.isInteger(opts.errorTtl) && opts.errorTtl >= 0)) {
+      throw new Error('errorTtl must be an integer greater or equal to 0')
+    }
+
+    if (opts.cacheError && typeof opts.cacheError !== 'function') {
+      throw new Error('cacheError must be a function')
+    }
+
+    if (opts.timeout !== undefined && !(Number.isInteger(opts.timeout) && opts.timeout > 0)) {
+      throw new Error('timeout must be a positive integer greater than 0')
+    }
+
+    if (!isValidEarlyRefresh(opts.earlyRefresh)) {
+      throw new Error('earlyRefresh must be a boolean or a number greater than 0')
+    }
+
+    const refreshAhead = opts.refreshAhead
+      ? new RefreshAhead(opts.refreshAhead, ({ storageKey, args, key }) => this[kValues][name]._refresh(storageKey, args, key, 'refresh-ahead'))
+      : undefined
+
     let storage
+    let storageName
     if (opts.storage) {
       storage = createStorage(opts.storage.type, opts.storage.options)
+      storageName = name
       this[kStorages].set(name, storage)
+      this[kOwnStorages].add(storage)
     } else {
       storage = this[kStorage]
+      storageName = '_default'
     }
 
     const ttl = opts.ttl !== undefined ? opts.ttl : this[kTTL]
+    const ttlJitter = opts.ttlJitter !== undefined ? opts.ttlJitter : this[kTTLJitter]
     const stale = opts.stale !== undefined ? opts.stale : this[kStale]
-    const onDedupe = opts.onDedupe || this[kOnDedupe]
-    const onError = opts.onError || this[kOnError]
-    const onHit = opts.onHit || this[kOnHit]
-    const onMiss = opts.onMiss || this[kOnMiss]
+    const staleIfError = opts.staleIfError !== undefined ? opts.staleIfError : this[kStaleIfError]
+    const earlyRefresh = opts.earlyRefresh !== undefined ? earlyRefreshBeta(opts.earlyRefresh) : this[kEarlyRefresh]
+    const metrics = new FunctionMetrics(name, this[kMetricsSink])
+    const onDedupe = metrics.counting('dedupes', opts.onDedupe || this[kOnDedupe])
+    const onError = metrics.counting('errors', opts.onError || this[kOnError])
+    const onHit = metrics.counting('hits', opts.onHit || this[kOnHit])
+    const onMiss = metrics.counting('misses', opts.onMiss || this[kOnMiss])
+    const onStaleServed = metrics.counting('staleServed', opts.onStaleServed || this[kOnStaleServed])
+    const onEvict = opts.onEvict || this[kOnEvict]
+    if (onEvict !== noop || this[kEvents].has('evict')) {
+      this._forwardEvictions(storage)
+    }
     const transformer = opts.transformer || this[kTransfromer]
 
-    const wrapper = new Wrapper(func, name, serialize, references, storage, transformer, ttl, onDedupe, onError, onHit, onMiss, stale)
+    const errorTtl = opts.errorTtl || 0
+    const cacheError = opts.cacheError || cacheAllErrors
+    const timeout = opts.timeout || 0
+
+    const wrapper = new Wrapper(func, name, serialize, references, storage, transformer, ttl, onDedupe, onError, onHit, onMiss, stale, staleIfError, onStaleServed, errorTtl, cacheError, timeout, earlyRefresh, metrics, this[kEvents], storageName, ttlJitter, refreshAhead, onEvict)
 
     this[kValues][name] = wrapper
+    this[kMetrics].set(name, metrics)
     this[name] = wrapper.add.bind(wrapper)
+    this[name].withOptions = wrapper.withOptions.bind(wrapper)
     return this
   }
 
+  /**
+   * add a new function to dedupe (and cache), loading many keys at once
+   * the misses are collected in batches, so `func` is called once for all of them
+   * @param {!string} name name of the function
+   * @param {?Object} [opts] same as define
+   * @param {?number} [opts.maxBatchSize] maximum number of args passed to `func` at once; default is no limit
+   * @param {!function} func called with an array of args, must return an array with the result of each args in the same order;
+   *   a result can be an Error, to reject only its own call
+   **/
+  defineBatch (name, opts, func) {
+    if (typeof opts === 'function') {
+      func = opts
+      opts = {}
+    }
+
+    opts = opts || {}
+
+    if (typeof func !== 'function') {
+      throw new TypeError(`Missing the function parameter for '${name}'`)
+    }
+
+    if (opts.maxBatchSize !== undefined && !(Number.isInteger(opts.maxBatchSize) && opts.maxBatchSize > 0)) {
+      throw new Error('maxBatchSize must be a positive integer greater than 0')
+    }
+
+    return this.define(name, opts, createBatchLoader(func, opts.maxBatchSize || Infinity))
+  }
+
   async clear (name, value) {
     if (name) {
       if (!this[kValues][name]) {
@@ -149,6 +315,77 @@ class Cache {
     await Promise.all(clears)
   }
 
+  /**
+   * stop the refresh-ahead of all the defined functions, for shutdown
+   * @returns {Promise} resolved when the running refreshes are done
+   */
+  async stopRefresh () {
+    const stops = []
+    for (const wrapper of Object.values(this[kValues])) {
+      if (wrapper.refreshAhead) {
+        stops.push(wrapper.refreshAhead.stop())
+      }
+    }
+    await Promise.all(stops)
+  }
+
+  /**
+   * stop the refresh-ahead and close the storages created by the cache, for shutdown
+   * the storage passed to the constructor is not closed
+   */
+  async close () {
+    await this.stopRefresh()
+
+    const closes = []
+    for (const storage of this[kOwnStorages]) {
+      // close is optional for custom storages
+      if (typeof storage.close === 'function') {
+        closes.push(storage.close())
+      }
+    }
+    await Promise.all(closes)
+  }
+
+  /**
+   * run the original function for each args not cached yet, to fill the cache, for instance after a deploy
+   * @param {!string} name name of the function
+   * @param {!Iterable|AsyncIterable} args the args of the calls, an async iterable can stream them from a database cursor
+   * @param {?Object} [options]
+   * @param {?number} [options.concurrency=1] how many calls run at once
+   * @returns {Promise<{warmed: number, failed: number, skipped: number, notStored: number}>} skipped are the ones already cached, notStored the ones whose result has not been stored
+   */
+  async warm (name, args, options = {}) {
+    if (!this[kValues][name]) {
+      throw new Error(`${name} is not defined in the cache`)
+    }
+    if (!args || (typeof args[Symbol.iterator] !== 'function' && typeof args[Symbol.asyncIterator] !== 'function')) {
+      throw new Error('args must be an iterable or an async iterable')
+    }
+    if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+      throw new Error('concurrency must be a positive integer greater than 0')
+    }
+
+    const wrapper = this[kValues][name]
+    const concurrency = options.concurrency || 1
+    const report = { warmed: 0, failed: 0, skipped: 0, notStored: 0 }
+    const running = new Set()
+    for await (const arg of args) {
+      const warming = wrapper.warm(arg).then((outcome) => {
+        report[outcome]++
+      }, () => {
+        report.failed++
+      }).then(() => {
+        running.delete(warming)
+      })
+      running.add(warming)
+      if (running.size >= concurrency) {
+        await Promise.race(running)
+      }
+    }
+    await Promise.all(running)
+    return report
+  }
+
   async get (name, key) {
     if (!this[kValues][name]) {
       throw new Error(`${name} is not defined in the cache`)
@@ -176,6 +413,73 @@ class Cache {
     return this[kValues][name].set(key, value, ttl, references)
   }
 
+  /**
+   * @param {!string} name name of the function
+   * @param {!string[]} keys
+   * @returns {Array<undefined|*>} the values, in the same order of the keys
+   */
+  async getMany (name, keys) {
+    if (!this[kValues][name]) {
+      throw new Error(`${name} is not defined in the cache`)
+    }
+    if (!Array.isArray(keys)) {
+      throw new Error('keys must be an array')
+    }
+
+    return this[kValues][name].getMany(keys)
+  }
+
+  /**
+   * @param {!string} name name of the function
+   * @param {!Array<{key: string, value: *, ttl: number, references: ?string[]}>} entries
+   */
+  async setMany (name, entries) {
+    if (!this[kValues][name]) {
+      throw new Error(`${name} is not defined in the cache`)
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error('entries must be an array')
+    }
+
+    return this[kValues][name].setMany(entries)
+  }
+
+  /**
+   * @param {!string} name name of the function
+   * @param {!string[]} keys
+   * @returns {boolean[]} indicates if each key was removed
+   */
+  async removeMany (name, keys) {
+    if (!this[kValues][name]) {
+      throw new Error(`${name} is not defined in the cache`)
+    }
+    if (!Array.isArray(keys)) {
+      throw new Error('keys must be an array')
+    }
+
+    return this[kValues][name].removeMany(keys)
+  }
+
+  /**
+   * @returns {Object} the metrics of each defined function, and the size of each storage
+   */
+  async stats () {
+    const functions = {}
+    for (const [name, metrics] of this[kMetrics]) {
+      functions[name] = metrics.snapshot()
+    }
+
+    const storages = {}
+    for (const [name, storage] of this[kStorages]) {
+      // stats is optional for custom storages
+      if (typeof storage.stats === 'function') {
+        storages[name] = await storage.stats()
+      }
+    }
+
+    return { functions, storages }
+  }
+
   async invalidate (name, references) {
     if (!this[kValues][name]) {
       throw new Error(`${name} is not defined in the cache`)
@@ -189,7 +493,36 @@ class Cache {
       throw new Error(`${storage} storage is not defined in the cache`)
     }
     const s = this[kStorages].get(storage)
-    await s.invalidate(references)
+    const start = Date.now()
+    const keys = await trace(channels.invalidate, { storage, references }, () => s.invalidate(references))
+    if (this[kEvents].has('invalidate')) {
+      this[kEvents].emit('invalidate', { ...emptyPayload, storage, references, keys, durationMs: Date.now() - start, stage: 'invalidate' })
+    }
+  }
+
+  /**
+   * chain the onEvict of the storage, to forward the removed keys to the defined functions they belong to
+   * it's installed only once onEvict or an evict listener needs it, since the storage lists the keys to report them
+   * the storages without onEvict, as redis and the custom ones, are skipped
+   * @param {Storage} storage
+   */
+  _forwardEvictions (storage) {
+    if (!('onEvict' in storage) || this[kForwardedStorages].has(storage)) {
+      return
+    }
+    this[kForwardedStorages].add(storage)
+    const onEvict = storage.onEvict
+    storage.onEvict = (storageKey, reason) => {
+      if (onEvict) {
+        onEvict(storageKey, reason)
+      }
+      const separator = storageKey.indexOf('~')
+      const wrapper = this[kValues][storageKey.slice(0, separator)]
+      // the storage may be shared with other caches
+      if (separator !== -1 && wrapper && wrapper.storage === storage) {
+        wrapper._evicted(storageKey.slice(separator + 1), reason)
+      }
+    }
   }
 }
 
@@ -207,10 +540,30 @@ class Wrapper {
    * @param {function} onHit
    * @param {function} onMiss
    * @param {stale} ttl
+   * @param {number|function} staleIfError
+   * @param {function} onStaleServed
+   * @param {number} errorTtl
+   * @param {function} cacheError
+   * @param {number} timeout
+   * @param {number} earlyRefresh beta factor, 0 to disable
+   * @param {FunctionMetrics} metrics
+   * @param {CacheEvents} events
+   * @param {string} storageName name of the storage in the cache, `_default` or the one of the function
+   * @param {number|string} ttlJitter absolute, or a percentage as `'10%'`
+   * @param {RefreshAhead} refreshAhead
+   * @param {function} onEvict
    */
-  constructor (func, name, serialize, references, storage, transformer, ttl, onDedupe, onError, onHit, onMiss, stale) {
+  constructor (func, name, serialize, references, storage, transformer, ttl, onDedupe, onError, onHit, onMiss, stale, staleIfError, onStaleServed, errorTtl, cacheError, timeout, earlyRefresh, metrics, events, storageName, ttlJitter, refreshAhead, onEvict) {
     this.dedupes = new Map()
+    // the calls with a mode are deduped only with the ones with the same mode
+    this.modeDedupes = new Map(CALL_MODES.map(mode => [mode, new Map()]))
     this.staleDedupes = new Set()
+    // errors stored in or replayed from the storage, that must not be removed
+    this.cachedErrors = new WeakSet()
+    // the errors of the timeout, that are not cached
+    this.timeoutErrors = new WeakSet()
+    // the stage where the errors happened, as { stage, durationMs }, for the error event
+    this.errorStages = new WeakMap()
     this.func = func
     this.name = name
     this.serialize = serialize
@@ -224,6 +577,18 @@ class Wrapper {
     this.onHit = onHit
     this.onMiss = onMiss
     this.stale = stale
+    this.staleIfError = staleIfError
+    this.onStaleServed = onStaleServed
+    this.errorTtl = errorTtl
+    this.cacheError = cacheError
+    this.timeout = timeout
+    this.earlyRefresh = earlyRefresh
+    this.metrics = metrics
+    this.events = events
+    this.storageName = storageName
+    this.ttlJitter = ttlJitter
+    this.refreshAhead = refreshAhead
+    this.onEvict = onEvict
   }
 
   getKey (args) {
@@ -239,101 +604,451 @@ class Wrapper {
     return `${this.name}~`
   }
 
-  add (args) {
+  /**
+   * @param {*} args
+   * @param {?Object} [options]
+   * @param {?AbortSignal} [options.signal] to stop waiting for the result, without affecting the other callers
+   * @param {?boolean} [options.bypass] skip the storage, calling the original func
+   * @param {?boolean} [options.forceRefresh] skip the storage read, calling the original func and storing its result
+   * @param {?boolean} [options.onlyIfCached] read the storage only, without calling the original func; the result is undefined on miss
+   */
+  add (args, options) {
     try {
+      const signal = options && options.signal
+      if (signal && signal.aborted) {
+        return Promise.reject(signal.reason)
+      }
+      if (options && !isValidCallOptions(options)) {
+        return Promise.reject(new Error('only one of bypass, forceRefresh and onlyIfCached can be set'))
+      }
+
       const key = this.getKey(args)
+      const mode = options ? CALL_MODES.find(mode => options[mode]) : undefined
+      const dedupes = mode ? this.modeDedupes.get(mode) : this.dedupes
 
-      let query = this.dedupes.get(key)
+      let query = dedupes.get(key)
       if (!query) {
-        query = new Query()
+        query = new Query(mode)
         this.buildPromise(query, args, key)
-        this.dedupes.set(key, query)
-      } else {
-        this.onDedupe(key)
+        dedupes.set(key, query)
+        return query.wait(signal)
       }
 
-      return query.promise
+      this.onDedupe(key)
+      this._emit('dedupe', { key, args, stage: 'dedupe' })
+      return trace(channels.dedupe, { name: this.name, key }, () => query.wait(signal))
     } catch (err) {
-      this.onError(err)
+      // only the custom serialize can throw
+      this._onError(err, { args, stage: 'serialize' })
     }
   }
 
+  /**
+   * @param {Object} options the default options of the calls, see add
+   * @returns {function} the defined function, with the options
+   */
+  withOptions (options) {
+    if (!options || typeof options !== 'object') {
+      throw new Error('options must be an object')
+    }
+    if (!isValidCallOptions(options)) {
+      throw new Error('only one of bypass, forceRefresh and onlyIfCached can be set')
+    }
+    return (args, callOptions) => this.add(args, callOptions ? { ...options, ...callOptions } : options)
+  }
+
   /**
    * wrap the original func to sync storage
+   * @param {?string} mode one of CALL_MODES
    */
-  async wrapFunction (args, key) {
+  async wrapFunction (args, key, signal, mode) {
     const storageKey = this.getStorageKey(key)
-    if (this.ttl > 0 || typeof this.ttl === 'function') {
-      const data = await this.get(storageKey)
+    if (mode === 'bypass') {
+      return this._wrapFunction(storageKey, args, key, signal, mode)
+    }
+    if (this.refreshAhead) {
+      this.refreshAhead.touch(key)
+    }
+    if (mode !== 'forceRefresh' && (this.ttl > 0 || typeof this.ttl === 'function' || this.errorTtl > 0)) {
+      const start = Date.now()
+      const stored = await this._storageGet(storageKey)
+      const data = await this._deserialize(stored)
 
       if (data !== undefined) {
+        if (isSerializedError(data)) {
+          this.onHit(key)
+          this._emit('hit', { key, args, durationMs: Date.now() - start, stage: 'get' })
+          throw this._replayError(data)
+        }
+
+        const staleIfError = typeof this.staleIfError === 'function' ? this.staleIfError(data) : this.staleIfError
+        let remainingTTL
+        if (staleIfError > 0) {
+          remainingTTL = await this.storage.getTTL(storageKey)
+          if (remainingTTL <= staleIfError) {
+            // expired, kept only to be served if the original func fails
+            this.onMiss(key)
+            this._emit('miss', { key, args, durationMs: Date.now() - start, stage: 'get' })
+            if (mode === 'onlyIfCached') {
+              return undefined
+            }
+            return this._staleIfErrorWrapFunction(storageKey, args, key, data, signal)
+          }
+        }
+
         this.onHit(key)
+        this._emit('hit', { key, args, durationMs: Date.now() - start, stage: 'get' })
         const stale = typeof this.stale === 'function' ? this.stale(data) : this.stale
         if (stale > 0) {
-          const remainingTTL = await this.storage.getTTL(storageKey)
-          if (remainingTTL <= stale && !this.staleDedupes.has(key)) {
-            this.staleDedupes.add(key)
-            this._wrapFunction(storageKey, args, key).catch(noop).finally(() => {
-              this.staleDedupes.delete(key)
-            })
+          if (remainingTTL === undefined) {
+            remainingTTL = await this.storage.getTTL(storageKey)
+          }
+          if (remainingTTL - staleIfError <= stale) {
+            if (mode !== 'onlyIfCached') {
+              this._refresh(storageKey, args, key, 'stale')
+            }
+            return data
+          }
+        }
+
+        if (this.earlyRefresh > 0 && mode !== 'onlyIfCached' && isSerializedEntry(stored)) {
+          if (remainingTTL === undefined) {
+            remainingTTL = await this.storage.getTTL(storageKey)
+          }
+          // XFetch: the closer to the expiry and the slower to compute, the more likely to refresh
+          const { delta } = deserializeEntry(stored)
+          // delta is in milliseconds, the ttls are in the unit of the storage
+          const unit = this.storage.ttlMs ? 1 : 1000
+          if ((remainingTTL - staleIfError - stale) * unit <= -delta * this.earlyRefresh * Math.log(Math.random())) {
+            this._refresh(storageKey, args, key, 'early-refresh')
           }
         }
         return data
       } else {
         this.onMiss(key)
+        this._emit('miss', { key, args, durationMs: Date.now() - start, stage: 'get' })
+      }
+    }
+
+    if (mode === 'onlyIfCached') {
+      return undefined
+    }
+
+    try {
+      if (this._locking()) {
+        return await this._lockWrapFunction(storageKey, args, key, signal, mode)
+      }
+      return await this._wrapFunction(storageKey, args, key, signal)
+    } catch (err) {
+      // an aborted call is not an error of the original func, and forceRefresh keeps the stored value
+      if (!signal.aborted && mode !== 'forceRefresh') {
+        await this._setError(storageKey, err, key, args)
       }
+      throw err
     }
+  }
 
-    return this._wrapFunction(storageKey, args, key)
+  /**
+   * call the original func in background, to refresh the stored result
+   * @returns {?Promise} resolved once refreshed, it never rejects; nothing if the key is already refreshing
+   */
+  _refresh (storageKey, args, key, stage) {
+    if (this.staleDedupes.has(key)) {
+      return
+    }
+    this.staleDedupes.add(key)
+    const start = Date.now()
+    return this._refreshFunction(storageKey, args, key).then((refreshed) => {
+      if (refreshed) {
+        this._emit('stale-refresh', { key, args, durationMs: Date.now() - start, stage })
+      }
+    }, (err) => {
+      // the callers got the stored value, so onError is not called
+      this._emit('error', { key, args, error: err, durationMs: Date.now() - start, stage: 'refresh' })
+    }).finally(() => {
+      this.staleDedupes.delete(key)
+    })
   }
 
-  async _wrapFunction (storageKey, args, key) {
-    const result = await this.func(args, key)
+  /**
+   * @returns {Promise<boolean>} false if another process holds the lock, so it's refreshing the key
+   */
+  async _refreshFunction (storageKey, args, key) {
+    if (!this._locking()) {
+      await this._wrapFunction(storageKey, args, key)
+      return true
+    }
+    const token = await this.storage.acquireLock(storageKey)
+    if (!token) {
+      return false
+    }
+    try {
+      await this._wrapFunction(storageKey, args, key)
+      return true
+    } finally {
+      await this.storage.releaseLock(storageKey, token)
+    }
+  }
+
+  /**
+   * the storage dedupes the calls across processes, and the results are stored
+   */
+  _locking () {
+    return !!this.storage.lock && (this.ttl > 0 || typeof this.ttl === 'function')
+  }
+
+  /**
+   * store the error for errorTtl, if it has to be cached
+   */
+  async _setError (storageKey, err, key, args) {
+    if (this.errorTtl < 1 || !(err instanceof Error) || this.cachedErrors.has(err)) {
+      return
+    }
+    // the result of the original func that timed out is stored anyway, once done
+    if (this.timeoutErrors.has(err)) {
+      return
+    }
+
+    try {
+      if (!this.cacheError(err)) {
+        return
+      }
+      this.cachedErrors.add(err)
+      // the transformer is meant for the results, so the error is stored as a plain object
+      await this._storageSet(storageKey, serializeError(err), this.errorTtl)
+      this._emit('set', { key, args, stage: 'error' })
+    } catch (cacheErr) {
+      this._onError(cacheErr, { key, args, stage: 'cache-error' })
+    }
+  }
+
+  /**
+   * @returns {Error} the stored error
+   */
+  _replayError (data) {
+    const err = deserializeError(data)
+    this.cachedErrors.add(err)
+    this._setErrorStage(err, 'origin')
+    return err
+  }
+
+  /**
+   * dedupe across processes: only the lock owner calls the original func,
+   * the others wait for its result on storage, and try to acquire the lock again if the lock owner failed
+   * @param {?string} mode - the error is not stored on forceRefresh, to keep the stored value;
+   * and the result of the lock owner is not read, since it can't be told apart from the previous value
+   */
+  async _lockWrapFunction (storageKey, args, key, signal, mode) {
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+      const token = await this.storage.acquireLock(storageKey)
+      if (token) {
+        try {
+          return await this._wrapFunction(storageKey, args, key, signal).catch(async (err) => {
+            // before releasing the lock, so the waiting processes get the error
+            if (!signal.aborted && mode !== 'forceRefresh') {
+              await this._setError(storageKey, err, key, args)
+            }
+            throw err
+          })
+        } finally {
+          await this.storage.releaseLock(storageKey, token)
+        }
+      }
+
+      if (mode === 'forceRefresh') {
+        await this.storage.waitForRelease(storageKey)
+        continue
+      }
+
+      const data = await this.storage.waitForValue(storageKey)
+      if (data !== undefined) {
+        if (isSerializedError(data)) {
+          // the lock owner failed and cached the error
+          throw this._replayError(data)
+        }
+        return this._deserialize(data)
+      }
+      // the lock owner failed or timed out
+    }
+
+    // the storage is failing, or the lock is held by the others meanwhile
+    return this._wrapFunction(storageKey, args, key, signal)
+  }
+
+  /**
+   * call the original func, serving the expired data if it fails
+   * with the lock, the waiting processes serve the expired data too if the lock owner failed
+   */
+  async _staleIfErrorWrapFunction (storageKey, args, key, data, signal) {
+    const locking = this._locking()
+    const token = locking ? await this.storage.acquireLock(storageKey) : undefined
+    let result
+    try {
+      // the expired data is stored, so the result of the lock owner is read once the lock is released
+      if (locking && !token && await this.storage.waitForRelease(storageKey)) {
+        result = await this._readFresh(storageKey)
+        if (result === undefined) {
+          // the lock owner failed
+          this.onStaleServed(key)
+          result = data
+        }
+      } else {
+        result = await this._wrapFunction(storageKey, args, key, signal)
+      }
+    } catch (err) {
+      this._onError(err, { key, args })
+      this.onStaleServed(key)
+      result = data
+    }
+    if (token) {
+      await this.storage.releaseLock(storageKey, token)
+    }
+    return result
+  }
+
+  /**
+   * @param {?AbortSignal} signal - passed to the original func; there is none for the stale revalidation, that has no timeout
+   * @param {?string} mode - the result is not stored on bypass
+   * @param {?Promise} origin - the call of the original func that timed out, to store its result once done
+   */
+  async _wrapFunction (storageKey, args, key, signal, mode, origin) {
+    const start = Date.now()
+    let result
+    try {
+      if (this.timeout > 0 && signal) {
+        result = await this._callWithTimeout(storageKey, args, key, signal, mode)
+      } else {
+        result = await (origin || trace(channels.origin, { name: this.name, key, args }, () => this.func(args, key, signal)))
+      }
+    } catch (err) {
+      // the timeout has its own stage
+      if (!this.errorStages.has(err)) {
+        this._setErrorStage(err, 'origin', Date.now() - start)
+      }
+      throw err
+    } finally {
+      if (!origin) {
+        this.metrics.observe(Date.now() - start)
+      }
+    }
+    if (mode === 'bypass') {
+      return result
+    }
     const stale = typeof this.stale === 'function' ? this.stale(result) : this.stale
+    const staleIfError = typeof this.staleIfError === 'function' ? this.staleIfError(result) : this.staleIfError
     let ttl = typeof this.ttl === 'function' ? this.ttl(result) : this.ttl
     if (ttl === undefined || ttl === null || (typeof ttl !== 'number' || !Number.isInteger(ttl))) {
-      this.onError(new Error('ttl must be an integer'))
+      this._onError(new Error('ttl must be an integer'), { key, args, stage: 'ttl' })
       return result
     }
-    ttl += stale
+    if (this.ttlJitter && ttl > 0) {
+      ttl = applyTtlJitter(ttl, this.ttlJitter)
+    }
+    // the expired result is kept for staleIfError, to be served if the original func fails
+    ttl += stale + staleIfError
     if (ttl < 1) {
       return result
     }
 
     if (!this.references) {
-      await this.set(storageKey, result, ttl)
+      await this._storageSet(storageKey, this._serialize(result, start), ttl)
+      this._stored(storageKey, args, key, start, ttl - stale - staleIfError)
       return result
     }
 
     try {
       let references = this.references(args, key, result)
-      let value = result
       if (references && typeof references.then === 'function') { references = await references }
-      if (this.transformer) {
-        value = this.transformer.serialize(result)
-      }
+      const value = this._serialize(result, start)
       // TODO validate references?
-      await this.storage.set(storageKey, value, ttl, references)
+      await this._storageSet(storageKey, value, ttl, references)
+      this._stored(storageKey, args, key, start, ttl - stale - staleIfError)
     } catch (err) {
-      this.onError(err)
+      this._onError(err, { key, args, stage: 'references' })
     }
 
     return result
   }
 
+  /**
+   * call the original func, rejecting with a TimeoutError if it takes longer than timeout, and aborting its signal
+   * the original func may ignore the signal, so its result is stored anyway once done
+   * @param {AbortSignal} signal - of the callers, that aborts the original func too
+   * @returns {Promise} the result of the original func
+   */
+  _callWithTimeout (storageKey, args, key, signal, mode) {
+    const controller = new AbortController()
+    const onAbort = () => controller.abort(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+    const origin = new Promise((resolve) => {
+      resolve(trace(channels.origin, { name: this.name, key, args }, () => this.func(args, key, controller.signal)))
+    })
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort)
+        const err = new Error(`${this.name} timed out after ${this.timeout}ms`)
+        err.name = 'TimeoutError'
+        this.timeoutErrors.add(err)
+        this._setErrorStage(err, 'timeout', this.timeout)
+        controller.abort(err)
+        reject(err)
+        this._wrapFunction(storageKey, args, key, undefined, mode, origin).catch(noop)
+      }, this.timeout)
+
+      origin.then((result) => {
+        clearTimeout(timer)
+        signal.removeEventListener('abort', onAbort)
+        resolve(result)
+      }, (err) => {
+        clearTimeout(timer)
+        signal.removeEventListener('abort', onAbort)
+        reject(err)
+      })
+    })
+  }
+
+  /**
+   * after the result of the original func has been stored
+   * @param {number} ttl before it goes stale
+   */
+  _stored (storageKey, args, key, start, ttl) {
+    this.metrics.increment('sets')
+    this._emit('set', { key, args, durationMs: Date.now() - start, stage: 'origin' })
+    if (this.refreshAhead && ttl > 0) {
+      // the timers are in milliseconds, the ttls in the unit of the storage
+      this.refreshAhead.schedule(key, args, storageKey, ttl * (this.storage.ttlMs ? 1 : 1000))
+    }
+  }
+
   buildPromise (query, args, key) {
-    query.promise = this.wrapFunction(args, key)
+    query.promise = this.wrapFunction(args, key, query.controller.signal, query.mode)
+
+    // once the original func is aborted, the next callers start a new query
+    query.controller.signal.addEventListener('abort', () => {
+      this.deleteDedupe(key, query)
+    }, { once: true })
 
     // we fork the promise chain on purpose
     query.promise
       .then(result => {
         // clear the dedupe once done
-        this.dedupes.delete(key)
+        this.deleteDedupe(key, query)
         return result
       })
       .catch(err => {
-        this.onError(err)
-        this.dedupes.delete(key)
+        // an aborted call is not a failure of the original func, and the stored value is still valid
+        if (query.controller.signal.aborted || this.timeoutErrors.has(err)) {
+          this.deleteDedupe(key, query)
+          this._onAbort(err, { key, args })
+          return
+        }
+        this._onError(err, { key, args })
+        this.deleteDedupe(key, query)
+        // the error is cached for errorTtl, see _setError
+        if (this.cachedErrors.has(err)) { return }
+        // the stored value is kept, since it has not been read
+        if (query.mode) { return }
         // TODO option to remove key from storage on error?
         // we may want to relay on cache if the original function got error
         // then we probably need more option for that
@@ -342,23 +1057,107 @@ class Wrapper {
       })
   }
 
+  deleteDedupe (key, query) {
+    const dedupes = query.mode ? this.modeDedupes.get(query.mode) : this.dedupes
+    if (dedupes.get(key) === query) {
+      dedupes.delete(key)
+    }
+  }
+
   async clear (value) {
     // TODO validate value?
     if (value) {
       const key = this.getKey(value)
       this.dedupes.delete(key)
+      for (const dedupes of this.modeDedupes.values()) {
+        dedupes.delete(key)
+      }
       this.staleDedupes.delete(key)
+      if (this.refreshAhead) {
+        this.refreshAhead.remove(key)
+      }
       await this.storage.remove(this.getStorageKey(key))
+      this._emit('evict', { key, args: value, stage: 'clear' })
       return
     }
     await this.storage.clear(this.getStorageName())
     this.dedupes.clear()
+    for (const dedupes of this.modeDedupes.values()) {
+      dedupes.clear()
+    }
     this.staleDedupes.clear()
+    if (this.refreshAhead) {
+      this.refreshAhead.clear()
+    }
+    this._emit('evict', { stage: 'clear' })
   }
 
   async get (key) {
-    const data = await this.storage.get(key)
-    if (this.transformer && !!data) {
+    const data = await this._storageGet(key)
+    return this._deserializeValue(data)
+  }
+
+  /**
+   * run the original func for the args and store the result, unless a fresh value is already stored
+   * @returns {Promise<string>} warmed, skipped if already stored, or notStored if the result has not been stored, with a ttl of 0 for instance
+   */
+  async warm (args) {
+    const storageKey = this.getStorageKey(this.getKey(args))
+    if (await this._readFresh(storageKey) !== undefined) {
+      return 'skipped'
+    }
+    await this.add(args, { forceRefresh: true })
+    return await this._readFresh(storageKey) !== undefined ? 'warmed' : 'notStored'
+  }
+
+  /**
+   * @returns {Promise<*>} the stored value if it's served as it is; undefined if missing, a cached error, stale or expired
+   */
+  async _readFresh (storageKey) {
+    const data = await this._deserialize(await this._storageGet(storageKey))
+    if (data === undefined || isSerializedError(data)) {
+      return undefined
+    }
+    const staleIfError = typeof this.staleIfError === 'function' ? this.staleIfError(data) : this.staleIfError
+    const stale = typeof this.stale === 'function' ? this.stale(data) : this.stale
+    if ((staleIfError > 0 || stale > 0) && await this.storage.getTTL(storageKey) - staleIfError <= stale) {
+      return undefined
+    }
+    return data
+  }
+
+  async getMany (keys) {
+    // the bulk methods are optional for custom storages
+    const values = typeof this.storage.getMany === 'function'
+      ? await this.storage.getMany(keys)
+      : await Promise.all(keys.map(key => this.storage.get(key)))
+    return Promise.all(values.map(data => this._deserializeValue(data)))
+  }
+
+  /**
+   * a cached error is not a value, so it's a miss for get and getMany
+   */
+  async _deserializeValue (data) {
+    const value = await this._deserialize(data)
+    return isSerializedError(value) ? undefined : value
+  }
+
+  /**
+   * @param {*} result
+   * @param {number} start when the original func has been called
+   * @returns {*} the value to store
+   */
+  _serialize (result, start) {
+    const value = this.transformer ? this.transformer.serialize(result) : result
+    // the compute time is needed to refresh early
+    return this.earlyRefresh > 0 ? serializeEntry(value, Date.now() - start) : value
+  }
+
+  async _deserialize (data) {
+    if (isSerializedEntry(data)) {
+      data = deserializeEntry(data).value
+    }
+    if (this.transformer && !!data && !isSerializedError(data)) {
       return await this.transformer.deserialize(data)
     }
     return data
@@ -372,20 +1171,207 @@ class Wrapper {
     if (this.transformer) {
       value = this.transformer.serialize(value)
     }
-    return this.storage.set(key, value, ttl, references)
+    await this._storageSet(key, value, ttl, references)
+    this._emit('set', { key, stage: 'set' })
+  }
+
+  async setMany (entries) {
+    if (this.transformer) {
+      entries = entries.map(entry => ({ ...entry, value: this.transformer.serialize(entry.value) }))
+    }
+    if (typeof this.storage.setMany === 'function') {
+      await this.storage.setMany(entries)
+    } else {
+      await Promise.all(entries.map(entry => this.storage.set(entry.key, entry.value, entry.ttl, entry.references)))
+    }
+    for (const entry of entries) {
+      this._emit('set', { key: entry.key, stage: 'set' })
+    }
+  }
+
+  async removeMany (keys) {
+    const removed = typeof this.storage.removeMany === 'function'
+      ? await this.storage.removeMany(keys)
+      : await Promise.all(keys.map(key => this.storage.remove(key)))
+    for (let i = 0; i < keys.length; i++) {
+      if (removed[i]) {
+        this._emit('evict', { key: keys[i], stage: 'remove' })
+      }
+    }
+    return removed
   }
 
   async invalidate (references) {
-    return this.storage.invalidate(references)
+    const start = Date.now()
+    const keys = await trace(channels.invalidate, { name: this.name, references }, () => this.storage.invalidate(references))
+    this._emit('invalidate', { references, keys, durationMs: Date.now() - start, stage: 'invalidate' })
+    return keys
+  }
+
+  /**
+   * the storage removed the result of the key
+   * the evict event is emitted only for capacity and expired, since clear and invalidate have their own events
+   * @param {string} key
+   * @param {string} reason capacity, expired, invalidated or cleared
+   */
+  _evicted (key, reason) {
+    this.onEvict(key, reason)
+    if (reason === 'capacity' || reason === 'expired') {
+      this._emit('evict', { key, stage: reason })
+    }
+  }
+
+  /**
+   * emit the event, only if anyone is listening
+   * @param {string} event
+   * @param {Object} payload the fields of the event, the missing ones are undefined
+   */
+  _emit (event, payload) {
+    if (this.events.has(event)) {
+      this.events.emit(event, { ...emptyPayload, name: this.name, storage: this.storageName, ...payload })
+    }
+  }
+
+  /**
+   * call onError and emit the error event, with the stage where the error happened
+   * @param {*} err
+   * @param {Object} payload key, args and stage; the stage is the one of the error, if any
+   */
+  _onError (err, payload) {
+    this.onError(err)
+    const { stage, durationMs } = this.errorStages.get(err) || { stage: 'storage' }
+    this._emit('error', { stage, durationMs, ...payload, error: err })
+  }
+
+  /**
+   * the aborts are counted and emitted on their own, since they are not errors of the original func
+   * @param {*} reason the TimeoutError, or the reason of the signal of the callers
+   * @param {Object} payload
+   */
+  _onAbort (reason, payload) {
+    this.metrics.increment('aborts')
+    const timeout = this.timeoutErrors.has(reason)
+    this._emit('abort', { stage: timeout ? 'timeout' : 'abort', durationMs: timeout ? this.timeout : undefined, ...payload, error: reason })
+  }
+
+  /**
+   * @param {*} err
+   * @param {string} stage where the error happened
+   * @param {number} durationMs
+   */
+  _setErrorStage (err, stage, durationMs) {
+    // a primitive can't be tracked
+    if (err !== null && typeof err === 'object') {
+      this.errorStages.set(err, { stage, durationMs })
+    }
+  }
+
+  /**
+   * storage.get, published on the tracing channel with the hit
+   */
+  _storageGet (key) {
+    return trace(channels.get, { name: this.name, key }, () => this.storage.get(key), setHit)
+  }
+
+  /**
+   * storage.set, published on the tracing channel
+   */
+  _storageSet (key, value, ttl, references) {
+    return trace(channels.set, { name: this.name, key, ttl, references }, () => this.storage.set(key, value, ttl, references))
   }
 }
 
 class Query {
-  constructor () {
+  /**
+   * @param {?string} mode of the calls, one of CALL_MODES
+   */
+  constructor (mode) {
+    this.mode = mode
     this.promise = null
+    // aborts the original func, once all the callers are gone or on timeout
+    this.controller = new AbortController()
+    this.callers = 0
+  }
+
+  /**
+   * @param {?AbortSignal} signal - the caller stops waiting on abort, the others keep waiting
+   * @returns {Promise} the result for the caller
+   */
+  wait (signal) {
+    this.callers++
+    if (!signal) {
+      return this.promise
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason)
+        if (--this.callers === 0) {
+          this.controller.abort(signal.reason)
+        }
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+
+      this.promise.then((result) => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(result)
+      }, (err) => {
+        signal.removeEventListener('abort', onAbort)
+        reject(err)
+      })
+    })
   }
 }
 
 function noop () { }
 
+// the per-call options that change how the storage is used
+const CALL_MODES = ['bypass', 'forceRefresh', 'onlyIfCached']
+
+// how many times a process waiting for the lock owner tries to acquire the lock, before calling the original func anyway
+const LOCK_ATTEMPTS = 3
+
+function isValidCallOptions (options) {
+  return CALL_MODES.filter(mode => options[mode]).length < 2
+}
+
+// the fields of the events payloads
+const emptyPayload = { name: undefined, key: undefined, args: undefined, storage: undefined, durationMs: undefined, stage: undefined }
+
+function setHit (context, data) {
+  context.hit = data !== undefined
+}
+
+function isValidTtlJitter (ttlJitter) {
+  if (typeof ttlJitter === 'string') {
+    return /^\d+(\.\d+)?%$/.test(ttlJitter) && parseFloat(ttlJitter) <= 100
+  }
+  return ttlJitter === undefined || (Number.isInteger(ttlJitter) && ttlJitter >= 0)
+}
+
+/**
+ * shorten the ttl at random within the jitter, so the entries stored at the same time don't expire all together
+ * @returns {number} the ttl, at least 1
+ */
+function applyTtlJitter (ttl, ttlJitter) {
+  const range = typeof ttlJitter === 'string' ? Math.floor(ttl * parseFloat(ttlJitter) / 100) : ttlJitter
+  return ttl - Math.floor(Math.random() * (Math.min(range, ttl - 1) + 1))
+}
+
+function isValidEarlyRefresh (earlyRefresh) {
+  return earlyRefresh === undefined || typeof earlyRefresh === 'boolean' ||
+    (typeof earlyRefresh === 'number' && Number.isFinite(earlyRefresh) && earlyRefresh > 0)
+}
+
+/**
+ * @returns {number} the beta factor, 0 if disabled
+ */
+function earlyRefreshBeta (earlyRefresh) {
+  return earlyRefresh === true ? 1 : earlyRefresh || 0
+}
+
+function cacheAllErrors () {
+  return true
+}
+
 module.exports.Cache = Cache
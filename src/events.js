@@ -0,0 +1,75 @@
+'use strict'
+
+const EVENTS = ['hit', 'miss', 'dedupe', 'set', 'evict', 'invalidate', 'stale-refresh', 'abort', 'error']
+
+/**
+ * listeners of the cache events
+ * it's not an EventEmitter, so it works in the browsers, and an `error` event without listeners is not thrown
+ */
+class CacheEvents {
+  constructor () {
+    this.listeners = new Map()
+  }
+
+  /**
+   * @param {string} event one of EVENTS
+   * @param {function} listener called with the payload
+   */
+  on (event, listener) {
+    validate(event, listener)
+    const listeners = this.listeners.get(event)
+    if (listeners) {
+      listeners.push(listener)
+    } else {
+      this.listeners.set(event, [listener])
+    }
+  }
+
+  /**
+   * @param {string} event one of EVENTS
+   * @param {function} listener to remove, once
+   */
+  off (event, listener) {
+    validate(event, listener)
+    const listeners = this.listeners.get(event)
+    const index = listeners ? listeners.indexOf(listener) : -1
+    if (index === -1) {
+      return
+    }
+    if (listeners.length === 1) {
+      this.listeners.delete(event)
+    } else {
+      listeners.splice(index, 1)
+    }
+  }
+
+  /**
+   * @param {string} event
+   * @returns {boolean} if anyone is listening, to skip building the payload otherwise
+   */
+  has (event) {
+    return this.listeners.has(event)
+  }
+
+  /**
+   * @param {string} event with listeners, see has
+   * @param {Object} payload
+   */
+  emit (event, payload) {
+    // a listener may remove itself meanwhile
+    for (const listener of this.listeners.get(event).slice()) {
+      listener(payload)
+    }
+  }
+}
+
+function validate (event, listener) {
+  if (!EVENTS.includes(event)) {
+    throw new Error(`event must be one of ${EVENTS.join(', ')}`)
+  }
+  if (typeof listener !== 'function') {
+    throw new Error('listener must be a function')
+  }
+}
+
+module.exports = { CacheEvents }
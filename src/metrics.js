@@ -0,0 +1,138 @@
+'use strict'
+
+const COUNTERS = ['hits', 'misses', 'dedupes', 'staleServed', 'errors', 'aborts', 'sets']
+// in milliseconds, the same as the default buckets of the prometheus clients
+const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+const PROMETHEUS_COUNTERS = {
+  hits: ['hits_total', 'Calls served by the cache'],
+  misses: ['misses_total', 'Calls not found in the cache'],
+  dedupes: ['dedupes_total', 'Calls deduped by a pending one'],
+  staleServed: ['stale_served_total', 'Expired values served because the original function failed'],
+  errors: ['errors_total', 'Errors of the original function and of the cache'],
+  aborts: ['aborts_total', 'Calls of the original function aborted by the timeout or by the callers'],
+  sets: ['sets_total', 'Results written in the storage']
+}
+
+// the stats of the storages, only the ones that have them
+const PROMETHEUS_STORAGE = {
+  size: ['storage_size', 'gauge', 'Entries in the storage'],
+  capacity: ['storage_capacity', 'gauge', 'Maximum entries in the storage'],
+  bytes: ['storage_bytes', 'gauge', 'Estimated bytes of the values in the storage'],
+  maxBytes: ['storage_max_bytes', 'gauge', 'Maximum bytes of the values in the storage'],
+  oversized: ['storage_oversized_total', 'counter', 'Values not stored because bigger than maxEntryBytes']
+}
+
+/**
+ * metrics of a defined function
+ */
+class FunctionMetrics {
+  /**
+   * @param {string} name of the defined function
+   * @param {function} sink called with every metric, as `{ name, metric, value }`
+   */
+  constructor (name, sink) {
+    this.name = name
+    this.sink = sink
+    this.counters = {}
+    for (const counter of COUNTERS) {
+      this.counters[counter] = 0
+    }
+    // the last bucket is +Inf
+    this.latency = { count: 0, sum: 0, buckets: new Array(LATENCY_BUCKETS.length + 1).fill(0) }
+  }
+
+  /**
+   * @param {string} counter one of COUNTERS
+   */
+  increment (counter) {
+    this.counters[counter]++
+    this.sink({ name: this.name, metric: counter, value: 1 })
+  }
+
+  /**
+   * @param {string} counter one of COUNTERS
+   * @param {function} fn event function to wrap
+   * @returns {function} fn, that increments the counter first
+   */
+  counting (counter, fn) {
+    return (...args) => {
+      this.increment(counter)
+      return fn(...args)
+    }
+  }
+
+  /**
+   * @param {number} duration of a call of the original function, in milliseconds
+   */
+  observe (duration) {
+    let i = 0
+    while (i < LATENCY_BUCKETS.length && duration > LATENCY_BUCKETS[i]) { i++ }
+    this.latency.buckets[i]++
+    this.latency.count++
+    this.latency.sum += duration
+    this.sink({ name: this.name, metric: 'latency', value: duration })
+  }
+
+  /**
+   * @returns {Object} the counters and the latency histogram, with cumulative buckets
+   */
+  snapshot () {
+    const buckets = []
+    let count = 0
+    for (let i = 0; i < this.latency.buckets.length; i++) {
+      count += this.latency.buckets[i]
+      buckets.push({ le: i < LATENCY_BUCKETS.length ? LATENCY_BUCKETS[i] : Infinity, count })
+    }
+    return { ...this.counters, latency: { count: this.latency.count, sum: this.latency.sum, buckets } }
+  }
+}
+
+/**
+ * @param {Object} stats result of cache.stats()
+ * @param {?Object} [options]
+ * @param {?string} [options.prefix='acd_'] prefix of the metrics names
+ * @returns {string} the stats in the prometheus text exposition format
+ */
+function toPrometheus (stats, options = {}) {
+  const prefix = options.prefix ?? 'acd_'
+  const lines = []
+  const functions = Object.entries(stats.functions)
+  const storages = Object.entries(stats.storages)
+
+  for (const counter of COUNTERS) {
+    const [metric, help] = PROMETHEUS_COUNTERS[counter]
+    lines.push(`# HELP ${prefix}${metric} ${help}`, `# TYPE ${prefix}${metric} counter`)
+    for (const [name, values] of functions) {
+      lines.push(`${prefix}${metric}{name="${escapeLabel(name)}"} ${values[counter]}`)
+    }
+  }
+
+  const duration = `${prefix}origin_duration_seconds`
+  lines.push(`# HELP ${duration} Duration of the calls of the original function`, `# TYPE ${duration} histogram`)
+  for (const [name, values] of functions) {
+    const label = `name="${escapeLabel(name)}"`
+    for (const bucket of values.latency.buckets) {
+      const le = bucket.le === Infinity ? '+Inf' : bucket.le / 1000
+      lines.push(`${duration}_bucket{${label},le="${le}"} ${bucket.count}`)
+    }
+    lines.push(`${duration}_sum{${label}} ${values.latency.sum / 1000}`, `${duration}_count{${label}} ${values.latency.count}`)
+  }
+
+  for (const stat of Object.keys(PROMETHEUS_STORAGE)) {
+    const [metric, type, help] = PROMETHEUS_STORAGE[stat]
+    lines.push(`# HELP ${prefix}${metric} ${help}`, `# TYPE ${prefix}${metric} ${type}`)
+    for (const [name, values] of storages) {
+      if (typeof values[stat] !== 'number') { continue }
+      lines.push(`${prefix}${metric}{storage="${escapeLabel(name)}",type="${escapeLabel(values.type)}"} ${values[stat]}`)
+    }
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+module.exports = { FunctionMetrics, toPrometheus }
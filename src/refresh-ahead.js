@@ -0,0 +1,146 @@
+'use strict'
+
+/**
+ * refresh-ahead scheduler of a defined function
+ * the keys stored by the function are refreshed on a timer before they expire, so the callers never miss them
+ * a key not requested since its last refresh is dropped, instead of being refreshed forever
+ */
+class RefreshAhead {
+  /**
+   * @param {boolean|Object} options
+   * @param {?number} [options.maxKeys=1024] how many keys are tracked at most, the least recently requested are dropped
+   * @param {?number} [options.concurrency=1] how many refreshes run at once
+   * @param {?number} [options.threshold=0.8] the fraction of the ttl after which a key is refreshed
+   * @param {function} refresh called with `{ key, args, storageKey }`, returns a promise that never rejects
+   */
+  constructor (options, refresh) {
+    if (options === true) {
+      options = {}
+    }
+    if (!options || typeof options !== 'object') {
+      throw new Error('refreshAhead must be a boolean or an object')
+    }
+    if (options.maxKeys !== undefined && !(Number.isInteger(options.maxKeys) && options.maxKeys > 0)) {
+      throw new Error('refreshAhead.maxKeys must be a positive integer greater than 0')
+    }
+    if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+      throw new Error('refreshAhead.concurrency must be a positive integer greater than 0')
+    }
+    if (options.threshold !== undefined && !(typeof options.threshold === 'number' && options.threshold > 0 && options.threshold < 1)) {
+      throw new Error('refreshAhead.threshold must be a number between 0 and 1')
+    }
+
+    this.maxKeys = options.maxKeys || 1024
+    this.concurrency = options.concurrency || 1
+    this.threshold = options.threshold || 0.8
+    this.refresh = refresh
+    // key -> { key, args, storageKey, timer, due, requested }, in order of request, the oldest first
+    this.keys = new Map()
+    this.queue = []
+    this.running = new Set()
+    this.stopped = false
+  }
+
+  /**
+   * track the key, just stored, and schedule its refresh
+   * @param {string} key
+   * @param {*} args
+   * @param {string} storageKey
+   * @param {number} ttl in milliseconds
+   */
+  schedule (key, args, storageKey, ttl) {
+    if (this.stopped) {
+      return
+    }
+    let entry = this.keys.get(key)
+    if (entry) {
+      clearTimeout(entry.timer)
+      this.keys.delete(key)
+    } else {
+      // stored by a request
+      entry = { key, args, storageKey, timer: undefined, due: false, requested: true }
+    }
+    this.keys.set(key, entry)
+    if (this.keys.size > this.maxKeys) {
+      this.remove(this.keys.keys().next().value)
+    }
+
+    entry.args = args
+    entry.due = false
+    entry.timer = setTimeout(() => {
+      entry.due = true
+      this.queue.push(key)
+      this.drain()
+    }, Math.floor(ttl * this.threshold))
+    if (typeof entry.timer.unref === 'function') entry.timer.unref()
+  }
+
+  /**
+   * mark the key as recently requested, so it's refreshed again
+   * @param {string} key
+   */
+  touch (key) {
+    const entry = this.keys.get(key)
+    if (entry) {
+      entry.requested = true
+      this.keys.delete(key)
+      this.keys.set(key, entry)
+    }
+  }
+
+  /**
+   * stop tracking the key
+   * @param {string} key
+   */
+  remove (key) {
+    const entry = this.keys.get(key)
+    if (entry) {
+      clearTimeout(entry.timer)
+      this.keys.delete(key)
+    }
+  }
+
+  /**
+   * stop tracking all the keys
+   */
+  clear () {
+    for (const entry of this.keys.values()) {
+      clearTimeout(entry.timer)
+    }
+    this.keys.clear()
+    this.queue = []
+  }
+
+  drain () {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const entry = this.keys.get(this.queue.shift())
+      // removed or stored again meanwhile
+      if (!entry || !entry.due) {
+        continue
+      }
+      if (!entry.requested) {
+        this.remove(entry.key)
+        continue
+      }
+      entry.due = false
+      entry.requested = false
+      const running = Promise.resolve(this.refresh(entry)).then(() => {
+        this.running.delete(running)
+        this.drain()
+      })
+      this.running.add(running)
+    }
+  }
+
+  /**
+   * stop scheduling the refreshes
+   * @returns {Promise} resolved when the running refreshes are done
+   */
+  stop () {
+    this.stopped = true
+    this.clear()
+    return Promise.all(this.running)
+  }
+}
+
+module.exports = { RefreshAhead }
@@ -2,9 +2,10 @@
 
 const { isServerSide, validateCustomStorage } = require('../util')
 
-let StorageRedis
+let StorageRedis, StorageTiered
 if (isServerSide) {
   StorageRedis = require('./redis')
+  StorageTiered = require('./tiered')
 }
 const StorageMemory = require('./memory')
 
@@ -18,6 +19,7 @@ const StorageMemory = require('./memory')
 const StorageOptionsType = {
   redis: 'redis',
   memory: 'memory',
+  tiered: 'tiered',
   custom: 'custom'
 }
 
@@ -34,18 +36,26 @@ const StorageOptionsType = {
 /**
  * factory for storage, depending on type
  * @param {StorageOptionsType} type
- * @param {StorageMemoryOptions|StorageRedisOptions|StorageCustomOptions} options
- * @returns {StorageMemory|StorageRedis}
+ * @param {StorageMemoryOptions|StorageRedisOptions|StorageTieredOptions|StorageCustomOptions} options
+ * @returns {StorageMemory|StorageRedis|StorageTiered}
  */
 function createStorage (type, options) {
   if (!isServerSide && type === StorageOptionsType.redis) {
     throw new Error('Redis storage is not supported in the browser')
   }
 
+  if (!isServerSide && type === StorageOptionsType.tiered) {
+    throw new Error('Tiered storage is not supported in the browser')
+  }
+
   if (type === StorageOptionsType.redis) {
     return new StorageRedis(options)
   }
 
+  if (type === StorageOptionsType.tiered) {
+    return new StorageTiered(options)
+  }
+
   if (type === 'custom') {
     if (!options.storage) {
       throw new Error('Storage is required for custom storage type')
@@ -13,7 +13,7 @@ class StorageInterface {
   /**
    * @param {string} key
    * @param {*} value
-   * @param {number} ttl - ttl in seconds; zero means key will not be stored
+   * @param {number} ttl - ttl in seconds, or milliseconds if the storage has `ttlMs`; zero means key will not be stored
    * @param {?string[]} references
    */
   async set (key, value, ttl, references) { throw new Error('storage set method not implemented') }
@@ -32,6 +32,7 @@ class StorageInterface {
   async refresh () { throw new Error('storage refresh method not implemented') }
   /**
    * @param {string} key
+   * @returns {number} remaining TTL, in the same unit of set
    */
   async getTTL (key) { throw new Error('storage getTTL method not implemented') }
   /**
@@ -39,6 +40,31 @@ class StorageInterface {
    * @returns {boolean} true if key exists, false otherwise
    */
   async exists (key) { throw new Error('storage exists method not implemented') }
+
+  // optional bulk methods, the default ones call the single key methods
+
+  /**
+   * @param {string[]} keys
+   * @returns {Array<undefined|*>} the values, in the same order of the keys
+   */
+  async getMany (keys) {
+    return Promise.all(keys.map(key => this.get(key)))
+  }
+
+  /**
+   * @param {Array<{key: string, value: *, ttl: number, references: ?string[]}>} entries
+   */
+  async setMany (entries) {
+    await Promise.all(entries.map(entry => this.set(entry.key, entry.value, entry.ttl, entry.references)))
+  }
+
+  /**
+   * @param {string[]} keys
+   * @returns {boolean[]} indicates if each key was removed
+   */
+  async removeMany (keys) {
+    return Promise.all(keys.map(key => this.remove(key)))
+  }
 }
 
 module.exports = StorageInterface
@@ -1,20 +1,32 @@
 'use strict'
 
-const LRUCache = require('mnemonist/lru-cache')
 const { abstractLogging } = require('../util')
 const StorageInterface = require('./interface')
-const { findMatchingIndexes, findNotMatching, bsearchIndex, wildcardMatch } = require('../util')
+const { wildcardMatch } = require('../util')
+const { POLICIES } = require('./policies')
 
 /* c8 ignore next */
 const setImmediate = typeof globalThis.setImmediate !== 'undefined' ? globalThis.setImmediate : (fn, ...args) => setTimeout(fn, 0, ...args)
 
 const DEFAULT_CACHE_SIZE = 1024
+const DEFAULT_SWEEP_INTERVAL = 1000
+const DEFAULT_SWEEP_SAMPLE = 100
 
 /**
  * @typedef StorageMemoryOptions
  * @property {?number} [size=1024]
+ * @property {?string} [policy=lru] - the eviction policy, lru, lfu, fifo or tinylfu
  * @property {?Logger} [log]
  * @property {?boolean} [invalidation=false]
+ * @property {?boolean} [ttlMs=false] - the ttls are in milliseconds, instead of seconds
+ * @property {?number} [maxBytes] - the least recently used entries are evicted when the values exceed this size, as estimated by sizeOf
+ * @property {?number} [maxEntryBytes] - the bigger values are not stored
+ * @property {?function} [sizeOf] - estimate the size in bytes of a value; default is the length of its JSON, or of the transformer output
+ * @property {?boolean|Object} [sweep=false] - remove the expired entries in background, instead of only when they are read
+ * @property {?number} [sweep.interval=1000] - in milliseconds
+ * @property {?number} [sweep.sample=100] - how many entries are checked each time
+ * @property {?function} [onEvict] - called with the key and the reason, when an entry is removed:
+ *   capacity, expired, invalidated or cleared, the last one for clear and remove too
  */
 
 class StorageMemory extends StorageInterface {
@@ -27,23 +39,81 @@ class StorageMemory extends StorageInterface {
       throw new Error('size must be a positive integer greater than 0')
     }
 
+    if (options.policy !== undefined && !Object.hasOwn(POLICIES, options.policy)) {
+      throw new Error(`policy must be one of ${Object.keys(POLICIES).join(', ')}`)
+    }
+
+    if (options.ttlMs !== undefined && typeof options.ttlMs !== 'boolean') {
+      throw new Error('ttlMs must be a boolean')
+    }
+
+    if (options.maxBytes !== undefined && !(Number.isInteger(options.maxBytes) && options.maxBytes > 0)) {
+      throw new Error('maxBytes must be a positive integer greater than 0')
+    }
+
+    if (options.maxEntryBytes !== undefined && !(Number.isInteger(options.maxEntryBytes) && options.maxEntryBytes > 0)) {
+      throw new Error('maxEntryBytes must be a positive integer greater than 0')
+    }
+
+    if (options.sizeOf !== undefined && typeof options.sizeOf !== 'function') {
+      throw new Error('sizeOf must be a function')
+    }
+
+    if (options.sweep !== undefined && typeof options.sweep !== 'boolean' && (!options.sweep || typeof options.sweep !== 'object')) {
+      throw new Error('sweep must be a boolean or an object')
+    }
+
+    if (options.sweep && options.sweep.interval !== undefined && !(Number.isInteger(options.sweep.interval) && options.sweep.interval > 0)) {
+      throw new Error('sweep.interval must be a positive integer greater than 0')
+    }
+
+    if (options.sweep && options.sweep.sample !== undefined && !(Number.isInteger(options.sweep.sample) && options.sweep.sample > 0)) {
+      throw new Error('sweep.sample must be a positive integer greater than 0')
+    }
+
+    if (options.onEvict !== undefined && typeof options.onEvict !== 'function') {
+      throw new Error('onEvict must be a function')
+    }
+
     super(options)
     this.size = options.size || DEFAULT_CACHE_SIZE
+    this.policy = options.policy || 'lru'
     this.log = options.log || abstractLogging()
     this.invalidation = options.invalidation || false
+    this.ttlMs = options.ttlMs || false
+    // the clock in seconds is cached, the one in milliseconds is not
+    this.now = this.ttlMs ? nowMs : now
+    this.maxBytes = options.maxBytes
+    this.maxEntryBytes = options.maxEntryBytes
+    this.sizeOf = options.sizeOf || sizeOf
+    // the sizes are estimated only when they are bounded
+    this.sizing = Boolean(this.maxBytes || this.maxEntryBytes)
+    // values not stored because bigger than maxEntryBytes
+    this.oversized = 0
+    this.onEvict = options.onEvict
 
     this.init()
+
+    if (options.sweep) {
+      this.sweepInterval = options.sweep.interval || DEFAULT_SWEEP_INTERVAL
+      this.sweepSample = options.sweep.sample || DEFAULT_SWEEP_SAMPLE
+      this.sweeper = setInterval(() => this._sweep(), this.sweepInterval)
+      if (typeof this.sweeper.unref === 'function') this.sweeper.unref()
+    }
   }
 
   init () {
-    this.store = new LRUCache(this.size)
+    this.store = new POLICIES[this.policy](this.size)
+    this.bytes = 0
+    // the position of the sweeper in the store
+    this.sweepCursor = undefined
 
     if (!this.invalidation) {
       return
     }
-    // key -> references, keys are strings, references are sorted array strings
+    // key -> references, as a set of strings, so a reference shared by many keys is added and removed in constant time
     this.keysReferences = new Map()
-    // same as above, but inverted
+    // reference -> keys, the inverted index
     this.referencesKeys = new Map()
   }
 
@@ -57,8 +127,8 @@ class StorageMemory extends StorageInterface {
 
     const entry = this.store.get(key)
     if (entry) {
-      this.log.debug({ msg: 'acd/storage/memory.get, entry', entry, now: now() })
-      if (entry.start + entry.ttl > now()) {
+      this.log.debug({ msg: 'acd/storage/memory.get, entry', entry, now: this.now() })
+      if (entry.start + entry.ttl > this.now()) {
         this.log.debug({ msg: 'acd/storage/memory.get, key is NOT expired', key, entry })
         return entry.value
       }
@@ -66,10 +136,25 @@ class StorageMemory extends StorageInterface {
 
       // no need to wait for key to be removed
 
-      setImmediate(() => this.remove(key))
+      setImmediate(() => this._expire(key))
     }
   }
 
+  /**
+   * retrieve the values by keys
+   * @param {string[]} keys
+   * @returns {Array<undefined|*>} the values, in the same order of the keys
+   */
+  getMany (keys) {
+    this.log.debug({ msg: 'acd/storage/memory.getMany', keys })
+
+    const values = new Array(keys.length)
+    for (let i = 0; i < keys.length; i++) {
+      values[i] = this.get(keys[i])
+    }
+    return values
+  }
+
   /**
    * check if a key exists
    * @param {string} key
@@ -81,8 +166,8 @@ class StorageMemory extends StorageInterface {
     // use get method and not has, to check expiration
     const entry = this.store.get(key)
     if (entry) {
-      this.log.debug({ msg: 'acd/storage/memory.exists, entry', entry, now: now() })
-      if (entry.start + entry.ttl > now()) {
+      this.log.debug({ msg: 'acd/storage/memory.exists, entry', entry, now: this.now() })
+      if (entry.start + entry.ttl > this.now()) {
         this.log.debug({ msg: 'acd/storage/memory.exists, key is NOT expired', key, entry })
         return true
       }
@@ -90,7 +175,7 @@ class StorageMemory extends StorageInterface {
 
       // no need to wait for key to be removed
 
-      setImmediate(() => this.remove(key))
+      setImmediate(() => this._expire(key))
       return false
     }
     return false
@@ -99,7 +184,7 @@ class StorageMemory extends StorageInterface {
   /**
    * retrieve the remaining TTL value by key
    * @param {string} key
-   * @returns {undefined|*} undefined if key not found or expired
+   * @returns {number} remaining TTL in seconds, or milliseconds with ttlMs; 0 if key not found or expired
    */
   getTTL (key) {
     this.log.debug({ msg: 'acd/storage/memory.getTTL', key })
@@ -107,7 +192,7 @@ class StorageMemory extends StorageInterface {
     const entry = this.store.peek(key)
     let ttl = 0
     if (entry) {
-      ttl = entry.start + entry.ttl - now()
+      ttl = entry.start + entry.ttl - this.now()
       if (ttl < 0) {
         ttl = 0
       }
@@ -120,7 +205,7 @@ class StorageMemory extends StorageInterface {
    * set value by key
    * @param {string} key
    * @param {*} value
-   * @param {?number} [ttl=0] - ttl in seconds; zero means key will not be stored
+   * @param {?number} [ttl=0] - ttl in seconds, or milliseconds with ttlMs; zero means key will not be stored
    * @param {?string[]} references
    */
   set (key, value, ttl, references) {
@@ -130,12 +215,34 @@ class StorageMemory extends StorageInterface {
     if (!ttl || ttl < 0) {
       return
     }
-    const existingKey = this.store.has(key)
-    const removed = this.store.setpop(key, { value, ttl, start: now() })
+
+    let bytes = 0
+    if (this.sizing) {
+      bytes = this.sizeOf(value)
+      if (this.maxEntryBytes && bytes > this.maxEntryBytes) {
+        this.log.debug({ msg: 'acd/storage/memory.set, value is too big', key, bytes })
+        this.oversized++
+        // the previous value must not be served in place of the new one
+        this._removeKey(key)
+        this._removeReferences([key])
+        return
+      }
+    }
+
+    if (this.maxBytes) {
+      this._evictBytes(key, bytes)
+    }
+
+    const removed = this.store.setpop(key, { value, ttl, start: this.now(), bytes })
     this.log.debug({ msg: 'acd/storage/memory.set, evicted', removed })
-    if (removed && removed.evicted) {
-      this.log.debug({ msg: 'acd/storage/memory.set, remove evicted key', key: removed.key })
-      this._removeReferences([removed.key])
+    this.bytes += bytes
+    if (removed) {
+      this.bytes -= removed.value.bytes
+      if (removed.evicted) {
+        this.log.debug({ msg: 'acd/storage/memory.set, remove evicted key', key: removed.key })
+        this._removeReferences([removed.key])
+        this._evicted(removed.key, 'capacity')
+      }
     }
 
     if (!references || references.length < 1) {
@@ -147,55 +254,44 @@ class StorageMemory extends StorageInterface {
       return
     }
 
-    // references must be unique
-    references = [...new Set(references)]
+    const keyReferences = new Set(references)
 
     // clear old references
-    let currentReferences
-    if (existingKey) {
-      currentReferences = this.keysReferences.get(key)
+    const currentReferences = this.keysReferences.get(key)
+    if (currentReferences) {
       this.log.debug({ msg: 'acd/storage/memory.set, current keys-references', key, references: currentReferences })
-      if (currentReferences) {
-        currentReferences.sort()
-        references.sort()
-        const referencesToRemove = findNotMatching(references, currentReferences)
-
-        // remove key in old references
-        for (const reference of referencesToRemove) {
-          const keys = this.referencesKeys.get(reference)
-          /* c8 ignore next */
-          if (!keys) { continue }
-          const index = bsearchIndex(keys, key)
-          /* c8 ignore next */
-          if (index < 0) { continue }
-          keys.splice(index, 1)
-
-          if (keys.length < 1) {
-            this.referencesKeys.delete(reference)
-            continue
-          }
-          this.referencesKeys.set(reference, keys)
+      for (const reference of currentReferences) {
+        if (!keyReferences.has(reference)) {
+          this._removeReferenceKey(reference, key)
         }
       }
     }
 
-    // TODO we can probably get referencesToAdd and referencesToRemove in a single loop
-    const referencesToAdd = currentReferences ? findNotMatching(currentReferences, references) : references
-
-    for (let i = 0; i < referencesToAdd.length; i++) {
-      const reference = referencesToAdd[i]
-      let keys = this.referencesKeys.get(reference)
+    for (const reference of keyReferences) {
+      const keys = this.referencesKeys.get(reference)
       if (keys) {
         this.log.debug({ msg: 'acd/storage/memory.set, add reference-key', key, reference })
-        keys.push(key)
+        keys.add(key)
       } else {
-        keys = [key]
+        this.log.debug({ msg: 'acd/storage/memory.set, set reference-keys', key, reference })
+        this.referencesKeys.set(reference, new Set([key]))
       }
-      this.log.debug({ msg: 'acd/storage/memory.set, set reference-keys', keys, reference })
-      this.referencesKeys.set(reference, keys)
     }
 
-    this.keysReferences.set(key, references)
+    this.keysReferences.set(key, keyReferences)
+  }
+
+  /**
+   * set many values
+   * @param {Array<{key: string, value: *, ttl: number, references: ?string[]}>} entries
+   */
+  setMany (entries) {
+    this.log.debug({ msg: 'acd/storage/memory.setMany', entries })
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i]
+      this.set(entry.key, entry.value, entry.ttl, entry.references)
+    }
   }
 
   /**
@@ -208,6 +304,28 @@ class StorageMemory extends StorageInterface {
 
     const removed = this._removeKey(key)
     this._removeReferences([key])
+    if (removed) {
+      this._evicted(key, 'cleared')
+    }
+    return removed
+  }
+
+  /**
+   * remove many entries by keys
+   * @param {string[]} keys
+   * @returns {boolean[]} indicates if each key was removed
+   */
+  removeMany (keys) {
+    this.log.debug({ msg: 'acd/storage/memory.removeMany', keys })
+
+    const removed = new Array(keys.length)
+    for (let i = 0; i < keys.length; i++) {
+      removed[i] = this._removeKey(keys[i])
+      this._removeReferences([keys[i]])
+      if (removed[i]) {
+        this._evicted(keys[i], 'cleared')
+      }
+    }
     return removed
   }
 
@@ -217,13 +335,67 @@ class StorageMemory extends StorageInterface {
    */
   _removeKey (key) {
     this.log.debug({ msg: 'acd/storage/memory._removeKey', key })
-    if (!this.store.has(key)) {
+    const entry = this.store.remove(key)
+    if (!entry) {
       return false
     }
-    this.store.set(key, undefined)
+    this.bytes -= entry.bytes
     return true
   }
 
+  /**
+   * evict the entries chosen by the policy, until the new value of the key fits maxBytes
+   * the new value is stored even if it exceeds maxBytes alone
+   * @param {string} key
+   * @param {number} bytes of the new value, that replaces the current one
+   */
+  _evictBytes (key, bytes) {
+    while (this.store.size > 0) {
+      const current = this.store.peek(key)
+      if (this.bytes - (current ? current.bytes : 0) + bytes <= this.maxBytes) {
+        return
+      }
+      const evicted = this.store.victim()
+      // the policy must point to a stored key, or nothing is freed
+      if (!this._removeKey(evicted)) {
+        this.log.error({ msg: 'acd/storage/memory._evictBytes, the victim is not stored', key: evicted })
+        return
+      }
+      // the current value of the key is being replaced, it's not evicted
+      if (evicted === key) {
+        continue
+      }
+      this.log.debug({ msg: 'acd/storage/memory._evictBytes, remove evicted key', key: evicted })
+      this._removeReferences([evicted])
+      this._evicted(evicted, 'capacity')
+    }
+  }
+
+  /**
+   * remove the expired entry found by a read, unless it has been set again meanwhile
+   * @param {string} key
+   */
+  _expire (key) {
+    const entry = this.store.peek(key)
+    if (!entry || entry.start + entry.ttl > this.now()) {
+      return
+    }
+    this.log.debug({ msg: 'acd/storage/memory._expire', key })
+    this._removeKey(key)
+    this._removeReferences([key])
+    this._evicted(key, 'expired')
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} reason capacity, expired, invalidated or cleared
+   */
+  _evicted (key, reason) {
+    if (this.onEvict) {
+      this.onEvict(key, reason)
+    }
+  }
+
   /**
    * @param {string[]} keys
    */
@@ -233,7 +405,6 @@ class StorageMemory extends StorageInterface {
     }
     this.log.debug({ msg: 'acd/storage/memory._removeReferences', keys })
 
-    const referencesToRemove = new Set()
     for (let i = 0; i < keys.length; i++) {
       const key = keys[i]
 
@@ -242,50 +413,25 @@ class StorageMemory extends StorageInterface {
         continue
       }
 
-      for (let j = 0; j < references.length; j++) {
-        referencesToRemove.add(references[j])
+      for (const reference of references) {
+        this._removeReferenceKey(reference, key)
       }
 
       this.log.debug({ msg: 'acd/storage/memory._removeReferences, delete key-references', key })
       this.keysReferences.delete(key)
     }
-
-    this._removeReferencesKeys([...referencesToRemove], keys)
   }
 
   /**
-   * @param {!string[]} references
-   * @param {string[]} keys
+   * @param {string} reference
+   * @param {string} key
    */
-  _removeReferencesKeys (references, keys) {
-    keys.sort()
-    this.log.debug({ msg: 'acd/storage/memory._removeReferencesKeys', references, keys })
-    for (let i = 0; i < references.length; i++) {
-      const reference = references[i]
-      // working on the original stored array
-      const referencesKeys = this.referencesKeys.get(reference)
-      this.log.debug({ msg: 'acd/storage/memory._removeReferencesKeys, get reference-key', reference, keys, referencesKeys })
-      /* c8 ignore next */
-      if (!referencesKeys) continue
-
-      const referencesToRemove = findMatchingIndexes(keys, referencesKeys)
-      // cannot happen that referencesToRemove is empty
-      // because this function is triggered only by _removeReferences
-      // and "keys" are from tis.keyReferences
-      // if (referencesToRemove.length < 1) { continue }
-
-      this.log.debug({ msg: 'acd/storage/memory._removeReferencesKeys, removing', reference, referencesToRemove, referencesKeys })
-
-      if (referencesToRemove.length === referencesKeys.length) {
-        this.log.debug({ msg: 'acd/storage/memory._removeReferencesKeys, delete', reference })
-        this.referencesKeys.delete(reference)
-        continue
-      }
-
-      for (let j = referencesToRemove.length - 1; j >= 0; j--) {
-        this.log.debug({ msg: 'acd/storage/memory._removeReferencesKeys, remove', reference, referencesKeys, at: referencesToRemove[j] })
-        referencesKeys.splice(referencesToRemove[j], 1)
-      }
+  _removeReferenceKey (reference, key) {
+    const keys = this.referencesKeys.get(reference)
+    keys.delete(key)
+    if (keys.size < 1) {
+      this.log.debug({ msg: 'acd/storage/memory._removeReferenceKey, delete', reference })
+      this.referencesKeys.delete(reference)
     }
   }
 
@@ -301,10 +447,13 @@ class StorageMemory extends StorageInterface {
 
     this.log.debug({ msg: 'acd/storage/memory.invalidate', references })
 
-    if (Array.isArray(references)) {
-      return this._invalidateReferences(references)
+    const removed = Array.isArray(references)
+      ? this._invalidateReferences(references)
+      : this._invalidateReference(references)
+    for (let i = 0; i < removed.length; i++) {
+      this._evicted(removed[i], 'invalidated')
     }
-    return this._invalidateReference(references)
+    return removed
   }
 
   /**
@@ -321,16 +470,18 @@ class StorageMemory extends StorageInterface {
         continue
       }
 
-      for (let j = 0; j < keys.length; j++) {
-        const key = keys[j]
+      // the set is emptied by the removal of the references
+      const referenceKeys = [...keys]
+      for (let j = 0; j < referenceKeys.length; j++) {
+        const key = referenceKeys[j]
         this.log.debug({ msg: 'acd/storage/memory._invalidateReferences, remove key on reference', reference, key })
         if (this._removeKey(key)) {
           removed.push(key)
         }
       }
 
-      this.log.debug({ msg: 'acd/storage/memory._invalidateReferences, remove references of', reference, keys })
-      this._removeReferences([...keys])
+      this.log.debug({ msg: 'acd/storage/memory._invalidateReferences, remove references of', reference, keys: referenceKeys })
+      this._removeReferences(referenceKeys)
     }
 
     return removed
@@ -341,36 +492,17 @@ class StorageMemory extends StorageInterface {
    * @returns {string[]} removed keys
    */
   _invalidateReference (reference) {
-    if (reference.includes('*')) {
-      const references = []
-      for (const key of this.referencesKeys.keys()) {
-        if (wildcardMatch(reference, key)) {
-          references.push(key)
-        }
-      }
-      return this._invalidateReferences(references)
+    if (!reference.includes('*')) {
+      return this._invalidateReferences([reference])
     }
 
-    const keys = this.referencesKeys.get(reference)
-    const removed = []
-    this.log.debug({ msg: 'acd/storage/memory._invalidateReference, remove keys on reference', reference, keys })
-
-    if (!keys) {
-      return removed
-    }
-
-    for (let j = 0; j < keys.length; j++) {
-      const key = keys[j]
-      this.log.debug({ msg: 'acd/storage/memory._invalidateReference, remove key on reference', reference, key })
-      if (this._removeKey(key)) {
-        removed.push(key)
+    const references = []
+    for (const key of this.referencesKeys.keys()) {
+      if (wildcardMatch(reference, key)) {
+        references.push(key)
       }
     }
-
-    this.log.debug({ msg: 'acd/storage/memory._invalidateReference, remove references of', reference, keys })
-    this._removeReferences([...keys])
-
-    return removed
+    return this._invalidateReferences(references)
   }
 
   /**
@@ -383,10 +515,18 @@ class StorageMemory extends StorageInterface {
     this.log.debug({ msg: 'acd/storage/memory.clear', name })
 
     if (!name) {
+      // the keys are listed only to be reported
+      const keys = this.onEvict ? [...this.store.keys()] : []
       this.store.clear()
-      if (!this.invalidation) { return }
-      this.referencesKeys.clear()
-      this.keysReferences.clear()
+      this.bytes = 0
+      this.sweepCursor = undefined
+      if (this.invalidation) {
+        this.referencesKeys.clear()
+        this.keysReferences.clear()
+      }
+      for (let i = 0; i < keys.length; i++) {
+        this.onEvict(keys[i], 'cleared')
+      }
       return
     }
 
@@ -409,6 +549,9 @@ class StorageMemory extends StorageInterface {
     }
 
     this._removeReferences(removed)
+    for (let i = 0; i < removed.length; i++) {
+      this._evicted(removed[i], 'cleared')
+    }
 
     return removed
   }
@@ -418,6 +561,89 @@ class StorageMemory extends StorageInterface {
 
     this.init()
   }
+
+  /**
+   * remove the expired entries among the next sample of the store, with their references
+   * the sample continues from the previous one, until the whole store is checked
+   * @returns {number} removed entries
+   */
+  sweep () {
+    if (!this.sweepCursor) {
+      this.sweepCursor = this.store.keys()
+    }
+    const now = this.now()
+    const expired = []
+    for (let i = 0; i < this.sweepSample; i++) {
+      const next = this.sweepCursor.next()
+      if (next.done) {
+        this.sweepCursor = undefined
+        break
+      }
+      const entry = this.store.peek(next.value)
+      if (entry && entry.start + entry.ttl <= now) {
+        expired.push(next.value)
+      }
+    }
+    this.log.debug({ msg: 'acd/storage/memory.sweep, remove expired keys', keys: expired })
+
+    for (let i = 0; i < expired.length; i++) {
+      this._removeKey(expired[i])
+    }
+    this._removeReferences(expired)
+    for (let i = 0; i < expired.length; i++) {
+      this._evicted(expired[i], 'expired')
+    }
+    return expired.length
+  }
+
+  /**
+   * as in redis, the sweep goes on while more than a quarter of the sample is expired
+   */
+  _sweep () {
+    let removed
+    do {
+      removed = this.sweep()
+    } while (removed > this.sweepSample / 4 && this.sweepCursor)
+  }
+
+  /**
+   * stop the sweeper
+   */
+  close () {
+    this.log.debug({ msg: 'acd/storage/memory.close' })
+    clearInterval(this.sweeper)
+  }
+
+  /**
+   * @returns {{type: string, size: number, capacity: number, bytes: ?number, maxBytes: ?number, oversized: ?number}} size is the occupancy of the store,
+   *   that includes the expired entries not yet removed; the bytes are estimated only with maxBytes or maxEntryBytes
+   */
+  stats () {
+    const stats = { type: 'memory', size: this.store.size, capacity: this.size }
+    if (this.sizing) {
+      stats.bytes = this.bytes
+      stats.maxBytes = this.maxBytes
+      stats.oversized = this.oversized
+    }
+    return stats
+  }
+}
+
+/**
+ * estimate the size in bytes of a value, as the length of its JSON;
+ * the transformer output, a string or a buffer, is measured as is
+ * @param {*} value
+ * @returns {number}
+ */
+function sizeOf (value) {
+  if (typeof value === 'string') {
+    return value.length
+  }
+  if (ArrayBuffer.isView(value)) {
+    return value.byteLength
+  }
+  const json = JSON.stringify(value)
+  return json === undefined ? 0 : json.length
 }
 
 let _timer
@@ -436,4 +662,8 @@ function _clearTimer () {
   _timer = undefined
 }
 
+function nowMs () {
+  return Date.now()
+}
+
 module.exports = StorageMemory
@@ -0,0 +1,433 @@
+'use strict'
+
+/**
+ * eviction policies of the memory storage
+ * they all have the interface of the mnemonist LRU, used before:
+ * `setpop` returns `{ evicted, key, value }` for the evicted entry, or for the replaced value of the key, otherwise null;
+ * `victim` returns the key that would be evicted next, to make room for the bytes
+ * `keys` returns an iterator of the keys, that survives the changes, even if it may skip or repeat some keys then
+ */
+
+/**
+ * first in, first out: the reads don't change the order
+ */
+class FIFOPolicy {
+  constructor (capacity) {
+    this.capacity = capacity
+    // the map is in order of insertion, so the first key is the victim
+    this.items = new Map()
+  }
+
+  get size () {
+    return this.items.size
+  }
+
+  get (key) {
+    return this.items.get(key)
+  }
+
+  peek (key) {
+    return this.items.get(key)
+  }
+
+  setpop (key, value) {
+    if (this.items.has(key)) {
+      const previous = this.items.get(key)
+      this.items.set(key, value)
+      return { evicted: false, key, value: previous }
+    }
+    let removed = null
+    if (this.items.size >= this.capacity) {
+      const evicted = this.victim()
+      removed = { evicted: true, key: evicted, value: this.remove(evicted) }
+    }
+    this.items.set(key, value)
+    return removed
+  }
+
+  remove (key) {
+    const value = this.items.get(key)
+    this.items.delete(key)
+    return value
+  }
+
+  victim () {
+    return this.items.keys().next().value
+  }
+
+  keys () {
+    return this.items.keys()
+  }
+
+  forEach (callback) {
+    this.items.forEach(callback)
+  }
+
+  clear () {
+    this.items.clear()
+  }
+}
+
+/**
+ * least recently used: the keys used are moved to the end of the map, so the first key is the victim
+ */
+class LRUPolicy extends FIFOPolicy {
+  get (key) {
+    if (!this.items.has(key)) {
+      return
+    }
+    const value = this.items.get(key)
+    this.items.delete(key)
+    this.items.set(key, value)
+    return value
+  }
+
+  setpop (key, value) {
+    // the replaced key becomes the most recently used
+    this.get(key)
+    return super.setpop(key, value)
+  }
+}
+
+/**
+ * least frequently used, the least recently used among the ones with the same frequency
+ */
+class LFUPolicy {
+  constructor (capacity) {
+    this.capacity = capacity
+    // key -> { value, frequency }
+    this.items = new Map()
+    // frequency -> keys, in order of use
+    this.frequencies = new Map()
+    this.minFrequency = 0
+  }
+
+  get size () {
+    return this.items.size
+  }
+
+  get (key) {
+    const item = this.items.get(key)
+    if (!item) {
+      return
+    }
+    this._use(key, item)
+    return item.value
+  }
+
+  peek (key) {
+    const item = this.items.get(key)
+    return item && item.value
+  }
+
+  setpop (key, value) {
+    const item = this.items.get(key)
+    if (item) {
+      const previous = item.value
+      item.value = value
+      this._use(key, item)
+      return { evicted: false, key, value: previous }
+    }
+    let removed = null
+    if (this.items.size >= this.capacity) {
+      const evicted = this.victim()
+      removed = { evicted: true, key: evicted, value: this.remove(evicted) }
+    }
+    this.items.set(key, { value, frequency: 1 })
+    this._keys(1).add(key)
+    this.minFrequency = 1
+    return removed
+  }
+
+  remove (key) {
+    const item = this.items.get(key)
+    if (!item) {
+      return
+    }
+    this.items.delete(key)
+    this._removeFrequency(key, item.frequency)
+    return item.value
+  }
+
+  victim () {
+    if (!this.frequencies.has(this.minFrequency)) {
+      // the least frequent keys have been removed
+      this.minFrequency = Infinity
+      for (const frequency of this.frequencies.keys()) {
+        if (frequency < this.minFrequency) {
+          this.minFrequency = frequency
+        }
+      }
+    }
+    return this.frequencies.get(this.minFrequency).values().next().value
+  }
+
+  keys () {
+    return this.items.keys()
+  }
+
+  forEach (callback) {
+    this.items.forEach((item, key) => callback(item.value, key))
+  }
+
+  clear () {
+    this.items.clear()
+    this.frequencies.clear()
+    this.minFrequency = 0
+  }
+
+  _use (key, item) {
+    this._removeFrequency(key, item.frequency)
+    if (item.frequency === this.minFrequency && !this.frequencies.has(item.frequency)) {
+      this.minFrequency++
+    }
+    item.frequency++
+    this._keys(item.frequency).add(key)
+  }
+
+  _keys (frequency) {
+    let keys = this.frequencies.get(frequency)
+    if (!keys) {
+      keys = new Set()
+      this.frequencies.set(frequency, keys)
+    }
+    return keys
+  }
+
+  _removeFrequency (key, frequency) {
+    const keys = this.frequencies.get(frequency)
+    keys.delete(key)
+    if (keys.size === 0) {
+      this.frequencies.delete(frequency)
+    }
+  }
+}
+
+/**
+ * W-TinyLFU: a small LRU window admits the new keys, then they enter the main segmented LRU
+ * only if they are used more often than the ones they would evict, as counted by a frequency sketch
+ * so the hot keys are kept, while the scans pass through the window
+ */
+class TinyLFUPolicy {
+  constructor (capacity) {
+    this.capacity = capacity
+    this.windowCapacity = Math.max(1, Math.floor(capacity / 100))
+    this.mainCapacity = capacity - this.windowCapacity
+    this.protectedCapacity = Math.floor(this.mainCapacity * 0.8)
+    // the maps are in order of use, the least recently used first
+    this.window = new Map()
+    this.probation = new Map()
+    this.protected = new Map()
+    this.sketch = new FrequencySketch(capacity)
+  }
+
+  get size () {
+    return this.window.size + this.probation.size + this.protected.size
+  }
+
+  get (key) {
+    this.sketch.increment(key)
+    const segment = this._segment(key)
+    if (!segment) {
+      return
+    }
+    const value = segment.get(key)
+    this._use(key, value, segment)
+    return value
+  }
+
+  peek (key) {
+    const segment = this._segment(key)
+    return segment && segment.get(key)
+  }
+
+  setpop (key, value) {
+    const segment = this._segment(key)
+    if (segment) {
+      const previous = segment.get(key)
+      this._use(key, value, segment)
+      return { evicted: false, key, value: previous }
+    }
+
+    this.sketch.increment(key)
+    this.window.set(key, value)
+    if (this.window.size <= this.windowCapacity) {
+      return null
+    }
+
+    const candidate = first(this.window)
+    const candidateValue = this.window.get(candidate)
+    this.window.delete(candidate)
+    if (this.probation.size + this.protected.size < this.mainCapacity) {
+      this.probation.set(candidate, candidateValue)
+      return null
+    }
+
+    const victim = this._mainVictim()
+    if (victim !== undefined && this.sketch.frequency(candidate) > this.sketch.frequency(victim)) {
+      const victimValue = this.remove(victim)
+      this.probation.set(candidate, candidateValue)
+      return { evicted: true, key: victim, value: victimValue }
+    }
+    return { evicted: true, key: candidate, value: candidateValue }
+  }
+
+  remove (key) {
+    const segment = this._segment(key)
+    if (!segment) {
+      return
+    }
+    const value = segment.get(key)
+    segment.delete(key)
+    return value
+  }
+
+  victim () {
+    const victim = this._mainVictim()
+    return victim !== undefined ? victim : first(this.window)
+  }
+
+  * keys () {
+    yield * this.window.keys()
+    yield * this.probation.keys()
+    yield * this.protected.keys()
+  }
+
+  forEach (callback) {
+    this.window.forEach(callback)
+    this.probation.forEach(callback)
+    this.protected.forEach(callback)
+  }
+
+  clear () {
+    this.window.clear()
+    this.probation.clear()
+    this.protected.clear()
+    this.sketch.clear()
+  }
+
+  _segment (key) {
+    if (this.window.has(key)) {
+      return this.window
+    }
+    if (this.probation.has(key)) {
+      return this.probation
+    }
+    if (this.protected.has(key)) {
+      return this.protected
+    }
+  }
+
+  _mainVictim () {
+    return this.probation.size > 0 ? first(this.probation) : first(this.protected)
+  }
+
+  /**
+   * the keys in probation used again are promoted to protected, demoting the least recently used there
+   */
+  _use (key, value, segment) {
+    segment.delete(key)
+    if (segment !== this.probation) {
+      segment.set(key, value)
+      return
+    }
+    this.protected.set(key, value)
+    if (this.protected.size > this.protectedCapacity) {
+      const demoted = first(this.protected)
+      this.probation.set(demoted, this.protected.get(demoted))
+      this.protected.delete(demoted)
+    }
+  }
+}
+
+// odd seeds, one for each row of the sketch
+const SKETCH_SEEDS = [0x9e3779b1, 0x85ebca77, 0xc2b2ae3d, 0x27d4eb2f]
+
+/**
+ * count-min sketch of the keys frequencies, with 4 counters of 4 bits per key at most
+ * the counters are halved periodically, so the old frequencies fade
+ */
+class FrequencySketch {
+  constructor (capacity) {
+    let width = 16
+    while (width < capacity) {
+      width *= 2
+    }
+    this.mask = width - 1
+    this.table = new Uint8Array(width * 4)
+    this.resetAfter = capacity * 10
+    this.additions = 0
+  }
+
+  increment (key) {
+    const hash = hashKey(key)
+    let added = false
+    for (let i = 0; i < 4; i++) {
+      const index = this._index(hash, i)
+      if (this.table[index] < 15) {
+        this.table[index]++
+        added = true
+      }
+    }
+    if (added && ++this.additions >= this.resetAfter) {
+      this._reset()
+    }
+  }
+
+  frequency (key) {
+    const hash = hashKey(key)
+    let frequency = 15
+    for (let i = 0; i < 4; i++) {
+      frequency = Math.min(frequency, this.table[this._index(hash, i)])
+    }
+    return frequency
+  }
+
+  clear () {
+    this.table.fill(0)
+    this.additions = 0
+  }
+
+  _index (hash, i) {
+    // a different hash for each row, from its own seed, mixed as in murmur3
+    let h = (Math.imul(hash, SKETCH_SEEDS[i]) + i) | 0
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b)
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35)
+    h ^= h >>> 16
+    return i * (this.mask + 1) + (h & this.mask)
+  }
+
+  _reset () {
+    for (let i = 0; i < this.table.length; i++) {
+      this.table[i] >>= 1
+    }
+    this.additions = Math.floor(this.additions / 2)
+  }
+}
+
+/**
+ * FNV-1a
+ * @param {string} key
+ * @returns {number}
+ */
+function hashKey (key) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+function first (map) {
+  return map.keys().next().value
+}
+
+const POLICIES = {
+  lru: LRUPolicy,
+  lfu: LFUPolicy,
+  fifo: FIFOPolicy,
+  tinylfu: TinyLFUPolicy
+}
+
+module.exports = { POLICIES }
@@ -0,0 +1,161 @@
+'use strict'
+
+/**
+ * lua scripts run by the redis storage, loaded once and called by sha
+ */
+
+/**
+ * set the value and replace its references, atomically
+ * all the keys are declared, so the current references are read by the caller before;
+ * if they changed meanwhile, nothing is written and the caller reads them again
+ * KEYS[1] value key, KEYS[2] key->references set, KEYS[3..n] reference->keys sets, of the new references then of the current ones
+ * ARGV[1] serialized value, ARGV[2] ttl in milliseconds, ARGV[3] references ttl in seconds, ARGV[4] key,
+ * ARGV[5] count of the new references, ARGV[6..n] the references of KEYS[3..n]
+ * returns 1 if written, 0 if the current references changed
+ */
+const setWithReferences = `
+local labels = {}
+for i = 6, #ARGV do
+  labels[ARGV[i]] = KEYS[i - 3]
+end
+
+local current = redis.call('SMEMBERS', KEYS[2])
+for _, reference in ipairs(current) do
+  if not labels[reference] then
+    return 0
+  end
+end
+
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+
+local last = 5 + tonumber(ARGV[5])
+local references = {}
+for i = 6, last do
+  references[ARGV[i]] = true
+end
+
+for _, reference in ipairs(current) do
+  if not references[reference] then
+    redis.call('SREM', labels[reference], ARGV[4])
+  end
+end
+redis.call('DEL', KEYS[2])
+
+for i = 6, last do
+  redis.call('SADD', KEYS[i - 3], ARGV[4])
+  redis.call('EXPIRE', KEYS[i - 3], ARGV[3])
+  redis.call('SADD', KEYS[2], ARGV[i])
+end
+redis.call('PEXPIRE', KEYS[2], ARGV[2])
+
+return 1
+`
+
+/**
+ * remove the keys of the references along with all their references, atomically
+ * all the keys are declared, so the keys of the references and their references are read by the caller before;
+ * if they changed meanwhile, nothing is removed and the caller reads them again
+ * KEYS[1..a] reference->keys sets to invalidate, then a pair of value key and key->references set for each key,
+ * then the reference->keys sets of the references of the keys
+ * ARGV[1] a, ARGV[2] n count of keys, ARGV[3..2+n] the keys, ARGV[3+n..] the references of the last KEYS
+ * returns the removed keys, or false if the keys or their references changed
+ */
+const invalidateReferences = `
+local a = tonumber(ARGV[1])
+local n = tonumber(ARGV[2])
+
+local keys = {}
+for i = 1, n do
+  keys[ARGV[2 + i]] = i
+end
+local labels = {}
+for i = 3 + n, #ARGV do
+  labels[ARGV[i]] = KEYS[a + n + i - 2]
+end
+
+local members = {}
+for i = 1, a do
+  for _, key in ipairs(redis.call('SMEMBERS', KEYS[i])) do
+    if not keys[key] then
+      return false
+    end
+    members[key] = true
+  end
+end
+
+for key in pairs(members) do
+  local i = keys[key]
+  local references = redis.call('SMEMBERS', KEYS[a + 2 * i])
+  for _, reference in ipairs(references) do
+    if not labels[reference] then
+      return false
+    end
+  end
+end
+
+local removed = {}
+for key in pairs(members) do
+  local i = keys[key]
+  redis.call('DEL', KEYS[a + 2 * i - 1])
+  for _, reference in ipairs(redis.call('SMEMBERS', KEYS[a + 2 * i])) do
+    redis.call('SREM', labels[reference], key)
+  end
+  redis.call('DEL', KEYS[a + 2 * i])
+  table.insert(removed, key)
+end
+
+for i = 1, a do
+  redis.call('DEL', KEYS[i])
+end
+
+return removed
+`
+
+/**
+ * delete the lock only if it's still owned by the token
+ * KEYS[1] lock
+ * ARGV[1] token
+ */
+const releaseLock = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`
+
+/**
+ * cluster mode: set the value and replace the key references, atomically
+ * the references sets live in other slots, so they are updated by the caller
+ * KEYS[1] value key, KEYS[2] key->references set, in the same slot
+ * ARGV[1] serialized value, ARGV[2] ttl in milliseconds, ARGV[3..n] references
+ * returns the previous references
+ */
+const setKeyWithReferences = `
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+
+local references = redis.call('SMEMBERS', KEYS[2])
+redis.call('DEL', KEYS[2])
+
+for i = 3, #ARGV do
+  redis.call('SADD', KEYS[2], ARGV[i])
+end
+redis.call('PEXPIRE', KEYS[2], ARGV[2])
+
+return references
+`
+
+/**
+ * cluster mode: remove the value and the key references, atomically
+ * KEYS[1] value key, KEYS[2] key->references set, in the same slot
+ * returns the removed references
+ */
+const removeKeyWithReferences = `
+redis.call('DEL', KEYS[1])
+
+local references = redis.call('SMEMBERS', KEYS[2])
+redis.call('DEL', KEYS[2])
+
+return references
+`
+
+module.exports = { setWithReferences, invalidateReferences, releaseLock, setKeyWithReferences, removeKeyWithReferences }
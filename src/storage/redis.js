@@ -1,19 +1,38 @@
 'use strict'
 
 const stringify = require('safe-stable-stringify')
+const calculateSlot = require('cluster-key-slot')
 const StorageInterface = require('./interface')
-const { findNotMatching, randomSubset, abstractLogging } = require('../util')
+const scripts = require('./redis-scripts')
+const { randomSubset, randomId, abstractLogging } = require('../util')
 
 const GC_DEFAULT_CHUNK = 64
 const GC_DEFAULT_LAZY_CHUNK = 64
 const REFERENCES_DEFAULT_TTL = 60
+const LOCK_DEFAULT_TIMEOUT = 5000
+const LOCK_DEFAULT_INTERVAL = 50
+const SCAN_DEFAULT_CHUNK = 100
+const PREFIX_SEPARATOR = ':'
+// how many times the scripts are run again, when the references they declared have changed meanwhile
+const SCRIPT_ATTEMPTS = 10
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
 
 /**
  * @typedef StorageRedisOptions
  * @property {!store} client
  * @property {?Logger} log
+ * @property {?string} [prefix=''] - namespace for all the keys, followed by `:` if missing; when set, global clear removes only the namespace keys
  * @property {?Object|boolean} [invalidation=false]
  * @property {?number} [invalidation.referencesTTL=60]
+ * @property {?Object|boolean} [lock=false] - dedupe the calls across processes
+ * @property {?number} [lock.timeout=5000] - in milliseconds, how long the lock is held at most
+ * @property {?number} [lock.interval=50] - in milliseconds, how often waiting processes check for the value
+ * @property {?Object} [scan] - options for clear and wildcard invalidation, that walk the keyspace
+ * @property {?number} [scan.chunk=100] - number of keys to retrieve and delete at once
+ * @property {?function} [scan.onProgress] - called after each chunk with { operation, pattern, scanned, removed }
+ * @property {?boolean} [cluster] - redis cluster mode, default is true if the client is a cluster client
+ * @property {?boolean} [ttlMs=false] - the ttls are in milliseconds, instead of seconds; referencesTTL is in seconds anyway
  */
 
 class StorageRedis extends StorageInterface {
@@ -27,23 +46,97 @@ class StorageRedis extends StorageInterface {
 
     super(options)
 
+    if (options.prefix !== undefined && typeof options.prefix !== 'string') {
+      throw new Error('prefix must be a string')
+    }
+
     if (options.invalidation && options.invalidation.referencesTTL &&
       (typeof options.invalidation.referencesTTL !== 'number' || options.invalidation.referencesTTL < 1)) {
       throw new Error('invalidation.referencesTTL must be a positive integer greater than 1')
     }
 
+    if (options.lock && options.lock.timeout &&
+      (typeof options.lock.timeout !== 'number' || options.lock.timeout < 1)) {
+      throw new Error('lock.timeout must be a positive integer greater than 0')
+    }
+
+    if (options.lock && options.lock.interval &&
+      (typeof options.lock.interval !== 'number' || options.lock.interval < 1)) {
+      throw new Error('lock.interval must be a positive integer greater than 0')
+    }
+
+    if (options.scan && options.scan.chunk &&
+      (typeof options.scan.chunk !== 'number' || options.scan.chunk < 1)) {
+      throw new Error('scan.chunk must be a positive integer greater than 0')
+    }
+
+    if (options.scan && options.scan.onProgress && typeof options.scan.onProgress !== 'function') {
+      throw new Error('scan.onProgress must be a function')
+    }
+
+    if (options.cluster !== undefined && typeof options.cluster !== 'boolean') {
+      throw new Error('cluster must be a boolean')
+    }
+
+    if (options.ttlMs !== undefined && typeof options.ttlMs !== 'boolean') {
+      throw new Error('ttlMs must be a boolean')
+    }
+
     this.log = options.log || abstractLogging()
     this.store = options.client
+    // the prefix ends with the separator, so a namespace doesn't match the ones that start with its name
+    this.prefix = options.prefix && !options.prefix.endsWith(PREFIX_SEPARATOR) ? `${options.prefix}${PREFIX_SEPARATOR}` : (options.prefix || '')
+    // the prefix escaped for scan patterns
+    this.matchPrefix = this.prefix.replace(/[*?[\]\\]/g, '\\$&')
     this.invalidation = !!options.invalidation
     this.referencesTTL = (options.invalidation && options.invalidation.referencesTTL) || REFERENCES_DEFAULT_TTL
+    this.lock = options.lock
+      ? {
+          timeout: options.lock.timeout || LOCK_DEFAULT_TIMEOUT,
+          interval: options.lock.interval || LOCK_DEFAULT_INTERVAL
+        }
+      : null
+    this.scan = {
+      chunk: (options.scan && options.scan.chunk) || SCAN_DEFAULT_CHUNK,
+      onProgress: (options.scan && options.scan.onProgress) || noop
+    }
+    // script name -> sha, loaded on first use
+    this.scripts = new Map()
+    // in cluster mode, the value, the key references and the lock of a key are hash-tagged to share the slot
+    this.cluster = options.cluster ?? !!options.client.isCluster
+    this.ttlMs = options.ttlMs || false
+  }
+
+  /**
+   * @param {number} ttl in seconds, or milliseconds with ttlMs
+   * @returns {number} the ttl in milliseconds, as the values are always written with PX
+   */
+  _px (ttl) {
+    return this.ttlMs ? ttl : ttl * 1000
+  }
+
+  getKeyLabel (key) {
+    return this.cluster ? `${this.prefix}{${key}}` : `${this.prefix}${key}`
   }
 
   getReferenceKeyLabel (reference) {
-    return `r:${reference}`
+    return `${this.prefix}r:${reference}`
   }
 
   getKeyReferenceLabel (key) {
-    return `k:${key}`
+    return this.cluster ? `${this.prefix}k:{${key}}` : `${this.prefix}k:${key}`
+  }
+
+  getLockLabel (key) {
+    return this.cluster ? `${this.prefix}l:{${key}}` : `${this.prefix}l:${key}`
+  }
+
+  /**
+   * @param {string} label
+   * @returns {string} the key of the value label
+   */
+  getKeyFromLabel (label) {
+    return this.cluster ? label.slice(this.prefix.length + 1, -1) : label.slice(this.prefix.length)
   }
 
   /**
@@ -54,7 +147,7 @@ class StorageRedis extends StorageInterface {
     this.log.debug({ msg: 'acd/storage/redis.get', key })
 
     try {
-      const value = await this.store.get(key)
+      const value = await this.store.get(this.getKeyLabel(key))
       if (!value) {
         if (!this.invalidation) {
           return undefined
@@ -71,6 +164,49 @@ class StorageRedis extends StorageInterface {
     }
   }
 
+  /**
+   * retrieve the values in a single round trip, with MGET
+   * in cluster mode, with a pipeline of GET per node, since MGET can't span slots
+   * @param {string[]} keys
+   * @returns {Array<undefined|*>} the values, in the same order of the keys; undefined if key not found
+   */
+  async getMany (keys) {
+    this.log.debug({ msg: 'acd/storage/redis.getMany', keys })
+
+    try {
+      const labels = keys.map(key => this.getKeyLabel(key))
+      let values
+      if (this.cluster) {
+        const results = await this.exec(labels.map(label => ['get', label]))
+        values = results.map(([err, value]) => {
+          if (err) { throw err }
+          return value
+        })
+      } else {
+        values = await this.store.mget(labels)
+      }
+
+      const missing = []
+      const result = values.map((value, i) => {
+        if (!value) {
+          missing.push(keys[i])
+          return undefined
+        }
+        return JSON.parse(value)
+      })
+
+      if (missing.length > 0 && this.invalidation) {
+        // clear references because the keys could be expired (or evicted)
+        // note: no await
+        this.clearReferences(missing)
+      }
+      return result
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.getMany error', err, keys })
+      return new Array(keys.length).fill(undefined)
+    }
+  }
+
   /**
    * @param {string} key
    * @returns {boolean} true if key exists, false otherwise
@@ -79,7 +215,7 @@ class StorageRedis extends StorageInterface {
     this.log.debug({ msg: 'acd/storage/redis.exists', key })
 
     try {
-      const count = await this.store.exists(key)
+      const count = await this.store.exists(this.getKeyLabel(key))
       if (count < 1) {
         if (!this.invalidation) {
           return false
@@ -100,26 +236,24 @@ class StorageRedis extends StorageInterface {
   /**
    * retrieve the remaining TTL value by key
    * @param {string} key
-   * @returns {undefined|*} undefined if key not found or expired
+   * @returns {number} remaining TTL in seconds, or milliseconds with ttlMs; 0 if key not found or expired
    */
   async getTTL (key) {
     this.log.debug({ msg: 'acd/storage/memory.getTTL', key })
 
-    let pttl = await this.store.pttl(key)
+    const pttl = await this.store.pttl(this.getKeyLabel(key))
     if (pttl < 0) {
       return 0
     }
 
-    pttl = Math.ceil(pttl / 1000)
-
-    return pttl
+    return this.ttlMs ? pttl : Math.ceil(pttl / 1000)
   }
 
   /**
    * set value by key
    * @param {string} key
    * @param {*} value
-   * @param {number} ttl - ttl in seconds; zero means key will not be stored
+   * @param {number} ttl - ttl in seconds, or milliseconds with ttlMs; zero means key will not be stored
    * @param {?string[]} references
    */
   async set (key, value, ttl, references) {
@@ -132,58 +266,113 @@ class StorageRedis extends StorageInterface {
     }
 
     try {
-      await this.store.set(key, stringify(value), 'EX', ttl)
+      if (references && references.length > 0 && this.invalidation) {
+        if (this.cluster) {
+          await this._setClusterReferences(key, value, ttl, references)
+          return
+        }
 
-      if (!references || references.length < 1) {
+        await this._setReferences(key, value, ttl, references)
         return
       }
 
-      if (!this.invalidation) {
+      await this.store.set(this.getKeyLabel(key), stringify(value), 'PX', this._px(ttl))
+
+      if (references && references.length > 0) {
         this.log.warn({ msg: 'acd/storage/redis.set, invalidation is disabled, references are useless', key, references })
-        return
       }
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.set error', err, key, ttl, references })
+    }
+  }
 
-      const writes = []
+  /**
+   * set many values, the ones without references in a single pipeline
+   * the ones with references are written by their own script, as in set
+   * @param {Array<{key: string, value: *, ttl: number, references: ?string[]}>} entries
+   */
+  async setMany (entries) {
+    this.log.debug({ msg: 'acd/storage/redis.setMany', entries })
+
+    const commands = []
+    const withReferences = []
+    for (const entry of entries) {
+      const ttl = Number(entry.ttl)
+      if (!ttl || ttl < 0) {
+        continue
+      }
 
-      // clear old references
-      const currentReferences = await this.store.smembers(this.getKeyReferenceLabel(key))
-      this.log.debug({ msg: 'acd/storage/redis.set current references', key, currentReferences })
-      if (currentReferences.length > 1) {
-        currentReferences.sort()
-        references.sort()
-        const referencesToRemove = findNotMatching(references, currentReferences)
+      if (entry.references && entry.references.length > 0) {
+        if (this.invalidation) {
+          withReferences.push(entry)
+          continue
+        }
+        this.log.warn({ msg: 'acd/storage/redis.setMany, invalidation is disabled, references are useless', key: entry.key, references: entry.references })
+      }
+      commands.push(['set', this.getKeyLabel(entry.key), stringify(entry.value), 'PX', this._px(ttl)])
+    }
 
-        // remove key in current references
-        for (const reference of referencesToRemove) {
-          writes.push(['srem', this.getReferenceKeyLabel(reference), key])
+    try {
+      if (commands.length > 0) {
+        const results = await this.exec(commands)
+        for (const [err] of results) {
+          if (err) { throw err }
         }
-        writes.push(['del', this.getKeyReferenceLabel(key)])
       }
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.setMany error', err, entries })
+    }
+
+    await Promise.all(withReferences.map(entry => this.set(entry.key, entry.value, entry.ttl, entry.references)))
+  }
 
-      // TODO we can probably get referencesToAdd and referencesToRemove in a single loop
-      const referencesToAdd = currentReferences.length > 1 ? findNotMatching(currentReferences, references) : references
-      this.log.debug({ msg: 'acd/storage/redis.set references to add', key, referencesToAdd })
-
-      for (let i = 0; i < referencesToAdd.length; i++) {
-        const reference = referencesToAdd[i]
-        const referenceKeyLabel = this.getReferenceKeyLabel(reference)
-        // reference->keys
-        writes.push(['sadd', referenceKeyLabel, key])
-        // reset reference->keys ttl to max
-        writes.push(['expire', referenceKeyLabel, this.referencesTTL])
+  /**
+   * the value and references are written together, so a value can't be left without its references
+   * the script declares all the keys it touches, so the current references are read before
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttl
+   * @param {string[]} references
+   */
+  async _setReferences (key, value, ttl, references) {
+    const serialized = stringify(value)
+    for (let attempt = 0; attempt < SCRIPT_ATTEMPTS; attempt++) {
+      const current = await this.store.smembers(this.getKeyReferenceLabel(key))
+      const all = references.concat(current.filter(reference => !references.includes(reference)))
+      const written = await this.runScript('setWithReferences',
+        [this.getKeyLabel(key), this.getKeyReferenceLabel(key), ...all.map(reference => this.getReferenceKeyLabel(reference))],
+        [serialized, this._px(ttl), this.referencesTTL, key, references.length, ...all])
+      if (written) {
+        return
       }
-      const keyReferenceLabel = this.getKeyReferenceLabel(key)
-      // key-references
-      writes.push(['sadd', keyReferenceLabel, references])
-      // key-references has the same ttl of key
-      writes.push(['expire', keyReferenceLabel, ttl])
+    }
+    throw new Error(`the references of ${key} kept changing`)
+  }
 
-      this.log.debug({ msg: 'acd/storage/redis.set references writes', writes })
+  /**
+   * cluster mode: the value and the key references are written together,
+   * then the references sets, that live in other slots
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttl
+   * @param {string[]} references
+   */
+  async _setClusterReferences (key, value, ttl, references) {
+    const previous = await this.runScript('setKeyWithReferences',
+      [this.getKeyLabel(key), this.getKeyReferenceLabel(key)],
+      [stringify(value), this._px(ttl), ...references])
 
-      await this.store.pipeline(writes).exec()
-    } catch (err) {
-      this.log.error({ msg: 'acd/storage/redis.set error', err, key, ttl, references })
+    const writes = []
+    for (const reference of previous) {
+      if (references.includes(reference)) { continue }
+      writes.push(['srem', this.getReferenceKeyLabel(reference), key])
     }
+    for (const reference of references) {
+      const label = this.getReferenceKeyLabel(reference)
+      writes.push(['sadd', label, key])
+      writes.push(['expire', label, this.referencesTTL])
+    }
+    await this.exec(writes)
   }
 
   /**
@@ -194,7 +383,7 @@ class StorageRedis extends StorageInterface {
   async remove (key) {
     this.log.debug({ msg: 'acd/storage/redis.remove', key })
     try {
-      const removed = await this.store.del(key) > 0
+      const removed = await this.store.del(this.getKeyLabel(key)) > 0
       if (removed && this.invalidation) { await this.clearReferences(key) }
       return removed
     } catch (err) {
@@ -202,6 +391,30 @@ class StorageRedis extends StorageInterface {
     }
   }
 
+  /**
+   * remove many entries in a single pipeline
+   * @param {string[]} keys
+   * @returns {boolean[]} indicates if each key was removed
+   */
+  async removeMany (keys) {
+    this.log.debug({ msg: 'acd/storage/redis.removeMany', keys })
+    try {
+      const results = await this.exec(keys.map(key => ['del', this.getKeyLabel(key)]))
+      const removed = results.map(([err, count]) => {
+        if (err) { throw err }
+        return count > 0
+      })
+      if (this.invalidation) {
+        const removedKeys = keys.filter((key, i) => removed[i])
+        if (removedKeys.length > 0) { await this.clearReferences(removedKeys) }
+      }
+      return removed
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.removeMany error', err, keys })
+      return new Array(keys.length).fill(false)
+    }
+  }
+
   /**
    * @param {string|string[]} references
    * @returns {string[]} removed keys
@@ -231,28 +444,74 @@ class StorageRedis extends StorageInterface {
    * @returns {string[]} removed keys
    */
   async _invalidateReferences (references, mapReferences = true) {
-    const reads = references.map(reference => ['smembers', mapReferences ? this.getReferenceKeyLabel(reference) : reference])
-    const keys = await this.store.pipeline(reads).exec()
+    if (references.length < 1) {
+      return []
+    }
 
-    this.log.debug({ msg: 'acd/storage/redis._invalidateReferences keys', keys })
+    const labels = mapReferences ? references.map(reference => this.getReferenceKeyLabel(reference)) : references
+    if (this.cluster) {
+      return this._invalidateClusterReferences(labels)
+    }
 
-    const writes = []
-    const removed = []
+    for (let attempt = 0; attempt < SCRIPT_ATTEMPTS; attempt++) {
+      const removed = await this._invalidateLabels(labels)
+      if (removed) {
+        this.log.debug({ msg: 'acd/storage/redis._invalidateReferences removed', references, removed })
+        return removed
+      }
+    }
+    throw new Error(`the keys of ${references} kept changing`)
+  }
+
+  /**
+   * the keys and their references are removed together by a script, that declares all the keys it touches,
+   * so the keys of the references and their references are read before
+   * @param {string[]} labels - references labels
+   * @returns {?string[]} removed keys, null if the keys or their references changed meanwhile
+   */
+  async _invalidateLabels (labels) {
+    const keys = Array.from(new Set((await Promise.all(labels.map(label => this.store.smembers(label)))).flat()))
+    if (keys.length < 1) {
+      return []
+    }
+    const keysReferences = await Promise.all(keys.map(key => this.store.smembers(this.getKeyReferenceLabel(key))))
+    const references = Array.from(new Set(keysReferences.flat()))
+
+    return this.runScript('invalidateReferences',
+      [...labels, ...keys.flatMap(key => [this.getKeyLabel(key), this.getKeyReferenceLabel(key)]), ...references.map(reference => this.getReferenceKeyLabel(reference))],
+      [labels.length, keys.length, ...keys, ...references])
+  }
+
+  /**
+   * cluster mode: each key is removed along with its references by a script on its slot,
+   * then the references sets are updated
+   * @param {string[]} labels - references labels
+   * @returns {string[]} removed keys
+   */
+  async _invalidateClusterReferences (labels) {
+    const referencesKeys = await this.exec(labels.map(label => ['smembers', label]))
+    const keys = Array.from(new Set(referencesKeys.flatMap(([, keys]) => keys)))
+
+    const keysReferences = await Promise.all(keys.map(key =>
+      this.runScript('removeKeyWithReferences', [this.getKeyLabel(key), this.getKeyReferenceLabel(key)], [])))
+
+    const writes = {}
     for (let i = 0; i < keys.length; i++) {
-      const key0 = keys[i][1]
-      if (!key0) { continue }
-      this.log.debug({ msg: 'acd/storage/redis._invalidateReferences got keys to be invalidated', keys: key0 })
-      for (let j = 0; j < key0.length; j++) {
-        const key1 = key0[j]
-        this.log.debug({ msg: 'acd/storage/redis._invalidateReferences del key' + key1 })
-        removed.push(key1)
-        writes.push(['del', key1])
+      for (const reference of keysReferences[i]) {
+        const label = this.getReferenceKeyLabel(reference)
+        if (!writes[label]) {
+          writes[label] = ['srem', label, []]
+        }
+        writes[label][2].push(keys[i])
       }
     }
+    for (const label of labels) {
+      writes[label] = ['del', label]
+    }
+    await this.exec(Object.values(writes))
 
-    await this.store.pipeline(writes).exec()
-    await this.clearReferences(removed)
-    return removed
+    this.log.debug({ msg: 'acd/storage/redis._invalidateClusterReferences removed', labels, removed: keys })
+    return keys
   }
 
   /**
@@ -260,27 +519,33 @@ class StorageRedis extends StorageInterface {
    * @returns {string[]} removed keys
    */
   async _invalidateReference (reference) {
-    let keys
     if (reference.includes('*')) {
-      const references = await this.store.keys(this.getReferenceKeyLabel(reference))
-      return this._invalidateReferences(references, false)
-    } else {
-      keys = await this.store.smembers(this.getReferenceKeyLabel(reference))
+      return this._invalidateMatchingReferences(reference)
     }
 
-    this.log.debug({ msg: 'acd/storage/redis._invalidateReference keys', keys })
+    return this._invalidateReferences([reference])
+  }
 
-    const writes = []
-    const removed = []
-    for (let i = 0; i < keys.length; i++) {
-      const key0 = keys[i]
-      this.log.debug({ msg: 'acd/storage/redis._invalidateReference del key' + key0 })
-      removed.push(key0)
-      writes.push(['del', key0])
-    }
+  /**
+   * invalidate the references matching the wildcard, scanning them in chunks
+   * @param {string} reference
+   * @returns {string[]} removed keys
+   */
+  async _invalidateMatchingReferences (reference) {
+    const pattern = `${this.matchPrefix}r:${reference}`
+    const progress = { operation: 'invalidate', pattern, scanned: 0, removed: 0 }
+    let removed = []
+
+    await this.scanKeys(pattern, async (references) => {
+      const keys = await this._invalidateReferences(references, false)
+      removed = removed.concat(keys)
+
+      progress.scanned += references.length
+      progress.removed += keys.length
+      this.log.debug({ msg: 'acd/storage/redis._invalidateMatchingReferences progress', progress })
+      this.scan.onProgress({ ...progress })
+    })
 
-    await this.store.pipeline(writes).exec()
-    await this.clearReferences(removed)
     return removed
   }
 
@@ -292,18 +557,15 @@ class StorageRedis extends StorageInterface {
 
     try {
       if (!name) {
-        await this.store.flushall()
+        await this._clearNamespace()
         return
       }
 
-      const keys = await this.store.keys(`${name}*`)
-      this.log.debug({ msg: 'acd/storage/redis.clear keys', keys })
-
-      const removes = keys.map(key => ['del', key])
-      await this.store.pipeline(removes).exec()
-
-      if (!this.invalidation) { return }
-      await this.clearReferences(keys)
+      const pattern = this.cluster ? `${this.matchPrefix}{${name}*` : `${this.matchPrefix}${name}*`
+      await this._removeMatching(pattern, async (labels) => {
+        if (!this.invalidation) { return }
+        await this.clearReferences(labels.map(label => this.getKeyFromLabel(label)))
+      })
     } catch (err) {
       this.log.error({ msg: 'acd/storage/redis.clear error', err, name })
     }
@@ -311,12 +573,242 @@ class StorageRedis extends StorageInterface {
 
   async refresh () {
     try {
-      await this.store.flushall()
+      await this._clearNamespace()
     } catch (err) {
       this.log.error({ msg: 'acd/storage/redis.refresh error', err })
     }
   }
 
+  /**
+   * remove all the keys, references included
+   * without prefix, the whole redis is flushed
+   */
+  async _clearNamespace () {
+    if (!this.prefix) {
+      await Promise.all(this.nodes().map(node => node.flushall()))
+      return
+    }
+    await this._removeMatching(`${this.matchPrefix}*`)
+  }
+
+  /**
+   * remove the keys matching the pattern, scanning and deleting them in chunks
+   * @param {string} pattern
+   * @param {?function} onChunk - async function called with every chunk of removed keys
+   */
+  async _removeMatching (pattern, onChunk) {
+    const progress = { operation: 'clear', pattern, scanned: 0, removed: 0 }
+
+    await this.scanKeys(pattern, async (keys) => {
+      this.log.debug({ msg: 'acd/storage/redis._removeMatching keys', keys })
+
+      const removes = keys.map(key => ['del', key])
+      const results = await this.exec(removes)
+
+      if (onChunk) {
+        await onChunk(keys)
+      }
+
+      progress.scanned += keys.length
+      for (let i = 0; i < results.length; i++) {
+        progress.removed += results[i][1]
+      }
+      this.log.debug({ msg: 'acd/storage/redis._removeMatching progress', progress })
+      this.scan.onProgress({ ...progress })
+    })
+  }
+
+  /**
+   * try to get the lock to compute the value of the key
+   * note: does not throw on error
+   * @param {string} key
+   * @returns {undefined|string} the lock token if acquired, undefined otherwise
+   */
+  async acquireLock (key) {
+    this.log.debug({ msg: 'acd/storage/redis.acquireLock', key })
+
+    try {
+      const token = randomId()
+      const acquired = await this.store.set(this.getLockLabel(key), token, 'PX', this.lock.timeout, 'NX')
+      return acquired ? token : undefined
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.acquireLock error', err, key })
+    }
+  }
+
+  /**
+   * note: does not throw on error
+   * @param {string} key
+   * @param {string} token - the one returned by acquireLock
+   */
+  async releaseLock (key, token) {
+    this.log.debug({ msg: 'acd/storage/redis.releaseLock', key })
+
+    try {
+      await this.runScript('releaseLock', [this.getLockLabel(key)], [token])
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.releaseLock error', err, key })
+    }
+  }
+
+  /**
+   * wait for the value of the key to be set by the lock owner
+   * note: does not throw on error
+   * @param {string} key
+   * @returns {undefined|*} undefined if the lock has been released or expired without setting the value
+   */
+  async waitForValue (key) {
+    this.log.debug({ msg: 'acd/storage/redis.waitForValue', key })
+
+    const lockLabel = this.getLockLabel(key)
+    const start = Date.now()
+    try {
+      do {
+        await sleep(this.lock.interval)
+        const [[, value], [, locked]] = await this.exec([['get', this.getKeyLabel(key)], ['exists', lockLabel]])
+        if (value) {
+          return JSON.parse(value)
+        }
+        if (!locked) {
+          return undefined
+        }
+      } while (Date.now() - start < this.lock.timeout)
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.waitForValue error', err, key })
+    }
+  }
+
+  /**
+   * wait for the lock of the key to be released, when the previous value is stored and waitForValue would return it
+   * note: does not throw on error
+   * @param {string} key
+   * @returns {boolean} true once released, or on lock timeout, when it may be held by another process meanwhile; false on error
+   */
+  async waitForRelease (key) {
+    this.log.debug({ msg: 'acd/storage/redis.waitForRelease', key })
+
+    const lockLabel = this.getLockLabel(key)
+    const start = Date.now()
+    try {
+      do {
+        await sleep(this.lock.interval)
+        if (!await this.store.exists(lockLabel)) {
+          return true
+        }
+      } while (Date.now() - start < this.lock.timeout)
+      return true
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.waitForRelease error', err, key })
+      return false
+    }
+  }
+
+  /**
+   * run a lua script by sha, loading it on redis the first time
+   * the script is loaded again if redis lost it, for instance after a restart
+   * in cluster mode, the script is loaded on every master
+   * @param {string} name - script name, see redis-scripts
+   * @param {string[]} keys
+   * @param {Array} args
+   * @param {?boolean} [reload=true] - load the script again on NOSCRIPT error
+   * @returns {*} the script result
+   */
+  async runScript (name, keys, args, reload = true) {
+    let sha = this.scripts.get(name)
+    if (!sha) {
+      const shas = await Promise.all(this.nodes().map(node => node.script('load', scripts[name])))
+      sha = shas[0]
+      this.scripts.set(name, sha)
+    }
+
+    try {
+      return await this.store.evalsha(sha, keys.length, ...keys, ...args)
+    } catch (err) {
+      if (!reload || !String(err.message).startsWith('NOSCRIPT')) {
+        throw err
+      }
+      this.scripts.delete(name)
+      return this.runScript(name, keys, args, false)
+    }
+  }
+
+  /**
+   * walk the keys matching the pattern with SCAN, so redis is never blocked
+   * in cluster mode, every master is scanned
+   * note: a key may be found more than once
+   * @param {string} pattern
+   * @param {function} onChunk - async function called with every chunk of keys found
+   */
+  async scanKeys (pattern, onChunk) {
+    for (const node of this.nodes()) {
+      let cursor = 0
+      do {
+        const scan = await node.scan(cursor, 'match', pattern, 'count', this.scan.chunk)
+        cursor = Number(scan[0])
+        if (scan[1].length > 0) {
+          await onChunk(scan[1])
+        }
+      } while (cursor !== 0)
+    }
+  }
+
+  /**
+   * @returns {Object[]} the clients to run node-wide commands on, the masters in cluster mode
+   */
+  nodes () {
+    return this.cluster ? this.store.nodes('master') : [this.store]
+  }
+
+  /**
+   * size is the number of keys of the db, on every master in cluster mode,
+   * so it includes the references and the keys out of the prefix
+   * @returns {{type: string, size: ?number}}
+   */
+  async stats () {
+    try {
+      const sizes = await Promise.all(this.nodes().map(node => node.dbsize()))
+      return { type: 'redis', size: sizes.reduce((total, size) => total + size, 0) }
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/redis.stats error', err })
+      return { type: 'redis' }
+    }
+  }
+
+  /**
+   * run the commands in a pipeline
+   * in cluster mode, the commands are split in a pipeline per node, since a pipeline can't span nodes
+   * @param {Array[]} commands - the key is the first argument of every command
+   * @returns {Array[]} the results, in the same order of the commands
+   */
+  async exec (commands) {
+    if (!this.cluster) {
+      return this.store.pipeline(commands).exec()
+    }
+
+    const pipelines = new Map()
+    for (let i = 0; i < commands.length; i++) {
+      const slot = calculateSlot(commands[i][1])
+      // group by slot if the client doesn't expose the slots map
+      const node = (this.store.slots && this.store.slots[slot] && this.store.slots[slot][0]) ?? slot
+      let pipeline = pipelines.get(node)
+      if (!pipeline) {
+        pipeline = { commands: [], indexes: [] }
+        pipelines.set(node, pipeline)
+      }
+      pipeline.commands.push(commands[i])
+      pipeline.indexes.push(i)
+    }
+
+    const results = new Array(commands.length)
+    await Promise.all(Array.from(pipelines.values()).map(async (pipeline) => {
+      const pipelineResults = await this.store.pipeline(pipeline.commands).exec()
+      for (let i = 0; i < pipelineResults.length; i++) {
+        results[pipeline.indexes[i]] = pipelineResults[i]
+      }
+    }))
+    return results
+  }
+
   /**
    * note: does not throw on error
    * @param {string|string[]} keys
@@ -331,7 +823,7 @@ class StorageRedis extends StorageInterface {
       if (!Array.isArray(keys)) { keys = [keys] }
 
       const reads = keys.map(key => ['smembers', this.getKeyReferenceLabel(key)])
-      const referencesKeys = await this.store.pipeline(reads).exec()
+      const referencesKeys = await this.exec(reads)
 
       this.log.debug({ msg: 'acd/storage/redis.clearReferences references', keys, referencesKeys })
 
@@ -347,7 +839,7 @@ class StorageRedis extends StorageInterface {
       }
 
       this.log.debug({ msg: 'acd/storage/redis.clearReferences writes pipeline', writes })
-      await this.store.pipeline(Object.values(writes)).exec()
+      await this.exec(Object.values(writes))
     } catch (err) {
       this.log.error({ msg: 'acd/storage/redis.clearReferences error', err })
     }
@@ -363,6 +855,7 @@ class StorageRedis extends StorageInterface {
    * @param {?object} options
    * @param {number} [options.chunk=64] number of references to retrieve at once
    * @param {number|undefined} [options.lazy.cursor] cursor to start the scan; should be last cursor returned by scan; default start from the beginning
+   *   not used in cluster mode, since every node has its own cursor
    * @param {number} [lazyChunk=64] number of references to check per gc cycle
    * @return {Object} report information of the operation
    *   references scanned/removed, keys scanned/removed, loops, cursor, error if any
@@ -412,87 +905,92 @@ class StorageRedis extends StorageInterface {
 
       const chunk = options.chunk || GC_DEFAULT_CHUNK
       const scanCount = Math.min(lazyChunk, chunk)
-      const startingCursor = cursor
-
-      let lastScanLength = -1
-      let lastRemoved = -1
-      do {
-        report.loops++
+      // in cluster mode, strict gc walks every master, lazy gc a random one
+      const nodes = this.cluster && mode === 'lazy' ? randomSubset(this.nodes(), 1) : this.nodes()
+      for (const node of nodes) {
+        if (this.cluster) { cursor = 0 }
+        const startingCursor = cursor
+
+        let lastScanLength = -1
+        let lastRemoved = -1
+        do {
+          report.loops++
+
+          const scan = await node.scan(cursor, 'match', `${this.matchPrefix}r:*`, 'count', scanCount)
+          cursor = Number(scan[0])
+          lastScanLength = scan[1].length
+
+          const references = mode === 'lazy'
+            ? randomSubset(scan[1], lazyChunk)
+            : scan[1]
+
+          report.references.scanned = report.references.scanned.concat(references)
+
+          let reads = []
+          for (let i = 0; i < references.length; i++) {
+            const reference = references[i]
+            reads.push(['smembers', reference])
+          }
+          const referencesKeys = await this.exec(reads)
+
+          const keysMap = {}
+          const referencesKeysMap = {}
+          for (let i = 0; i < referencesKeys.length; i++) {
+            const keys = referencesKeys[i]
+            const reference = references[i]
+            referencesKeysMap[reference] = keys[1]
+            for (let j = 0; j < keys[1].length; j++) {
+              const key = keys[1][j]
+              if (!keysMap[key]) {
+                keysMap[key] = [reference]
+              } else {
+                keysMap[key].push(reference)
+              }
+
+              report.keys.scanned.add(key)
+            }
+          }
 
-        const scan = await this.store.scan(cursor, 'match', 'r:*', 'count', scanCount)
-        cursor = Number(scan[0])
-        lastScanLength = scan[1].length
+          const keys = Object.keys(keysMap)
+          reads = keys.map(key => ['exists', this.getKeyLabel(key)])
+          const existingKeys = await this.exec(reads)
 
-        const references = mode === 'lazy'
-          ? randomSubset(scan[1], lazyChunk)
-          : scan[1]
+          const removingKeys = {}
+          for (let i = 0; i < keys.length; i++) {
+            const key = keys[i]
+            if (existingKeys[i][1] === 1) { continue }
 
-        report.references.scanned = report.references.scanned.concat(references)
+            for (let j = 0; j < keysMap[key].length; j++) {
+              const reference = keysMap[key][j]
+              if (!removingKeys[reference]) {
+                removingKeys[reference] = [key]
+              } else {
+                removingKeys[reference].push(key)
+              }
 
-        let reads = []
-        for (let i = 0; i < references.length; i++) {
-          const reference = references[i]
-          reads.push(['smembers', reference])
-        }
-        const referencesKeys = await this.store.pipeline(reads).exec()
-
-        const keysMap = {}
-        const referencesKeysMap = {}
-        for (let i = 0; i < referencesKeys.length; i++) {
-          const keys = referencesKeys[i]
-          const reference = references[i]
-          referencesKeysMap[reference] = keys[1]
-          for (let j = 0; j < keys[1].length; j++) {
-            const key = keys[1][j]
-            if (!keysMap[key]) {
-              keysMap[key] = [reference]
-            } else {
-              keysMap[key].push(reference)
+              report.keys.removed.add(key)
             }
-
-            report.keys.scanned.add(key)
           }
-        }
-
-        const keys = Object.keys(keysMap)
-        reads = keys.map(key => ['exists', key])
-        const existingKeys = await this.store.pipeline(reads).exec()
-
-        const removingKeys = {}
-        for (let i = 0; i < keys.length; i++) {
-          const key = keys[i]
-          if (existingKeys[i][1] === 1) { continue }
 
-          for (let j = 0; j < keysMap[key].length; j++) {
-            const reference = keysMap[key][j]
-            if (!removingKeys[reference]) {
-              removingKeys[reference] = [key]
+          const writeReferences = Object.keys(removingKeys)
+          const writes = []
+          for (let i = 0; i < writeReferences.length; i++) {
+            const reference = writeReferences[i]
+            if (referencesKeysMap[reference].length === removingKeys[reference].length) {
+              writes.push(['del', reference])
+              report.references.removed.push(reference)
             } else {
-              removingKeys[reference].push(key)
+              writes.push(['srem', reference, removingKeys[reference]])
             }
-
-            report.keys.removed.add(key)
           }
-        }
+          await this.exec(writes)
+          lastRemoved = writes.length
 
-        const writeReferences = Object.keys(removingKeys)
-        const writes = []
-        for (let i = 0; i < writeReferences.length; i++) {
-          const reference = writeReferences[i]
-          if (referencesKeysMap[reference].length === removingKeys[reference].length) {
-            writes.push(['del', reference])
-            report.references.removed.push(reference)
-          } else {
-            writes.push(['srem', reference, removingKeys[reference]])
+          if (mode === 'lazy' && report.references.scanned.length >= lazyChunk) {
+            break
           }
-        }
-        await this.store.pipeline(writes).exec()
-        lastRemoved = writes.length
-
-        if (mode === 'lazy' && report.references.scanned.length >= lazyChunk) {
-          break
-        }
-      } while (startingCursor !== cursor && lastScanLength > 0 && lastRemoved > 0)
+        } while (startingCursor !== cursor && lastScanLength > 0 && lastRemoved > 0)
+      }
 
       report.cursor = cursor
       report.keys.scanned = Array.from(report.keys.scanned)
@@ -505,4 +1003,6 @@ class StorageRedis extends StorageInterface {
   }
 }
 
+function noop () { }
+
 module.exports = StorageRedis
@@ -0,0 +1,412 @@
+'use strict'
+
+const StorageInterface = require('./interface')
+const StorageMemory = require('./memory')
+const StorageRedis = require('./redis')
+const { abstractLogging, randomId } = require('../util')
+
+const DEFAULT_CHANNEL = 'acd:invalidation'
+
+/**
+ * @typedef StorageTieredOptions
+ * @property {!store} client - redis client, used as L2 and to publish invalidations
+ * @property {?store} [subscriber] - redis client dedicated to subscribe invalidations; default is `client.duplicate()`
+ * @property {?string} [prefix=''] - same as redis storage
+ * @property {?string} [channel='acd:invalidation'] - pub/sub channel shared by all the processes; the default one is preceded by `prefix`
+ * @property {?StorageMemoryOptions} [memory] - options for the L1 memory storage
+ * @property {?Logger} log
+ * @property {?Object|boolean} [invalidation=false] - same as redis storage
+ * @property {?number} [invalidation.referencesTTL=60]
+ * @property {?Object|boolean} [lock=false] - same as redis storage
+ * @property {?Object} [scan] - same as redis storage
+ * @property {?boolean} [cluster] - same as redis storage
+ * @property {?boolean} [ttlMs=false] - same as redis storage, for both the tiers
+ */
+
+class StorageTiered extends StorageInterface {
+  /**
+   * two tier storage: L1 in memory, L2 on redis
+   * every process sharing the same redis and channel drops its L1 entries
+   * on remove, invalidation and clear done by any other process
+   * @param {StorageTieredOptions} options
+   */
+  constructor (options = {}) {
+    if (!options.client || typeof options.client !== 'object') {
+      throw new Error('Redis client is required')
+    }
+
+    if (options.subscriber && typeof options.subscriber !== 'object') {
+      throw new Error('subscriber must be a redis client')
+    }
+
+    if (!options.subscriber && typeof options.client.duplicate !== 'function') {
+      throw new Error('subscriber is required when client cannot be duplicated')
+    }
+
+    if (options.channel && typeof options.channel !== 'string') {
+      throw new Error('channel must be a string')
+    }
+
+    super(options)
+
+    this.log = options.log || abstractLogging()
+    // identifies the messages published by this instance
+    this.id = randomId()
+    this.store = options.client
+
+    this.l1 = new StorageMemory({ ...options.memory, log: this.log, invalidation: false, ttlMs: options.ttlMs })
+    this.l2 = new StorageRedis({
+      client: options.client,
+      log: this.log,
+      prefix: options.prefix,
+      invalidation: options.invalidation,
+      lock: options.lock,
+      scan: options.scan,
+      cluster: options.cluster,
+      ttlMs: options.ttlMs
+    })
+    this.channel = options.channel || `${this.l2.prefix}${DEFAULT_CHANNEL}`
+    this.lock = this.l2.lock
+    this.ttlMs = this.l2.ttlMs
+
+    // incremented on every local removal, to avoid filling L1 with a value invalidated while reading L2
+    this.generation = 0
+
+    this.subscriber = options.subscriber || options.client.duplicate()
+    this.ownSubscriber = !options.subscriber
+    this.onMessage = this.onMessage.bind(this)
+    this.subscriber.on('message', this.onMessage)
+    this.subscription = this.subscriber.subscribe(this.channel)
+      .catch(err => {
+        this.log.error({ msg: 'acd/storage/tiered.subscribe error', err, channel: this.channel })
+      })
+  }
+
+  /**
+   * @param {string} key
+   * @returns {undefined|*} undefined if key not found
+   */
+  async get (key) {
+    this.log.debug({ msg: 'acd/storage/tiered.get', key })
+
+    const local = this.l1.get(key)
+    if (local !== undefined) {
+      return local
+    }
+
+    const generation = this.generation
+    const value = await this.l2.get(key)
+    if (value === undefined) {
+      return undefined
+    }
+
+    const ttl = await this.l2.getTTL(key)
+    if (generation === this.generation) {
+      this.l1.set(key, value, ttl)
+    }
+    return value
+  }
+
+  /**
+   * @param {string[]} keys
+   * @returns {Array<undefined|*>} the values, in the same order of the keys
+   */
+  async getMany (keys) {
+    this.log.debug({ msg: 'acd/storage/tiered.getMany', keys })
+
+    const values = this.l1.getMany(keys)
+    const missing = []
+    for (let i = 0; i < keys.length; i++) {
+      if (values[i] === undefined) { missing.push(i) }
+    }
+    if (missing.length === 0) {
+      return values
+    }
+
+    const generation = this.generation
+    const remote = await this.l2.getMany(missing.map(i => keys[i]))
+    const found = []
+    for (let j = 0; j < missing.length; j++) {
+      if (remote[j] === undefined) { continue }
+      values[missing[j]] = remote[j]
+      found.push(missing[j])
+    }
+    if (found.length === 0) {
+      return values
+    }
+
+    const ttls = await this.l2.exec(found.map(i => ['pttl', this.l2.getKeyLabel(keys[i])]))
+    if (generation === this.generation) {
+      for (let j = 0; j < found.length; j++) {
+        // an expired key, or a failed pttl, has no ttl, so it is not set
+        const pttl = ttls[j][1]
+        this.l1.set(keys[found[j]], values[found[j]], this.ttlMs ? pttl : Math.ceil(pttl / 1000))
+      }
+    }
+    return values
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} true if key exists, false otherwise
+   */
+  async exists (key) {
+    this.log.debug({ msg: 'acd/storage/tiered.exists', key })
+
+    if (this.l1.exists(key)) {
+      return true
+    }
+    return this.l2.exists(key)
+  }
+
+  /**
+   * retrieve the remaining TTL value by key
+   * @param {string} key
+   * @returns {number} remaining TTL in seconds, or milliseconds with ttlMs; 0 if key not found or expired
+   */
+  async getTTL (key) {
+    this.log.debug({ msg: 'acd/storage/tiered.getTTL', key })
+
+    const ttl = this.l1.getTTL(key)
+    if (ttl > 0) {
+      return ttl
+    }
+    return this.l2.getTTL(key)
+  }
+
+  /**
+   * set value by key, on both tiers
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttl - ttl in seconds, or milliseconds with ttlMs; zero means key will not be stored
+   * @param {?string[]} references
+   */
+  async set (key, value, ttl, references) {
+    this.log.debug({ msg: 'acd/storage/tiered.set', key, value, ttl, references })
+
+    await this.l2.set(key, value, ttl, references)
+    this.generation++
+    this.l1.set(key, value, ttl)
+    // other processes may hold the previous value
+    await this.publish({ keys: [key] })
+  }
+
+  /**
+   * set many values, on both tiers
+   * @param {Array<{key: string, value: *, ttl: number, references: ?string[]}>} entries
+   */
+  async setMany (entries) {
+    this.log.debug({ msg: 'acd/storage/tiered.setMany', entries })
+
+    await this.l2.setMany(entries)
+    this.generation++
+    for (const entry of entries) {
+      this.l1.set(entry.key, entry.value, entry.ttl)
+    }
+    // other processes may hold the previous values
+    await this.publish({ keys: entries.map(entry => entry.key) })
+  }
+
+  /**
+   * remove an entry by key
+   * @param {string} key
+   * @returns {boolean} indicates if key was removed
+   */
+  async remove (key) {
+    this.log.debug({ msg: 'acd/storage/tiered.remove', key })
+
+    this._removeLocal([key])
+    const removed = await this.l2.remove(key)
+    await this.publish({ keys: [key] })
+    return removed
+  }
+
+  /**
+   * remove many entries by keys
+   * @param {string[]} keys
+   * @returns {boolean[]} indicates if each key was removed
+   */
+  async removeMany (keys) {
+    this.log.debug({ msg: 'acd/storage/tiered.removeMany', keys })
+
+    this._removeLocal(keys)
+    const removed = await this.l2.removeMany(keys)
+    await this.publish({ keys })
+    return removed
+  }
+
+  /**
+   * @param {string|string[]} references
+   * @returns {string[]} removed keys
+   */
+  async invalidate (references) {
+    this.log.debug({ msg: 'acd/storage/tiered.invalidate', references })
+
+    const removed = await this.l2.invalidate(references)
+    if (removed.length > 0) {
+      this._removeLocal(removed)
+      await this.publish({ keys: removed })
+    }
+    return removed
+  }
+
+  /**
+   * @param {?string} name
+   */
+  async clear (name) {
+    this.log.debug({ msg: 'acd/storage/tiered.clear', name })
+
+    this._clearLocal(name)
+    await this.l2.clear(name)
+    await this.publish({ clear: true, name })
+  }
+
+  async refresh () {
+    this.log.debug({ msg: 'acd/storage/tiered.refresh' })
+
+    this._clearLocal()
+    await this.l2.refresh()
+    await this.publish({ clear: true })
+  }
+
+  /**
+   * see StorageRedis.acquireLock
+   * @param {string} key
+   */
+  async acquireLock (key) {
+    return this.l2.acquireLock(key)
+  }
+
+  /**
+   * see StorageRedis.releaseLock
+   * @param {string} key
+   * @param {string} token
+   */
+  async releaseLock (key, token) {
+    return this.l2.releaseLock(key, token)
+  }
+
+  /**
+   * see StorageRedis.waitForValue
+   * @param {string} key
+   */
+  async waitForValue (key) {
+    return this.l2.waitForValue(key)
+  }
+
+  /**
+   * see StorageRedis.waitForRelease
+   * @param {string} key
+   */
+  async waitForRelease (key) {
+    return this.l2.waitForRelease(key)
+  }
+
+  /**
+   * run the garbage collector on L2, see StorageRedis.gc
+   * @param {?string} [mode=lazy]
+   * @param {?object} options
+   */
+  async gc (mode, options) {
+    return this.l2.gc(mode, options)
+  }
+
+  /**
+   * @returns {{type: string, size: ?number, memory: Object}} size of L2, memory is the stats of L1
+   */
+  async stats () {
+    const { size } = await this.l2.stats()
+    return { type: 'tiered', size, memory: this.l1.stats() }
+  }
+
+  /**
+   * stop listening to invalidations, and the sweeper of L1
+   * the subscriber is closed only if it's been created by the storage
+   */
+  async close () {
+    this.log.debug({ msg: 'acd/storage/tiered.close' })
+
+    this.l1.close()
+
+    await this.subscription
+    this.subscriber.removeListener('message', this.onMessage)
+    try {
+      await this.subscriber.unsubscribe(this.channel)
+      if (this.ownSubscriber) {
+        await this.subscriber.quit()
+      }
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/tiered.close error', err })
+    }
+  }
+
+  /**
+   * note: does not throw on error
+   * @param {Object} event
+   */
+  async publish (event) {
+    try {
+      await this.store.publish(this.channel, JSON.stringify({ id: this.id, ...event }))
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/tiered.publish error', err, event })
+    }
+  }
+
+  /**
+   * apply invalidations published by other processes to L1
+   * @param {string} channel
+   * @param {string} message
+   */
+  onMessage (channel, message) {
+    if (channel !== this.channel) {
+      return
+    }
+
+    let event
+    try {
+      event = JSON.parse(message)
+    } catch (err) {
+      this.log.error({ msg: 'acd/storage/tiered.onMessage invalid message', err, message })
+      return
+    }
+
+    if (event.id === this.id) {
+      return
+    }
+
+    this.log.debug({ msg: 'acd/storage/tiered.onMessage', event })
+
+    if (event.clear) {
+      this._clearLocal(event.name)
+      return
+    }
+
+    if (Array.isArray(event.keys)) {
+      this._removeLocal(event.keys)
+    }
+  }
+
+  /**
+   * @param {string[]} keys
+   */
+  _removeLocal (keys) {
+    this.generation++
+    for (let i = 0; i < keys.length; i++) {
+      this.l1.remove(keys[i])
+    }
+  }
+
+  /**
+   * @param {?string} name
+   */
+  _clearLocal (name) {
+    this.generation++
+    if (!name) {
+      this.l1.refresh()
+      return
+    }
+    this.l1.clear(name)
+  }
+}
+
+module.exports = StorageTiered
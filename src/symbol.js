@@ -5,10 +5,20 @@ const kStorage = Symbol('kStorage')
 const kStorages = Symbol('kStorages')
 const kTransfromer = Symbol('kTransformer')
 const kTTL = Symbol('kTTL')
+const kTTLJitter = Symbol('kTTLJitter')
 const kOnDedupe = Symbol('kOnDedupe')
 const kOnError = Symbol('kOnError')
 const kOnHit = Symbol('kOnHit')
 const kOnMiss = Symbol('kOnMiss')
 const kStale = Symbol('kStale')
+const kStaleIfError = Symbol('kStaleIfError')
+const kOnStaleServed = Symbol('kOnStaleServed')
+const kEarlyRefresh = Symbol('kEarlyRefresh')
+const kMetrics = Symbol('kMetrics')
+const kMetricsSink = Symbol('kMetricsSink')
+const kEvents = Symbol('kEvents')
+const kOnEvict = Symbol('kOnEvict')
+const kOwnStorages = Symbol('kOwnStorages')
+const kForwardedStorages = Symbol('kForwardedStorages')
 
-module.exports = { kValues, kStorage, kStorages, kTransfromer, kTTL, kOnDedupe, kOnError, kOnHit, kOnMiss, kStale }
+module.exports = { kValues, kStorage, kStorages, kTransfromer, kTTL, kTTLJitter, kOnDedupe, kOnError, kOnHit, kOnMiss, kStale, kStaleIfError, kOnStaleServed, kEarlyRefresh, kMetrics, kMetricsSink, kEvents, kOnEvict, kOwnStorages, kForwardedStorages }
@@ -0,0 +1,39 @@
+'use strict'
+
+/* c8 ignore start */
+// diagnostics_channel is not available in the browsers, and not required to keep it out of the bundles
+const dc = typeof process !== 'undefined' && typeof process.getBuiltinModule === 'function'
+  ? process.getBuiltinModule('node:diagnostics_channel')
+  : { tracingChannel: () => ({ hasSubscribers: false }) }
+/* c8 ignore stop */
+
+const channels = {
+  origin: dc.tracingChannel('async-cache-dedupe:origin'),
+  dedupe: dc.tracingChannel('async-cache-dedupe:dedupe'),
+  get: dc.tracingChannel('async-cache-dedupe:storage:get'),
+  set: dc.tracingChannel('async-cache-dedupe:storage:set'),
+  invalidate: dc.tracingChannel('async-cache-dedupe:storage:invalidate')
+}
+
+/**
+ * publish fn on the tracing channel, only if anyone is subscribed
+ * @param {TracingChannel} channel
+ * @param {Object} context the message, where the channel sets `result` or `error`
+ * @param {function} fn the traced operation, called as is without subscribers
+ * @param {?function} [outcome] called with context and the result, to add the outcome before `asyncEnd`
+ * @returns {Promise|*} the result of fn
+ */
+function trace (channel, context, fn, outcome) {
+  if (!channel.hasSubscribers) {
+    return fn()
+  }
+  return channel.tracePromise(async () => {
+    const result = await fn()
+    if (outcome) {
+      outcome(context, result)
+    }
+    return result
+  }, context)
+}
+
+module.exports = { channels, trace }
@@ -1,73 +1,5 @@
 'use strict'
 
-/**
- * arrays must be sorted and unique
- * @param {*} arrayA
- * @param {*} arrayB
- * @returns {number[]} matching indexes of arrayB
- */
-function findMatchingIndexes (arrayA, arrayB) {
-  const found = []
-
-  let lastIndexB = 0
-  for (let indexA = 0; indexA < arrayA.length; indexA++) {
-    for (let indexB = lastIndexB; indexB < arrayB.length; indexB++) {
-      if (arrayA[indexA] === arrayB[indexB]) {
-        found.push(indexB)
-        lastIndexB = indexB + 1
-      }
-    }
-  }
-  return found
-}
-
-/**
- * arrays must be sorted and unique
- * @param {*} arrayA
- * @param {*} arrayB
- * @returns {number[]} values of arrayB not in arrayA
- */
-function findNotMatching (arrayA, arrayB) {
-  const found = []
-
-  let lastIndexB = 0
-  for (let indexA = 0; indexA < arrayA.length; indexA++) {
-    for (let indexB = lastIndexB; indexB < arrayB.length; indexB++) {
-      if (arrayA[indexA] !== arrayB[indexB]) {
-        found.push(arrayB[indexB])
-        lastIndexB = indexB + 1
-      }
-    }
-  }
-  return found
-}
-
-/**
- * @param {*} array
- * @param {*} value
- * @return {number} index of value in array, -1 if not found
- */
-function bsearchIndex (array, value) {
-  let start = 0
-  let end = array.length - 1
-
-  while (start <= end) {
-    const index = ((start + end) / 2) | 0
-
-    if (array[index] === value) {
-      return index
-    }
-
-    if (array[index] < value) {
-      start = index + 1
-    } else {
-      end = index - 1
-    }
-  }
-
-  return -1
-}
-
 function randomNumber (max) {
   return (max * Math.random()) | 0
 }
@@ -95,6 +27,82 @@ function randomSubset (array, size) {
   return result
 }
 
+/**
+ * @returns {string} random id, unique enough to tell apart processes and callers
+ */
+function randomId () {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
+
+// key of the plain object an error is stored as, so it survives transformers and JSON
+const SERIALIZED_ERROR = '$acd:error'
+const ERRORS = { Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError }
+
+/**
+ * @param {!Error} err
+ * @returns {Object} plain object to store the error
+ */
+function serializeError (err) {
+  const error = { ...err, name: err.name, message: err.message, stack: err.stack }
+  if (err.cause !== undefined) {
+    error.cause = err.cause instanceof Error ? serializeError(err.cause) : err.cause
+  }
+  return { [SERIALIZED_ERROR]: error }
+}
+
+/**
+ * @param {*} data
+ * @returns {boolean} true if data is a stored error
+ */
+function isSerializedError (data) {
+  return !!data && typeof data === 'object' && !!data[SERIALIZED_ERROR]
+}
+
+/**
+ * @param {!Object} data stored error, see serializeError
+ * @returns {Error} the error, with the original name, message, stack and properties
+ */
+function deserializeError (data) {
+  const { name, message, stack, cause, ...properties } = data[SERIALIZED_ERROR]
+  const Constructor = Object.hasOwn(ERRORS, name) ? ERRORS[name] : Error
+  const err = new Constructor(message)
+  if (err.name !== name) {
+    err.name = name
+  }
+  err.stack = stack
+  if (cause !== undefined) {
+    err.cause = isSerializedError(cause) ? deserializeError(cause) : cause
+  }
+  return Object.assign(err, properties)
+}
+
+const SERIALIZED_ENTRY = '$acd:entry'
+
+/**
+ * @param {*} value
+ * @param {number} delta time spent to compute the value, in milliseconds
+ * @returns {Object} plain object to store the value with its metadata
+ */
+function serializeEntry (value, delta) {
+  return { [SERIALIZED_ENTRY]: { value, delta } }
+}
+
+/**
+ * @param {*} data
+ * @returns {boolean} true if data is a value stored with its metadata
+ */
+function isSerializedEntry (data) {
+  return !!data && typeof data === 'object' && !!data[SERIALIZED_ENTRY]
+}
+
+/**
+ * @param {!Object} data stored value, see serializeEntry
+ * @returns {{value: *, delta: number}}
+ */
+function deserializeEntry (data) {
+  return data[SERIALIZED_ENTRY]
+}
+
 /**
  * @param {!string} value substring to search in content, supporting wildcard
  * @param {!string} content string to search in
@@ -149,11 +157,15 @@ function validateCustomStorage (storage) {
 const isServerSide = typeof window === 'undefined'
 
 module.exports = {
-  findNotMatching,
-  findMatchingIndexes,
-  bsearchIndex,
   wildcardMatch,
   randomSubset,
+  randomId,
+  serializeError,
+  isSerializedError,
+  deserializeError,
+  serializeEntry,
+  isSerializedEntry,
+  deserializeEntry,
   abstractLogging,
   isServerSide,
   validateCustomStorage
@@ -0,0 +1,247 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { tspl } = require('@matteo.collina/tspl')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache } = require('../')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+test('abort a caller without affecting the others', async (t) => {
+  const { equal, deepStrictEqual, rejects } = tspl(t, { plan: 5 })
+
+  const cache = createCache({ ttl: 10 })
+
+  let originSignal
+  cache.define('fetchSomething', async (query, key, signal) => {
+    originSignal = signal
+    await sleep(50)
+    return { k: query }
+  })
+
+  const controller = new AbortController()
+  const p1 = cache.fetchSomething(42, { signal: controller.signal })
+  const p2 = cache.fetchSomething(42)
+
+  await sleep(10)
+  controller.abort()
+
+  await rejects(p1, { name: 'AbortError' })
+  equal(originSignal.aborted, false)
+  deepStrictEqual(await p2, { k: 42 })
+  equal(originSignal.aborted, false)
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+})
+
+test('abort the original function once all the callers are gone', async (t) => {
+  const { equal, rejects } = tspl(t, { plan: 6 })
+
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let calls = 0
+  const signals = []
+  cache.define('fetchSomething', async (query, key, signal) => {
+    calls++
+    signals.push(signal)
+    await sleep(50)
+    signal.throwIfAborted()
+    return { k: query }
+  })
+
+  const controller1 = new AbortController()
+  const controller2 = new AbortController()
+  const p1 = cache.fetchSomething(42, { signal: controller1.signal })
+  const p2 = cache.fetchSomething(42, { signal: controller2.signal })
+
+  await sleep(10)
+  controller1.abort()
+  equal(signals[0].aborted, false)
+  controller2.abort(new Error('gone'))
+  equal(signals[0].reason.message, 'gone')
+
+  await rejects(p1, { name: 'AbortError' })
+  await rejects(p2, { message: 'gone' })
+
+  // the next caller doesn't wait for the aborted call
+  await cache.fetchSomething(42)
+  equal(calls, 2)
+  equal(storage.get('fetchSomething~42').k, 42)
+})
+
+test('abort before calling', async (t) => {
+  const cache = createCache({ ttl: 10 })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    return { k: query }
+  })
+
+  await assert.rejects(cache.fetchSomething(42, { signal: AbortSignal.abort() }), { name: 'AbortError' })
+  assert.equal(calls, 0)
+})
+
+test('abort does not cache the error', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  cache.define('fetchSomething', { errorTtl: 10 }, async (query, key, signal) => {
+    await sleep(50)
+    signal.throwIfAborted()
+    return { k: query }
+  })
+
+  const controller = new AbortController()
+  const p = cache.fetchSomething(42, { signal: controller.signal })
+  await sleep(10)
+  controller.abort()
+
+  await assert.rejects(p, { name: 'AbortError' })
+  await sleep(50)
+  assert.equal(storage.get('fetchSomething~42'), undefined)
+})
+
+test('timeout', async (t) => {
+  const { equal, rejects } = tspl(t, { plan: 6 })
+
+  const storage = createStorage()
+  let errors = 0
+  const cache = new Cache({
+    storage,
+    ttl: 10,
+    onError: () => { errors++ }
+  })
+
+  let originSignal
+  cache.define('fetchSomething', { timeout: 20 }, async (query, key, signal) => {
+    originSignal = signal
+    await sleep(100)
+    return { k: query }
+  })
+
+  const p1 = cache.fetchSomething(42)
+  const p2 = cache.fetchSomething(42)
+
+  await rejects(p1, { name: 'TimeoutError', message: 'fetchSomething timed out after 20ms' })
+  await rejects(p2, { name: 'TimeoutError' })
+  equal(originSignal.aborted, true)
+  equal(originSignal.reason.name, 'TimeoutError')
+  // the timeout is not an error of the original func
+  equal(errors, 0)
+
+  // the original func ignored the signal, so its result is cached anyway
+  await sleep(150)
+  equal(storage.get('fetchSomething~42').k, 42)
+})
+
+test('timeout does not fire on time', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 3 })
+
+  const cache = createCache({ ttl: 10 })
+
+  let originSignal
+  cache.define('fetchSomething', { timeout: 100 }, async (query, key, signal) => {
+    originSignal = signal
+    return { k: query }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  await sleep(150)
+  equal(originSignal.aborted, false)
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+})
+
+test('timeout with the original function failing on time', async (t) => {
+  const cache = createCache({ ttl: 10 })
+
+  cache.define('fetchSomething', { timeout: 100 }, async () => {
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+})
+
+test('timeout is not cached as an error', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let calls = 0
+  cache.define('fetchSomething', { timeout: 20, errorTtl: 10 }, async (query, key, signal) => {
+    calls++
+    await sleep(50)
+    signal.throwIfAborted()
+    return { k: query }
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { name: 'TimeoutError' })
+  await sleep(50)
+  assert.equal(storage.get('fetchSomething~42'), undefined)
+  await assert.rejects(cache.fetchSomething(42), { name: 'TimeoutError' })
+  assert.equal(calls, 2)
+})
+
+test('abort with timeout', async (t) => {
+  const cache = createCache({ ttl: 10 })
+
+  let originSignal
+  cache.define('fetchSomething', { timeout: 100 }, async (query, key, signal) => {
+    originSignal = signal
+    await sleep(50)
+    signal.throwIfAborted()
+    return { k: query }
+  })
+
+  const controller = new AbortController()
+  const p = cache.fetchSomething(42, { signal: controller.signal })
+  await sleep(10)
+  controller.abort(new Error('gone'))
+
+  await assert.rejects(p, { message: 'gone' })
+  assert.equal(originSignal.reason.message, 'gone')
+})
+
+test('abort and timeout keep the value stored meanwhile', async (t) => {
+  const storage = createStorage()
+  let errors = 0
+  const cache = new Cache({ storage, ttl: 10, onError: () => { errors++ } })
+
+  cache.define('fetchSomething', { timeout: 50 }, async (query, key, signal) => {
+    await sleep(100)
+    signal.throwIfAborted()
+    return { k: query }
+  })
+
+  const controller = new AbortController()
+  const p1 = cache.fetchSomething(42, { signal: controller.signal })
+  const p2 = cache.fetchSomething(43)
+  await sleep(10)
+  storage.set('fetchSomething~42', { k: 'stored' }, 10)
+  storage.set('fetchSomething~43', { k: 'stored' }, 10)
+  controller.abort()
+
+  await assert.rejects(p1, { name: 'AbortError' })
+  await assert.rejects(p2, { name: 'TimeoutError' })
+  await sleep(100)
+  assert.deepStrictEqual(storage.get('fetchSomething~42'), { k: 'stored' })
+  assert.deepStrictEqual(storage.get('fetchSomething~43'), { k: 'stored' })
+  assert.equal(errors, 0)
+
+  const { aborts, errors: errorsCount } = (await cache.stats()).functions.fetchSomething
+  assert.equal(aborts, 2)
+  assert.equal(errorsCount, 0)
+})
+
+test('timeout must be a positive integer', async (t) => {
+  const cache = createCache()
+
+  assert.throws(() => cache.define('fetchSomething', { timeout: 0 }, async () => {}), {
+    message: 'timeout must be a positive integer greater than 0'
+  })
+  assert.throws(() => cache.define('fetchSomething', { timeout: 1.5 }, async () => {}), {
+    message: 'timeout must be a positive integer greater than 0'
+  })
+})
@@ -630,6 +630,34 @@ describe('base', async () => {
     await cache.serializeWithError(1)
   })
 
+  test('close closes the storages created by the cache', async (t) => {
+    const storage = createStorage('memory', { sweep: { interval: 1000 } })
+    const cache = new Cache({ storage, ttl: 1 })
+    cache.define('fetchSomething', { storage: { type: 'memory', options: { sweep: { interval: 1000 } } } }, async (query) => query)
+    cache.define('fetchOther', { storage: { type: 'custom', options: { storage: { ...dummyStorage, async getTTL () {}, async exists () {} } } } }, async (query) => query)
+    cache.define('fetchDefault', async (query) => query)
+
+    const ownStorage = cache[kValues].fetchSomething.storage
+    const close = t.mock.method(ownStorage, 'close')
+    const closeDefault = t.mock.method(storage, 'close')
+
+    await cache.close()
+
+    assert.equal(close.mock.callCount(), 1)
+    // the storage passed to the constructor is not closed
+    assert.equal(closeDefault.mock.callCount(), 0)
+    storage.close()
+  })
+
+  test('close closes the storage of createCache', async (t) => {
+    const cache = createCache({ ttl: 1, storage: { type: 'memory', options: { sweep: { interval: 1000 } } } })
+    const close = t.mock.method(cache[kStorage], 'close')
+
+    await cache.close()
+
+    assert.equal(close.mock.callCount(), 1)
+  })
+
   describe('stale deduplication', async () => {
     test('should deduplicate concurrent requests during stale period with same key', async (t) => {
       const { equal } = tspl(t, { plan: 5 })
@@ -0,0 +1,223 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { tspl } = require('@matteo.collina/tspl')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache } = require('../')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+test('defineBatch', async (t) => {
+  const { deepStrictEqual } = tspl(t, { plan: 3 })
+
+  const cache = createCache({ ttl: 10 })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  const users = await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2), cache.fetchUsers(3)])
+  deepStrictEqual(users, [{ id: 1 }, { id: 2 }, { id: 3 }])
+
+  // the cached keys are not loaded again
+  const more = await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2), cache.fetchUsers(4)])
+  deepStrictEqual(more, [{ id: 1 }, { id: 2 }, { id: 4 }])
+
+  deepStrictEqual(calls, [[1, 2, 3], [4]])
+})
+
+test('defineBatch dedupes the keys', async (t) => {
+  const { deepStrictEqual } = tspl(t, { plan: 3 })
+
+  const cache = createCache({ ttl: 10, onDedupe: (key) => { deepStrictEqual(key, '1') } })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  const users = await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2), cache.fetchUsers(1)])
+  deepStrictEqual(users, [{ id: 1 }, { id: 2 }, { id: 1 }])
+  deepStrictEqual(calls, [[1, 2]])
+})
+
+test('defineBatch without cache', async (t) => {
+  const cache = createCache()
+
+  const calls = []
+  cache.defineBatch('fetchUsers', async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2)])
+  await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2)])
+
+  assert.deepStrictEqual(calls, [[1, 2], [1, 2]])
+})
+
+test('defineBatch with maxBatchSize', async (t) => {
+  const cache = createCache({ ttl: 10 })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', { maxBatchSize: 2 }, async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  const users = await Promise.all([1, 2, 3, 4, 5].map(id => cache.fetchUsers(id)))
+
+  assert.deepStrictEqual(users, [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }])
+  assert.deepStrictEqual(calls, [[1, 2], [3, 4], [5]])
+})
+
+test('defineBatch with serialize', async (t) => {
+  const cache = createCache({ ttl: 10 })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', { serialize: (args) => args.id }, async (args) => {
+    calls.push(args)
+    return args.map(({ id }) => ({ id }))
+  })
+
+  await Promise.all([cache.fetchUsers({ id: 1, name: 'a' }), cache.fetchUsers({ id: 1, name: 'b' }), cache.fetchUsers({ id: 2 })])
+
+  assert.deepStrictEqual(calls, [[{ id: 1, name: 'a' }, { id: 2 }]])
+  assert.equal(await cache.exists('fetchUsers', 'fetchUsers~1'), true)
+  assert.equal(await cache.exists('fetchUsers', 'fetchUsers~2'), true)
+})
+
+test('defineBatch rejects all the calls when the function fails', async (t) => {
+  const { equal } = tspl(t, { plan: 2 })
+
+  const cache = createCache({ ttl: 10, onError: (err) => { equal(err.message, 'kaboom') } })
+
+  cache.defineBatch('fetchUsers', async (ids) => {
+    throw new Error('kaboom')
+  })
+
+  const results = await Promise.allSettled([cache.fetchUsers(1), cache.fetchUsers(2)])
+  assert.deepStrictEqual(results.map(result => result.reason.message), ['kaboom', 'kaboom'])
+})
+
+test('defineBatch rejects all the calls when the function does not return a result for each args', async (t) => {
+  const cache = createCache({ ttl: 10 })
+
+  cache.defineBatch('fetchUsers', async (ids) => {
+    return [{ id: ids[0] }]
+  })
+  cache.defineBatch('fetchOthers', async (ids) => {
+    return { id: ids[0] }
+  })
+
+  const message = 'the batch function must return an array with a result for each args'
+  await Promise.all([
+    assert.rejects(cache.fetchUsers(1), { message }),
+    assert.rejects(cache.fetchUsers(2), { message }),
+    assert.rejects(cache.fetchOthers(1), { message })
+  ])
+})
+
+test('defineBatch rejects only the call of an error result', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let calls = 0
+  cache.defineBatch('fetchUsers', { errorTtl: 10 }, async (ids) => {
+    calls++
+    return ids.map(id => id === 2 ? new Error(`user ${id} not found`) : { id })
+  })
+
+  const results = await Promise.allSettled([cache.fetchUsers(1), cache.fetchUsers(2), cache.fetchUsers(3)])
+  assert.deepStrictEqual(results[0].value, { id: 1 })
+  assert.equal(results[1].reason.message, 'user 2 not found')
+  assert.deepStrictEqual(results[2].value, { id: 3 })
+
+  // the error is cached as well
+  await assert.rejects(cache.fetchUsers(2), { message: 'user 2 not found' })
+  assert.equal(calls, 1)
+})
+
+test('defineBatch with references', async (t) => {
+  const storage = createStorage('memory', { invalidation: true })
+  const cache = new Cache({ storage, ttl: 10 })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', {
+    references: (id, key, result) => [`user:${result.id}`]
+  }, async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2)])
+  await cache.invalidate('fetchUsers', 'user:1')
+  await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2)])
+
+  assert.deepStrictEqual(calls, [[1, 2], [1]])
+})
+
+test('defineBatch collects the misses of async storages', async (t) => {
+  const storage = createStorage()
+  const get = storage.get
+  storage.get = async function (key) {
+    await sleep(key.endsWith('1') ? 1 : 5)
+    return get.call(this, key)
+  }
+  const cache = new Cache({ storage, ttl: 10 })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2)])
+
+  assert.deepStrictEqual(calls, [[1], [2]])
+})
+
+test('defineBatch with stale', async (t) => {
+  const cache = createCache({ ttl: 1, stale: 9 })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2)])
+  await sleep(1500)
+  await Promise.all([cache.fetchUsers(1), cache.fetchUsers(2)])
+  await sleep(10)
+
+  assert.deepStrictEqual(calls, [[1, 2], [1, 2]])
+})
+
+test('defineBatch validation', async (t) => {
+  const cache = createCache()
+
+  assert.throws(() => cache.defineBatch('fetchUsers', { maxBatchSize: 0 }, async () => []), {
+    message: 'maxBatchSize must be a positive integer greater than 0'
+  })
+  assert.throws(() => cache.defineBatch('fetchUsers', { maxBatchSize: 1.5 }, async () => []), {
+    message: 'maxBatchSize must be a positive integer greater than 0'
+  })
+  assert.throws(() => cache.defineBatch('fetchUsers', null), {
+    message: 'Missing the function parameter for \'fetchUsers\''
+  })
+  assert.throws(() => cache.defineBatch('fetchUsers'), {
+    message: 'Missing the function parameter for \'fetchUsers\''
+  })
+
+  cache.defineBatch('fetchUsers', null, async (ids) => ids)
+  assert.throws(() => cache.defineBatch('fetchUsers', async (ids) => ids), {
+    message: 'fetchUsers is already defined in the cache or it is a forbidden name'
+  })
+})
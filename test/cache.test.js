@@ -219,6 +219,159 @@ describe('Cache', async (t) => {
     })
   })
 
+  describe('getMany', async (t) => {
+    test('should use storage to get many values', async (t) => {
+      const { deepStrictEqual } = tspl(t, { plan: 2 })
+
+      const cache = new Cache({
+        storage: {
+          async getMany (keys) {
+            deepStrictEqual(keys, ['foo', 'bar'])
+            return ['foo-value', undefined]
+          }
+        }
+      })
+      cache.define('f', () => 'the-value')
+
+      deepStrictEqual(await cache.getMany('f', ['foo', 'bar']), ['foo-value', undefined])
+    })
+
+    test('should fall back to get if the storage has no getMany', async (t) => {
+      const cache = new Cache({
+        storage: {
+          async get (key) {
+            return key === 'foo' ? 'foo-value' : undefined
+          }
+        }
+      })
+      cache.define('f', () => 'the-value')
+
+      assert.deepStrictEqual(await cache.getMany('f', ['foo', 'bar']), ['foo-value', undefined])
+    })
+
+    test('should deserialize the values with the transformer', async (t) => {
+      const cache = new Cache({
+        storage: createStorage(),
+        transformer: {
+          serialize: (value) => JSON.stringify(value),
+          deserialize: (data) => JSON.parse(data)
+        }
+      })
+      cache.define('f', () => 'the-value')
+
+      await cache.setMany('f', [{ key: 'foo', value: { a: 1 }, ttl: 10 }, { key: 'bar', value: { b: 2 }, ttl: 10 }])
+
+      assert.deepStrictEqual(await cache.getMany('f', ['foo', 'baz', 'bar']), [{ a: 1 }, undefined, { b: 2 }])
+      assert.equal(await cache[kStorage].get('foo'), '{"a":1}')
+    })
+
+    test('should get an error trying to use getMany of not defined name', async (t) => {
+      const cache = new Cache({ storage: createStorage() })
+      cache.define('f', () => 'the-value')
+
+      await assert.rejects(cache.getMany('fiiii', ['key']), { message: 'fiiii is not defined in the cache' })
+    })
+
+    test('should get an error trying to use getMany without an array of keys', async (t) => {
+      const cache = new Cache({ storage: createStorage() })
+      cache.define('f', () => 'the-value')
+
+      await assert.rejects(cache.getMany('f', 'key'), { message: 'keys must be an array' })
+    })
+  })
+
+  describe('setMany', async (t) => {
+    test('should use storage to set many values', async (t) => {
+      const { deepStrictEqual } = tspl(t, { plan: 1 })
+
+      const entries = [{ key: 'foo', value: 'bar', ttl: 9, references: ['fooers'] }]
+      const cache = new Cache({
+        storage: {
+          async setMany (entries) {
+            deepStrictEqual(entries, [{ key: 'foo', value: 'bar', ttl: 9, references: ['fooers'] }])
+          }
+        }
+      })
+      cache.define('f', () => 'the-value')
+
+      await cache.setMany('f', entries)
+    })
+
+    test('should fall back to set if the storage has no setMany', async (t) => {
+      const { deepStrictEqual } = tspl(t, { plan: 2 })
+
+      const cache = new Cache({
+        storage: {
+          async set (key, value, ttl, references) {
+            deepStrictEqual([key, value, ttl, references], key === 'foo' ? ['foo', 'bar', 9, ['fooers']] : ['baz', 'qux', 8, undefined])
+          }
+        }
+      })
+      cache.define('f', () => 'the-value')
+
+      await cache.setMany('f', [{ key: 'foo', value: 'bar', ttl: 9, references: ['fooers'] }, { key: 'baz', value: 'qux', ttl: 8 }])
+    })
+
+    test('should get an error trying to use setMany of not defined name', async (t) => {
+      const cache = new Cache({ storage: createStorage() })
+      cache.define('f', () => 'the-value')
+
+      await assert.rejects(cache.setMany('fiiii', []), { message: 'fiiii is not defined in the cache' })
+    })
+
+    test('should get an error trying to use setMany without an array of entries', async (t) => {
+      const cache = new Cache({ storage: createStorage() })
+      cache.define('f', () => 'the-value')
+
+      await assert.rejects(cache.setMany('f', { key: 'foo' }), { message: 'entries must be an array' })
+    })
+  })
+
+  describe('removeMany', async (t) => {
+    test('should use storage to remove many values', async (t) => {
+      const { deepStrictEqual } = tspl(t, { plan: 2 })
+
+      const cache = new Cache({
+        storage: {
+          async removeMany (keys) {
+            deepStrictEqual(keys, ['foo', 'bar'])
+            return [true, false]
+          }
+        }
+      })
+      cache.define('f', () => 'the-value')
+
+      deepStrictEqual(await cache.removeMany('f', ['foo', 'bar']), [true, false])
+    })
+
+    test('should fall back to remove if the storage has no removeMany', async (t) => {
+      const cache = new Cache({
+        storage: {
+          async remove (key) {
+            return key === 'foo'
+          }
+        }
+      })
+      cache.define('f', () => 'the-value')
+
+      assert.deepStrictEqual(await cache.removeMany('f', ['foo', 'bar']), [true, false])
+    })
+
+    test('should get an error trying to use removeMany of not defined name', async (t) => {
+      const cache = new Cache({ storage: createStorage() })
+      cache.define('f', () => 'the-value')
+
+      await assert.rejects(cache.removeMany('fiiii', ['key']), { message: 'fiiii is not defined in the cache' })
+    })
+
+    test('should get an error trying to use removeMany without an array of keys', async (t) => {
+      const cache = new Cache({ storage: createStorage() })
+      cache.define('f', () => 'the-value')
+
+      await assert.rejects(cache.removeMany('f', 'key'), { message: 'keys must be an array' })
+    })
+  })
+
   describe('invalidate', async (t) => {
     test('should use storage to get a value', async (t) => {
       const { deepStrictEqual } = tspl(t, { plan: 1 })
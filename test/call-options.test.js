@@ -0,0 +1,231 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache } = require('../')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+function defineCounting (cache, options) {
+  const calls = []
+  cache.define('fetchSomething', options || {}, async (query) => {
+    calls.push(query)
+    await sleep(10)
+    return { k: query, calls: calls.length }
+  })
+  return calls
+}
+
+test('bypass skips the storage but dedupes', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+  const calls = defineCounting(cache)
+
+  await cache.fetchSomething(42)
+
+  const bypass = cache.fetchSomething.withOptions({ bypass: true })
+  const results = await Promise.all([bypass(42), bypass(42)])
+  assert.deepStrictEqual(results, [{ k: 42, calls: 2 }, { k: 42, calls: 2 }])
+
+  // the stored value is not overwritten
+  assert.deepStrictEqual(storage.get('fetchSomething~42'), { k: 42, calls: 1 })
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+  assert.deepStrictEqual(calls, [42, 42])
+})
+
+test('bypass does not store nor remove on error', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let fail = false
+  cache.define('fetchSomething', { errorTtl: 10 }, async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  fail = true
+
+  await assert.rejects(cache.fetchSomething.withOptions({ bypass: true })(42), { message: 'kaboom' })
+  await sleep(10)
+  assert.deepStrictEqual(storage.get('fetchSomething~42'), { k: 42 })
+})
+
+test('forceRefresh recomputes and overwrites the stored value', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  const calls = defineCounting(cache)
+
+  await cache.fetchSomething(42)
+
+  const refresh = cache.fetchSomething.withOptions({ forceRefresh: true })
+  const results = await Promise.all([refresh(42), refresh(42), cache.fetchSomething(42)])
+  assert.deepStrictEqual(results, [{ k: 42, calls: 2 }, { k: 42, calls: 2 }, { k: 42, calls: 1 }])
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 2 })
+  assert.deepStrictEqual(calls, [42, 42])
+})
+
+test('forceRefresh keeps the stored value on error', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let fail = false
+  cache.define('fetchSomething', async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  fail = true
+
+  await assert.rejects(cache.fetchSomething(42, { forceRefresh: true }), { message: 'kaboom' })
+  await sleep(10)
+  assert.deepStrictEqual(storage.get('fetchSomething~42'), { k: 42 })
+})
+
+test('forceRefresh does not cache the error over the stored value', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let fail = false
+  let calls = 0
+  cache.define('fetchSomething', { errorTtl: 10 }, async (query) => {
+    calls++
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  fail = true
+
+  await assert.rejects(cache.fetchSomething.withOptions({ forceRefresh: true })(42), { message: 'kaboom' })
+  await sleep(10)
+  assert.deepStrictEqual(storage.get('fetchSomething~42'), { k: 42 })
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  assert.equal(calls, 2)
+})
+
+test('onlyIfCached reads the storage only', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  const calls = defineCounting(cache)
+
+  const cached = cache.fetchSomething.withOptions({ onlyIfCached: true })
+  assert.equal(await cached(42), undefined)
+
+  await cache.fetchSomething(42)
+  assert.deepStrictEqual(await cached(42), { k: 42, calls: 1 })
+  assert.deepStrictEqual(calls, [42])
+})
+
+test('onlyIfCached without cache', async (t) => {
+  const cache = createCache()
+  const calls = defineCounting(cache)
+
+  assert.equal(await cache.fetchSomething(42, { onlyIfCached: true }), undefined)
+  assert.deepStrictEqual(calls, [])
+})
+
+test('onlyIfCached replays the cached errors', async (t) => {
+  const cache = createCache()
+  cache.define('fetchSomething', { errorTtl: 10 }, async () => {
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42))
+  await assert.rejects(cache.fetchSomething(42, { onlyIfCached: true }), { message: 'kaboom' })
+})
+
+test('onlyIfCached does not refresh the stale values', async (t) => {
+  const cache = createCache({ ttl: 1, stale: 9 })
+  const calls = defineCounting(cache)
+
+  await cache.fetchSomething(42)
+  await sleep(1500)
+
+  assert.deepStrictEqual(await cache.fetchSomething(42, { onlyIfCached: true }), { k: 42, calls: 1 })
+  await sleep(50)
+  assert.deepStrictEqual(calls, [42])
+})
+
+test('onlyIfCached does not refresh early', async (t) => {
+  const cache = createCache({ ttl: 10, earlyRefresh: true })
+  const calls = defineCounting(cache)
+
+  await cache.fetchSomething(42)
+  t.mock.method(Math, 'random', () => Number.MIN_VALUE)
+
+  assert.deepStrictEqual(await cache.fetchSomething(42, { onlyIfCached: true }), { k: 42, calls: 1 })
+  await sleep(50)
+  assert.deepStrictEqual(calls, [42])
+})
+
+test('onlyIfCached does not serve the values kept for staleIfError', async (t) => {
+  const cache = createCache({ ttl: 1, staleIfError: 9 })
+  const calls = defineCounting(cache)
+
+  await cache.fetchSomething(42)
+  await sleep(1500)
+
+  assert.equal(await cache.fetchSomething(42, { onlyIfCached: true }), undefined)
+  assert.deepStrictEqual(calls, [42])
+})
+
+test('withOptions merges the call options', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  defineCounting(cache)
+
+  const refresh = cache.fetchSomething.withOptions({ forceRefresh: true })
+  const controller = new AbortController()
+  controller.abort(new Error('aborted'))
+
+  await assert.rejects(refresh(42, { signal: controller.signal }), { message: 'aborted' })
+  await assert.rejects(refresh(42, { bypass: true }), { message: 'only one of bypass, forceRefresh and onlyIfCached can be set' })
+})
+
+test('clear removes the pending calls of every mode', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  const calls = defineCounting(cache)
+
+  const refresh = cache.fetchSomething.withOptions({ forceRefresh: true })
+  const first = refresh(42)
+  await cache.clear('fetchSomething', 42)
+  const second = refresh(42)
+  await Promise.all([first, second])
+
+  const third = refresh(43)
+  await cache.clear('fetchSomething')
+  await Promise.all([third, refresh(43)])
+
+  assert.deepStrictEqual(calls, [42, 42, 43, 43])
+})
+
+test('defineBatch functions have withOptions', async (t) => {
+  const cache = createCache({ ttl: 10 })
+
+  const calls = []
+  cache.defineBatch('fetchUsers', async (ids) => {
+    calls.push(ids)
+    return ids.map(id => ({ id }))
+  })
+
+  await cache.fetchUsers(1)
+  await cache.fetchUsers.withOptions({ forceRefresh: true })(1)
+
+  assert.deepStrictEqual(calls, [[1], [1]])
+})
+
+test('withOptions validation', async (t) => {
+  const cache = createCache()
+  defineCounting(cache)
+
+  assert.throws(() => cache.fetchSomething.withOptions(), { message: 'options must be an object' })
+  assert.throws(() => cache.fetchSomething.withOptions({ bypass: true, onlyIfCached: true }), {
+    message: 'only one of bypass, forceRefresh and onlyIfCached can be set'
+  })
+  await assert.rejects(cache.fetchSomething(42, { forceRefresh: true, bypass: true }), {
+    message: 'only one of bypass, forceRefresh and onlyIfCached can be set'
+  })
+})
@@ -0,0 +1,219 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache } = require('../')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+test('earlyRefresh stores the compute time next to the value', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10, earlyRefresh: true })
+
+  cache.define('fetchSomething', async (query) => {
+    await sleep(50)
+    return { k: query }
+  })
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+
+  const stored = storage.get('fetchSomething~42')
+  assert.deepStrictEqual(stored['$acd:entry'].value, { k: 42 })
+  assert.ok(stored['$acd:entry'].delta >= 45)
+
+  assert.deepStrictEqual(await cache.get('fetchSomething', 'fetchSomething~42'), { k: 42 })
+  assert.deepStrictEqual(await cache.getMany('fetchSomething', ['fetchSomething~42']), [{ k: 42 }])
+})
+
+test('earlyRefresh refreshes in background before the expiry', async (t) => {
+  const cache = createCache({ ttl: 10, earlyRefresh: true })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    await sleep(50)
+    return { k: query, calls }
+  })
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+
+  // the luckiest draw, that refreshes even far from the expiry
+  t.mock.method(Math, 'random', () => Number.MIN_VALUE)
+
+  // the cached value is served meanwhile
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+  await sleep(100)
+
+  assert.equal(calls, 2)
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 2 })
+})
+
+test('earlyRefresh does not refresh far from the expiry', async (t) => {
+  const cache = createCache({ ttl: 10, earlyRefresh: 2 })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    await sleep(10)
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+
+  t.mock.method(Math, 'random', () => 0.5)
+
+  await cache.fetchSomething(42)
+  await sleep(50)
+
+  assert.equal(calls, 1)
+})
+
+test('earlyRefresh refreshes close to the expiry', async (t) => {
+  const cache = createCache({ ttl: 2, earlyRefresh: 10 })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    await sleep(100)
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+
+  // -ln(0.5) * 100ms * 10 is about 700ms, less than the 2 seconds to the expiry
+  t.mock.method(Math, 'random', () => 0.5)
+
+  await cache.fetchSomething(42)
+  await sleep(150)
+  assert.equal(calls, 1)
+
+  // but more than the remaining second
+  await sleep(1350)
+  await cache.fetchSomething(42)
+  await sleep(150)
+  assert.equal(calls, 2)
+})
+
+test('earlyRefresh with references and transformer', async (t) => {
+  const storage = createStorage('memory', { invalidation: true })
+  const cache = new Cache({
+    storage,
+    ttl: 10,
+    earlyRefresh: true,
+    transformer: {
+      serialize: (result) => ({ date: result.date.toISOString() }),
+      deserialize: (data) => ({ date: new Date(data.date) })
+    }
+  })
+
+  let calls = 0
+  cache.define('fetchSomething', { references: () => ['something'] }, async () => {
+    calls++
+    await sleep(50)
+    return { date: new Date(0) }
+  })
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { date: new Date(0) })
+  assert.deepStrictEqual(storage.get('fetchSomething~42')['$acd:entry'].value, { date: new Date(0).toISOString() })
+
+  t.mock.method(Math, 'random', () => Number.MIN_VALUE)
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { date: new Date(0) })
+  await sleep(100)
+  assert.equal(calls, 2)
+
+  await cache.invalidate('fetchSomething', ['something'])
+  assert.equal(storage.get('fetchSomething~42'), undefined)
+})
+
+test('earlyRefresh dedupes the refresh', async (t) => {
+  const cache = createCache({ ttl: 10, earlyRefresh: true })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    await sleep(50)
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+
+  t.mock.method(Math, 'random', () => Number.MIN_VALUE)
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+  await sleep(100)
+
+  assert.equal(calls, 2)
+})
+
+test('earlyRefresh does not refresh the values set without the compute time', async (t) => {
+  const cache = createCache({ ttl: 10, earlyRefresh: true })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    return { k: query }
+  })
+
+  await cache.set('fetchSomething', 'fetchSomething~42', { k: 'set' }, 10)
+
+  t.mock.method(Math, 'random', () => Number.MIN_VALUE)
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 'set' })
+  await sleep(50)
+  assert.equal(calls, 0)
+})
+
+test('earlyRefresh leaves the refresh to stale once in the stale window', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 1, stale: 9, earlyRefresh: true })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    await sleep(10)
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  await sleep(1500)
+
+  const random = t.mock.method(Math, 'random', () => Number.MIN_VALUE)
+
+  await cache.fetchSomething(42)
+  await sleep(50)
+
+  assert.equal(calls, 2)
+  assert.equal(random.mock.callCount(), 0)
+})
+
+test('earlyRefresh on define overrides the constructor one', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10, earlyRefresh: true })
+
+  cache.define('fetchSomething', { earlyRefresh: false }, async (query) => ({ k: query }))
+  cache.define('fetchSomethingElse', async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomethingElse(42)
+
+  assert.deepStrictEqual(storage.get('fetchSomething~42'), { k: 42 })
+  assert.deepStrictEqual(storage.get('fetchSomethingElse~42')['$acd:entry'].value, { k: 42 })
+})
+
+test('earlyRefresh must be a boolean or a positive number', async (t) => {
+  const message = 'earlyRefresh must be a boolean or a number greater than 0'
+
+  assert.throws(() => createCache({ earlyRefresh: 0 }), { message })
+  assert.throws(() => createCache({ earlyRefresh: 'yes' }), { message })
+
+  const cache = createCache()
+  assert.throws(() => cache.define('fetchSomething', { earlyRefresh: -1 }, async () => {}), { message })
+  assert.throws(() => cache.define('fetchSomething', { earlyRefresh: Infinity }, async () => {}), { message })
+})
@@ -0,0 +1,295 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { tspl } = require('@matteo.collina/tspl')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache } = require('../')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+test('errorTtl', async (t) => {
+  const { equal } = tspl(t, { plan: 6 })
+
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let calls = 0
+  cache.define('fetchSomething', { errorTtl: 1 }, async (query) => {
+    calls++
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  equal(calls, 1)
+  equal(storage.getTTL('fetchSomething~42'), 1)
+
+  // the error is replayed without calling the original function
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  equal(calls, 1)
+
+  await assert.rejects(cache.fetchSomething(43), { message: 'kaboom' })
+  equal(calls, 2)
+
+  await sleep(2500)
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  equal(calls, 3)
+  equal(storage.getTTL('fetchSomething~42'), 1)
+})
+
+test('errorTtl replaces the error with the value once expired', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let fail = true
+  cache.define('fetchSomething', { errorTtl: 1 }, async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  fail = false
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+
+  await sleep(2500)
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  assert.equal(storage.getTTL('fetchSomething~42'), 10)
+})
+
+test('errorTtl without ttl caches only the errors', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage })
+
+  let calls = 0
+  cache.define('fetchSomething', { errorTtl: 1 }, async (query) => {
+    calls++
+    if (query.fail) { throw new Error('kaboom') }
+    return { k: query.k }
+  })
+
+  await assert.rejects(cache.fetchSomething({ fail: true }), { message: 'kaboom' })
+  await assert.rejects(cache.fetchSomething({ fail: true }), { message: 'kaboom' })
+  assert.equal(calls, 1)
+
+  assert.deepStrictEqual(await cache.fetchSomething({ k: 1 }), { k: 1 })
+  assert.deepStrictEqual(await cache.fetchSomething({ k: 1 }), { k: 1 })
+  assert.equal(calls, 3)
+})
+
+test('errorTtl replays the error properties', async (t) => {
+  class HttpError extends Error {
+    constructor (message, statusCode) {
+      super(message)
+      this.name = 'HttpError'
+      this.statusCode = statusCode
+    }
+  }
+
+  const cache = createCache({ ttl: 10 })
+  cache.define('fetchSomething', { errorTtl: 10 }, async (query) => {
+    if (query === 'http') {
+      throw new HttpError('not found', 404)
+    }
+    const err = new TypeError('invalid', { cause: new Error('bad input') })
+    err.code = 'E_INVALID'
+    throw err
+  })
+
+  const errors = []
+  for (let i = 0; i < 2; i++) {
+    try { await cache.fetchSomething('http') } catch (err) { errors.push(err) }
+    try { await cache.fetchSomething('type') } catch (err) { errors.push(err) }
+  }
+  const [httpError, typeError, replayedHttpError, replayedTypeError] = errors
+
+  assert.ok(replayedHttpError instanceof Error)
+  assert.equal(replayedHttpError.name, 'HttpError')
+  assert.equal(replayedHttpError.message, 'not found')
+  assert.equal(replayedHttpError.statusCode, 404)
+  assert.equal(replayedHttpError.stack, httpError.stack)
+
+  assert.ok(replayedTypeError instanceof TypeError)
+  assert.equal(replayedTypeError.name, 'TypeError')
+  assert.equal(replayedTypeError.message, 'invalid')
+  assert.equal(replayedTypeError.code, 'E_INVALID')
+  assert.equal(replayedTypeError.stack, typeError.stack)
+  assert.ok(replayedTypeError.cause instanceof Error)
+  assert.equal(replayedTypeError.cause.message, 'bad input')
+})
+
+test('errorTtl replays the error with a transformer', async (t) => {
+  const { equal } = tspl(t, { plan: 4 })
+
+  const cache = new Cache({
+    storage: createStorage(),
+    ttl: 10,
+    transformer: {
+      serialize: (result) => ({ date: result.date.toISOString() }),
+      deserialize: (data) => ({ date: new Date(data.date) })
+    },
+    onError: (err) => { equal(err.message, 'kaboom') }
+  })
+
+  let calls = 0
+  cache.define('fetchSomething', { errorTtl: 10, references: () => ['something'] }, async (query) => {
+    calls++
+    const err = new Error('kaboom')
+    err.cause = 'origin'
+    throw err
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+
+  const err = await cache.fetchSomething(42).catch(err => err)
+  equal(err.cause, 'origin')
+  equal(calls, 1)
+})
+
+test('errorTtl errors are misses for get and getMany', async (t) => {
+  const cache = new Cache({
+    storage: createStorage(),
+    ttl: 10,
+    transformer: {
+      serialize: (result) => ({ k: result.k }),
+      deserialize: (data) => ({ k: data.k, deserialized: true })
+    }
+  })
+
+  cache.define('fetchSomething', { errorTtl: 10 }, async (query) => {
+    if (query === 42) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  await cache.fetchSomething(43)
+
+  assert.equal(await cache.get('fetchSomething', 'fetchSomething~42'), undefined)
+  assert.deepStrictEqual(await cache.getMany('fetchSomething', ['fetchSomething~42', 'fetchSomething~43']), [undefined, { k: 43, deserialized: true }])
+
+  // the error is still replayed to the callers
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+})
+
+test('errorTtl with cacheError', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+
+  let calls = 0
+  cache.define('fetchSomething', {
+    errorTtl: 10,
+    cacheError: (err) => err.statusCode === 404
+  }, async (statusCode) => {
+    calls++
+    const err = new Error('kaboom')
+    err.statusCode = statusCode
+    throw err
+  })
+
+  await assert.rejects(cache.fetchSomething(404), { statusCode: 404 })
+  await assert.rejects(cache.fetchSomething(404), { statusCode: 404 })
+  assert.equal(calls, 1)
+
+  await assert.rejects(cache.fetchSomething(500), { statusCode: 500 })
+  await assert.rejects(cache.fetchSomething(500), { statusCode: 500 })
+  assert.equal(calls, 3)
+})
+
+test('errorTtl does not cache the error if cacheError throws', async (t) => {
+  const { equal } = tspl(t, { plan: 3 })
+
+  const cache = new Cache({
+    storage: createStorage(),
+    ttl: 10,
+    onError: (err) => { equal(['kaboom', 'cacheError kaboom'].includes(err.message), true) }
+  })
+
+  cache.define('fetchSomething', {
+    errorTtl: 10,
+    cacheError: () => { throw new Error('cacheError kaboom') }
+  }, async () => {
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  equal(await cache.exists('fetchSomething', 'fetchSomething~42'), false)
+})
+
+test('errorTtl does not cache what is not an error', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+
+  let calls = 0
+  cache.define('fetchSomething', { errorTtl: 10 }, async () => {
+    calls++
+    // eslint-disable-next-line no-throw-literal
+    throw 'kaboom'
+  })
+
+  await assert.rejects(cache.fetchSomething(42), (err) => err === 'kaboom')
+  await assert.rejects(cache.fetchSomething(42), (err) => err === 'kaboom')
+  assert.equal(calls, 2)
+})
+
+test('errorTtl dedupes the calls', async (t) => {
+  const { equal } = tspl(t, { plan: 2 })
+
+  const cache = new Cache({
+    storage: createStorage(),
+    ttl: 10,
+    onDedupe: (key) => { equal(key, '42') }
+  })
+
+  cache.define('fetchSomething', { errorTtl: 10 }, async () => {
+    await sleep(10)
+    throw new Error('kaboom')
+  })
+
+  const results = await Promise.allSettled([cache.fetchSomething(42), cache.fetchSomething(42)])
+  equal(results.every(result => result.reason.message === 'kaboom'), true)
+})
+
+test('errorTtl does not replace the value served by staleIfError', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 4 })
+
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 1, staleIfError: 9 })
+
+  let fail = false
+  cache.define('fetchSomething', { errorTtl: 10 }, async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  await sleep(2500)
+
+  fail = true
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  deepStrictEqual(storage.get('fetchSomething~42'), { k: 42 })
+  equal(storage.getTTL('fetchSomething~42') > 0, true)
+})
+
+test('errorTtl must be a positive integer', async (t) => {
+  const cache = new Cache({ storage: createStorage() })
+
+  assert.throws(() => cache.define('fetchSomething', { errorTtl: 1.5 }, async () => {}), {
+    message: 'errorTtl must be an integer greater or equal to 0'
+  })
+  assert.throws(() => cache.define('fetchSomething', { errorTtl: -1 }, async () => {}), {
+    message: 'errorTtl must be an integer greater or equal to 0'
+  })
+  assert.throws(() => cache.define('fetchSomething', { errorTtl: '10' }, async () => {}), {
+    message: 'errorTtl must be an integer greater or equal to 0'
+  })
+})
+
+test('cacheError must be a function', async (t) => {
+  const cache = new Cache({ storage: createStorage() })
+
+  assert.throws(() => cache.define('fetchSomething', { errorTtl: 10, cacheError: true }, async () => {}), {
+    message: 'cacheError must be a function'
+  })
+})
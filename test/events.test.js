@@ -0,0 +1,335 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { tspl } = require('@matteo.collina/tspl')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache } = require('../')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+/**
+ * @returns {Array} the payloads of the events, with the event name
+ */
+function listen (cache, events) {
+  const payloads = []
+  for (const event of events) {
+    cache.on(event, (payload) => { payloads.push({ event, ...payload }) })
+  }
+  return payloads
+}
+
+test('hit, miss, dedupe and set events', async (t) => {
+  const { equal } = tspl(t, { plan: 3 })
+
+  const cache = createCache({
+    ttl: 10,
+    // the callbacks keep working along with the events
+    onHit: (key) => { equal(key, '42') },
+    onMiss: (key) => { equal(key, '42') },
+    onDedupe: (key) => { equal(key, '42') }
+  })
+  const payloads = listen(cache, ['hit', 'miss', 'dedupe', 'set'])
+
+  cache.define('fetchSomething', async (query) => {
+    await sleep(10)
+    return { k: query }
+  })
+
+  await Promise.all([cache.fetchSomething(42), cache.fetchSomething(42)])
+  await cache.fetchSomething(42)
+
+  assert.deepStrictEqual(payloads.map(({ durationMs, ...payload }) => payload), [
+    { event: 'dedupe', name: 'fetchSomething', key: '42', args: 42, storage: '_default', stage: 'dedupe' },
+    { event: 'miss', name: 'fetchSomething', key: '42', args: 42, storage: '_default', stage: 'get' },
+    { event: 'set', name: 'fetchSomething', key: '42', args: 42, storage: '_default', stage: 'origin' },
+    { event: 'hit', name: 'fetchSomething', key: '42', args: 42, storage: '_default', stage: 'get' }
+  ])
+  assert.equal(payloads[0].durationMs, undefined)
+  assert.equal(typeof payloads[1].durationMs, 'number')
+  assert.ok(payloads[2].durationMs >= 9)
+})
+
+test('the payload has the storage of the function', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  const payloads = listen(cache, ['set'])
+
+  cache.define('fetchSomething', { storage: { type: 'memory' }, references: (args) => [`some:${args}`] }, async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+
+  assert.equal(payloads[0].storage, 'fetchSomething')
+})
+
+test('set event for cache.set and cache.setMany', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+  const payloads = listen(cache, ['set'])
+
+  await cache.set('fetchSomething', 'fetchSomething~1', { k: 1 }, 10)
+  await cache.setMany('fetchSomething', [{ key: 'fetchSomething~2', value: { k: 2 }, ttl: 10 }])
+
+  assert.deepStrictEqual(payloads.map(({ key, stage }) => [key, stage]), [
+    ['fetchSomething~1', 'set'],
+    ['fetchSomething~2', 'set']
+  ])
+})
+
+test('set event for the cached errors', async (t) => {
+  const cache = createCache()
+  const payloads = listen(cache, ['set', 'hit'])
+
+  cache.define('fetchSomething', { errorTtl: 10 }, async () => {
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42))
+  await assert.rejects(cache.fetchSomething(42))
+
+  assert.deepStrictEqual(payloads.map(({ event, key, stage }) => [event, key, stage]), [
+    ['set', '42', 'error'],
+    ['hit', '42', 'get']
+  ])
+})
+
+test('evict event', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+  const payloads = listen(cache, ['evict'])
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  await cache.fetchSomething(3)
+
+  await cache.clear('fetchSomething', 1)
+  assert.deepStrictEqual(await cache.removeMany('fetchSomething', ['fetchSomething~2', 'fetchSomething~4']), [true, false])
+  await cache.clear('fetchSomething')
+
+  assert.deepStrictEqual(payloads.map(({ key, args, stage }) => [key, args, stage]), [
+    ['1', 1, 'clear'],
+    ['fetchSomething~2', undefined, 'remove'],
+    [undefined, undefined, 'clear']
+  ])
+})
+
+test('evict event with the storage without removeMany', async (t) => {
+  const storage = createStorage()
+  storage.removeMany = undefined
+  const cache = new Cache({ storage, ttl: 10 })
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+  const payloads = listen(cache, ['evict'])
+
+  await cache.fetchSomething(1)
+  await cache.removeMany('fetchSomething', ['fetchSomething~1'])
+
+  assert.deepStrictEqual(payloads.map(({ key }) => key), ['fetchSomething~1'])
+})
+
+test('invalidate event', async (t) => {
+  const cache = createCache({ ttl: 10, storage: { type: 'memory', options: { invalidation: true } } })
+  cache.define('fetchSomething', { references: (args) => [`some:${args}`] }, async (query) => ({ k: query }))
+  const payloads = listen(cache, ['invalidate'])
+
+  await cache.fetchSomething(42)
+  await cache.invalidate('fetchSomething', ['some:42'])
+  await cache.invalidateAll('some:*')
+
+  assert.deepStrictEqual(payloads.map(({ durationMs, ...payload }) => payload), [
+    { event: 'invalidate', name: 'fetchSomething', key: undefined, args: undefined, storage: '_default', stage: 'invalidate', references: ['some:42'], keys: ['fetchSomething~42'] },
+    { event: 'invalidate', name: undefined, key: undefined, args: undefined, storage: '_default', stage: 'invalidate', references: 'some:*', keys: [] }
+  ])
+  assert.equal(typeof payloads[1].durationMs, 'number')
+})
+
+test('stale-refresh event', async (t) => {
+  const cache = createCache({ ttl: 1, stale: 9 })
+  const payloads = listen(cache, ['stale-refresh', 'error'])
+
+  let fail = false
+  cache.define('fetchSomething', async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  await sleep(2500)
+  await cache.fetchSomething(42)
+  await sleep(10)
+
+  fail = true
+  await sleep(1000)
+  // the stored value is served, and the error is only emitted
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  await sleep(10)
+
+  assert.deepStrictEqual(payloads.map(({ event, key, stage }) => [event, key, stage]), [
+    ['stale-refresh', '42', 'stale'],
+    ['error', '42', 'refresh']
+  ])
+  assert.equal(payloads[1].error.message, 'kaboom')
+})
+
+test('stale-refresh event on early refresh', async (t) => {
+  const cache = createCache({ ttl: 10, earlyRefresh: true })
+  const payloads = listen(cache, ['stale-refresh'])
+
+  cache.define('fetchSomething', async (query) => {
+    await sleep(50)
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  t.mock.method(Math, 'random', () => Number.MIN_VALUE)
+  await cache.fetchSomething(42)
+  await sleep(100)
+
+  assert.deepStrictEqual(payloads.map(({ stage }) => stage), ['early-refresh'])
+  assert.ok(payloads[0].durationMs >= 45)
+})
+
+test('error event with the stage', async (t) => {
+  const { equal } = tspl(t, { plan: 1 })
+
+  const cache = createCache({ ttl: 10, onError: (err) => { equal(err.message, 'kaboom') } })
+  const payloads = listen(cache, ['error'])
+
+  cache.define('fetchSomething', async () => {
+    await sleep(10)
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42))
+
+  assert.equal(payloads.length, 1)
+  const { durationMs, error, ...payload } = payloads[0]
+  assert.deepStrictEqual(payload, { event: 'error', name: 'fetchSomething', key: '42', args: 42, storage: '_default', stage: 'origin' })
+  assert.equal(error.message, 'kaboom')
+  assert.ok(durationMs >= 9)
+})
+
+test('abort event on timeout and on the abort of the callers', async (t) => {
+  const cache = createCache()
+  const payloads = listen(cache, ['abort', 'error'])
+
+  cache.define('fetchSomething', { timeout: 10 }, async () => {
+    await sleep(50)
+  })
+  cache.define('fetchSomethingElse', async (query, key, signal) => {
+    await sleep(50)
+    signal.throwIfAborted()
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { name: 'TimeoutError' })
+  await assert.rejects(cache.fetchSomethingElse(42, { signal: AbortSignal.timeout(10) }), { name: 'TimeoutError' })
+  // the caller doesn't wait for the original function to be aborted
+  await sleep(50)
+
+  assert.deepStrictEqual(payloads.map(({ event, name, stage, durationMs, error }) => [event, name, stage, durationMs, error.name]), [
+    ['abort', 'fetchSomething', 'timeout', 10, 'TimeoutError'],
+    ['abort', 'fetchSomethingElse', 'abort', undefined, 'TimeoutError']
+  ])
+})
+
+test('error event on the stale served', async (t) => {
+  const cache = createCache({ ttl: 1, staleIfError: 9 })
+  const payloads = listen(cache, ['error'])
+
+  let fail = false
+  cache.define('fetchSomething', async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  await sleep(1500)
+  fail = true
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  assert.deepStrictEqual(payloads.map(({ key, stage }) => [key, stage]), [['42', 'origin']])
+})
+
+test('error event of the cache stages', async (t) => {
+  const cache = createCache({ ttl: 10, storage: { type: 'memory', options: { invalidation: true } } })
+  const payloads = listen(cache, ['error'])
+
+  cache.define('fetchSerialize', { serialize: () => { throw new Error('serialize') } }, async () => 'value')
+  cache.define('fetchTtl', { ttl: () => 'ten' }, async () => 'value')
+  cache.define('fetchReferences', { references: () => { throw new Error('references') } }, async () => 'value')
+  cache.define('fetchCacheError', { errorTtl: 10, cacheError: () => { throw new Error('cacheError') } }, async () => {
+    throw new Error('kaboom')
+  })
+
+  assert.equal(await cache.fetchSerialize(42), undefined)
+  assert.equal(await cache.fetchTtl(42), 'value')
+  assert.equal(await cache.fetchReferences(42), 'value')
+  await assert.rejects(cache.fetchCacheError(42), { message: 'kaboom' })
+
+  assert.deepStrictEqual(payloads.map(({ name, key, stage, error }) => [name, key, stage, error.message]), [
+    ['fetchSerialize', undefined, 'serialize', 'serialize'],
+    ['fetchTtl', '42', 'ttl', 'ttl must be an integer'],
+    ['fetchReferences', '42', 'references', 'references'],
+    ['fetchCacheError', '42', 'cache-error', 'cacheError'],
+    ['fetchCacheError', '42', 'origin', 'kaboom']
+  ])
+})
+
+test('error event of the storage', async (t) => {
+  const storage = createStorage()
+  storage.get = async () => { throw new Error('storage') }
+  const cache = new Cache({ storage, ttl: 10 })
+  const payloads = listen(cache, ['error'])
+
+  cache.define('fetchSomething', async () => 'value')
+  cache.define('fetchOther', async () => {
+    // eslint-disable-next-line no-throw-literal
+    throw 'kaboom'
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'storage' })
+  storage.get = async () => undefined
+  await assert.rejects(cache.fetchOther(42))
+
+  assert.deepStrictEqual(payloads.map(({ stage, error }) => [stage, error.message || error]), [
+    ['storage', 'storage'],
+    // the stage of a thrown primitive can't be tracked
+    ['storage', 'kaboom']
+  ])
+})
+
+test('off removes the listener', async (t) => {
+  const cache = createCache({ ttl: 10 })
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+
+  const hits = []
+  const listener = ({ key }) => { hits.push(key) }
+  const once = ({ key }) => {
+    hits.push(`once ${key}`)
+    cache.off('hit', once)
+  }
+  assert.equal(cache.on('hit', listener), cache)
+  cache.on('hit', once)
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+
+  assert.equal(cache.off('hit', listener), cache)
+  // not a listener anymore
+  cache.off('hit', listener)
+  cache.off('miss', listener)
+  await cache.fetchSomething(42)
+
+  assert.deepStrictEqual(hits, ['42', 'once 42', '42'])
+})
+
+test('on and off validation', async (t) => {
+  const cache = createCache()
+
+  assert.throws(() => cache.on('hits', () => {}), {
+    message: 'event must be one of hit, miss, dedupe, set, evict, invalidate, stale-refresh, abort, error'
+  })
+  assert.throws(() => cache.on('hit'), { message: 'listener must be a function' })
+  assert.throws(() => cache.off('hit', 'listener'), { message: 'listener must be a function' })
+})
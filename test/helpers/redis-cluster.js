@@ -0,0 +1,79 @@
+'use strict'
+
+const calculateSlot = require('cluster-key-slot')
+
+const SLOTS = 16384
+const COMMANDS = ['get', 'set', 'exists', 'pttl', 'ttl', 'smembers', 'sadd', 'srem', 'expire', 'del']
+
+/**
+ * minimal redis cluster client, on the model of ioredis Cluster, for tests
+ * the slots are split in ranges among the nodes, that are standalone clients;
+ * as on a real cluster, commands fail when their keys don't hash to the same slot
+ * and pipelines fail when their keys don't belong to the same node
+ */
+class RedisClusterMock {
+  /**
+   * @param {Redis[]} nodes
+   */
+  constructor (nodes) {
+    this.isCluster = true
+    this.masters = nodes
+    this.slots = []
+    for (let slot = 0; slot < SLOTS; slot++) {
+      this.slots[slot] = [`node${this.getNodeIndex(slot)}`]
+    }
+
+    for (const command of COMMANDS) {
+      this[command] = async (...args) => {
+        const keys = command === 'del' || command === 'exists' ? args : [args[0]]
+        return this.getNode(keys)[command](...args)
+      }
+    }
+  }
+
+  getNodeIndex (slot) {
+    return Math.floor(slot * this.masters.length / SLOTS)
+  }
+
+  getNode (keys) {
+    const slot = calculateSlot(keys[0])
+    for (const key of keys) {
+      if (calculateSlot(key) !== slot) {
+        throw new Error('CROSSSLOT Keys in request don\'t hash to the same slot')
+      }
+    }
+    return this.masters[this.getNodeIndex(slot)]
+  }
+
+  nodes () {
+    return this.masters
+  }
+
+  async evalsha (sha, numKeys, ...args) {
+    return this.getNode(args.slice(0, numKeys)).evalsha(sha, numKeys, ...args)
+  }
+
+  // as ioredis Cluster, scripts are loaded on a random node
+  async script (...args) {
+    return this.masters[0].script(...args)
+  }
+
+  async scan () {
+    throw new Error('scan runs on a single node, use nodes()')
+  }
+
+  async flushall () {
+    throw new Error('flushall runs on a single node, use nodes()')
+  }
+
+  pipeline (commands) {
+    const nodes = new Set(commands.map(([, key]) => this.getNode([key])))
+    if (nodes.size > 1) {
+      return { exec: async () => { throw new Error('All keys in the pipeline should belong to the same slots allocation group') } }
+    }
+    const [node = this.masters[0]] = nodes
+    return node.pipeline(commands)
+  }
+}
+
+module.exports = RedisClusterMock
@@ -0,0 +1,225 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache, toPrometheus } = require('../')
+
+const sleep = promisify(setTimeout)
+
+test('stats counts the events of each defined function', async (t) => {
+  const cache = createCache({ ttl: 1, staleIfError: 9 })
+
+  let fail = false
+  cache.define('fetchSomething', async (query) => {
+    await sleep(10)
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+  cache.define('fetchSomethingElse', async (query) => ({ k: query }))
+
+  await Promise.all([cache.fetchSomething(42), cache.fetchSomething(42)])
+  await cache.fetchSomething(42)
+  await sleep(1500)
+  fail = true
+  await cache.fetchSomething(42)
+  await assert.rejects(cache.fetchSomething(43))
+
+  const { functions } = await cache.stats()
+  const { latency, ...counters } = functions.fetchSomething
+  assert.deepStrictEqual(counters, {
+    hits: 1,
+    misses: 3,
+    dedupes: 1,
+    staleServed: 1,
+    // the error served as stale, and the failed call
+    errors: 2,
+    aborts: 0,
+    sets: 1
+  })
+  assert.equal(latency.count, 3)
+  assert.ok(latency.sum >= 25)
+
+  assert.deepStrictEqual(functions.fetchSomethingElse, {
+    hits: 0,
+    misses: 0,
+    dedupes: 0,
+    staleServed: 0,
+    errors: 0,
+    aborts: 0,
+    sets: 0,
+    latency: {
+      count: 0,
+      sum: 0,
+      buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, Infinity].map(le => ({ le, count: 0 }))
+    }
+  })
+})
+
+test('stats keeps the latency histogram with cumulative buckets', async (t) => {
+  const cache = createCache()
+
+  const durations = [3, 70, 20000]
+  let call = 0
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+  t.mock.method(Date, 'now', () => {
+    // the start and the end of each call
+    const duration = durations[Math.floor(call / 2)]
+    return call++ % 2 === 0 ? 0 : duration
+  })
+
+  for (let i = 0; i < durations.length; i++) {
+    await cache.fetchSomething(i)
+  }
+  t.mock.restoreAll()
+
+  const { latency } = (await cache.stats()).functions.fetchSomething
+  assert.equal(latency.count, 3)
+  assert.equal(latency.sum, 20073)
+  assert.deepStrictEqual(latency.buckets.map(bucket => bucket.count), [1, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 3])
+})
+
+test('stats counts the latency of the failed calls', async (t) => {
+  const cache = createCache()
+
+  cache.define('fetchSomething', async () => {
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42))
+
+  const { errors, latency } = (await cache.stats()).functions.fetchSomething
+  assert.equal(errors, 1)
+  assert.equal(latency.count, 1)
+})
+
+test('stats counts the sets with references', async (t) => {
+  const cache = createCache({ ttl: 10, storage: { type: 'memory', options: { invalidation: true } } })
+
+  cache.define('fetchSomething', { references: (args, key, result) => [`some:${result.k}`] }, async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(43)
+
+  assert.equal((await cache.stats()).functions.fetchSomething.sets, 2)
+})
+
+test('stats gets the size of the storages', async (t) => {
+  const cache = createCache({ ttl: 10, storage: { type: 'memory', options: { size: 100 } } })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+  cache.define('fetchSomethingElse', { storage: { type: 'memory', options: { size: 10 } } }, async (query) => ({ k: query }))
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  await cache.fetchSomethingElse(1)
+
+  assert.deepStrictEqual((await cache.stats()).storages, {
+    _default: { type: 'memory', size: 2, capacity: 100 },
+    fetchSomethingElse: { type: 'memory', size: 1, capacity: 10 }
+  })
+})
+
+test('stats skips the storages without stats', async (t) => {
+  const cache = new Cache({
+    storage: {
+      async get () { },
+      async set () { }
+    }
+  })
+
+  assert.deepStrictEqual(await cache.stats(), { functions: {}, storages: {} })
+})
+
+test('metricsSink gets every metric', async (t) => {
+  const metrics = []
+  const cache = createCache({
+    ttl: 10,
+    metricsSink: (metric) => { metrics.push(metric) }
+  })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+
+  assert.deepStrictEqual(metrics.map(({ name, metric, value }) => [name, metric, metric === 'latency' ? typeof value : value]), [
+    ['fetchSomething', 'misses', 1],
+    ['fetchSomething', 'latency', 'number'],
+    ['fetchSomething', 'sets', 1],
+    ['fetchSomething', 'hits', 1]
+  ])
+})
+
+test('metricsSink must be a function', async (t) => {
+  assert.throws(() => createCache({ metricsSink: true }), { message: 'metricsSink must be a function' })
+})
+
+test('toPrometheus', async (t) => {
+  const cache = createCache({ ttl: 10, storage: { type: 'memory', options: { size: 100 } } })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+  cache.define('fetch"Something"\\Else\n', async (query) => ({ k: query }))
+
+  t.mock.method(Date, 'now', () => 0)
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+  t.mock.restoreAll()
+
+  const stats = await cache.stats()
+  stats.storages.remote = { type: 'redis' }
+  const text = toPrometheus(stats)
+
+  assert.ok(text.endsWith('\n'))
+  const lines = text.split('\n')
+  for (const line of [
+    '# HELP acd_hits_total Calls served by the cache',
+    '# TYPE acd_hits_total counter',
+    'acd_hits_total{name="fetchSomething"} 1',
+    'acd_hits_total{name="fetch\\"Something\\"\\\\Else\\n"} 0',
+    'acd_misses_total{name="fetchSomething"} 1',
+    'acd_dedupes_total{name="fetchSomething"} 0',
+    'acd_stale_served_total{name="fetchSomething"} 0',
+    'acd_errors_total{name="fetchSomething"} 0',
+    'acd_aborts_total{name="fetchSomething"} 0',
+    'acd_sets_total{name="fetchSomething"} 1',
+    '# TYPE acd_origin_duration_seconds histogram',
+    'acd_origin_duration_seconds_bucket{name="fetchSomething",le="0.005"} 1',
+    'acd_origin_duration_seconds_bucket{name="fetchSomething",le="10"} 1',
+    'acd_origin_duration_seconds_bucket{name="fetchSomething",le="+Inf"} 1',
+    'acd_origin_duration_seconds_sum{name="fetchSomething"} 0',
+    'acd_origin_duration_seconds_count{name="fetchSomething"} 1',
+    '# TYPE acd_storage_size gauge',
+    'acd_storage_size{storage="_default",type="memory"} 1',
+    '# TYPE acd_storage_capacity gauge',
+    'acd_storage_capacity{storage="_default",type="memory"} 100'
+  ]) {
+    assert.ok(lines.includes(line), `${line} should be in the exposition`)
+  }
+  assert.equal(lines.filter(line => line.includes('storage="remote"')).length, 0)
+
+  assert.ok(toPrometheus(stats, { prefix: 'cache_' }).includes('cache_hits_total{name="fetchSomething"} 1'))
+})
+
+test('toPrometheus with the bytes of the memory storage', async (t) => {
+  const cache = createCache({ ttl: 10, storage: { type: 'memory', options: { maxBytes: 1000, maxEntryBytes: 20 } } })
+
+  cache.define('fetchSomething', async (query) => query)
+  await cache.fetchSomething('small')
+  await cache.fetchSomething('big'.repeat(10))
+
+  const stats = await cache.stats()
+  assert.deepStrictEqual(stats.storages._default, { type: 'memory', size: 1, capacity: 1024, bytes: 5, maxBytes: 1000, oversized: 1 })
+
+  const lines = toPrometheus(stats).split('\n')
+  for (const line of [
+    '# TYPE acd_storage_bytes gauge',
+    'acd_storage_bytes{storage="_default",type="memory"} 5',
+    'acd_storage_max_bytes{storage="_default",type="memory"} 1000',
+    '# TYPE acd_storage_oversized_total counter',
+    'acd_storage_oversized_total{storage="_default",type="memory"} 1'
+  ]) {
+    assert.ok(lines.includes(line), `${line} should be in the exposition`)
+  }
+})
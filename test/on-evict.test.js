@@ -0,0 +1,171 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const createStorage = require('../src/storage')
+const { kStorages } = require('../src/symbol')
+
+const sleep = promisify(setTimeout)
+
+test('onEvict is called with the key and the reason of the removed results', async (t) => {
+  const storage = createStorage('memory', { size: 2, invalidation: true })
+  const evicted = []
+  const cache = new Cache({ storage, ttl: 10 })
+  cache.define('fetchSomething', {
+    references: (args, key, result) => [`item:${result}`],
+    onEvict: (key, reason) => evicted.push([key, reason])
+  }, async (query) => query)
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  await cache.fetchSomething(3)
+  await cache.invalidate('fetchSomething', ['item:2'])
+  await cache.clear('fetchSomething', 3)
+
+  assert.deepStrictEqual(evicted, [['1', 'capacity'], ['2', 'invalidated'], ['3', 'cleared']])
+})
+
+test('onEvict of the cache is the default of the defined functions', async (t) => {
+  const evicted = []
+  const ownEvicted = []
+  const cache = new Cache({ storage: createStorage('memory', { size: 1 }), ttl: 10, onEvict: (key, reason) => evicted.push(key) })
+  cache.define('fetchSomething', async (query) => query)
+  cache.define('fetchOther', { onEvict: (key, reason) => ownEvicted.push(key) }, async (query) => query)
+
+  await cache.fetchSomething(1)
+  await cache.fetchOther(2)
+  await cache.fetchSomething(3)
+
+  assert.deepStrictEqual(evicted, ['1'])
+  assert.deepStrictEqual(ownEvicted, ['2'])
+})
+
+test('onEvict of the storage is called too', async (t) => {
+  const storageEvicted = []
+  const evicted = []
+  const storage = createStorage('memory', { size: 1, onEvict: (key, reason) => storageEvicted.push(key) })
+  const cache = new Cache({ storage, ttl: 10, onEvict: (key, reason) => evicted.push(key) })
+  cache.define('fetchSomething', async (query) => query)
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  // not keys of a defined function
+  storage.set('other', 1, 10)
+  storage.set('another', 1, 10)
+
+  assert.deepStrictEqual(storageEvicted, ['fetchSomething~1', 'fetchSomething~2', 'other'])
+  assert.deepStrictEqual(evicted, ['1', '2'])
+})
+
+test('onEvict is forwarded from the storage of the defined function', async (t) => {
+  const evicted = []
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+  cache.define('fetchSomething', {
+    storage: { type: 'memory', options: { size: 1 } },
+    onEvict: (key, reason) => evicted.push([key, reason])
+  }, async (query) => query)
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+
+  assert.deepStrictEqual(evicted, [['1', 'capacity']])
+})
+
+test('onEvict ignores the keys of the functions defined on another storage', async (t) => {
+  const evicted = []
+  const storage = createStorage('memory', { size: 1 })
+  const cache = new Cache({ storage, ttl: 10, onEvict: (key, reason) => evicted.push(key) })
+  cache.define('fetchSomething', { storage: { type: 'memory' } }, async (query) => query)
+
+  storage.set('fetchSomething~1', 1, 10)
+  storage.set('fetchSomething~2', 2, 10)
+
+  assert.deepStrictEqual(evicted, [])
+})
+
+test('the evict event is emitted for the results evicted for capacity or expired', async (t) => {
+  const storage = createStorage('memory', { size: 2, ttlMs: true })
+  const cache = new Cache({ storage, ttl: 1000 })
+  cache.define('fetchSomething', { ttl: (result) => result === 3 ? 1 : 1000 }, async (query) => query)
+
+  const events = []
+  cache.on('evict', ({ name, key, storage, stage }) => events.push({ name, key, storage, stage }))
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  await cache.fetchSomething(3)
+  await sleep(10)
+  // the expired result is removed after the read
+  assert.equal(await cache.fetchSomething.withOptions({ onlyIfCached: true })(3), undefined)
+  await sleep(0)
+  await cache.clear('fetchSomething', 2)
+
+  assert.deepStrictEqual(events, [
+    { name: 'fetchSomething', key: '1', storage: '_default', stage: 'capacity' },
+    { name: 'fetchSomething', key: '3', storage: '_default', stage: 'expired' },
+    { name: 'fetchSomething', key: '2', storage: '_default', stage: 'clear' }
+  ])
+})
+
+test('onEvict validation', async (t) => {
+  assert.throws(() => new Cache({ storage: createStorage(), onEvict: 'log' }), { message: 'onEvict must be a function' })
+
+  const cache = new Cache({ storage: createStorage() })
+  assert.throws(() => cache.define('fetchSomething', { onEvict: 'log' }, async (query) => query), { message: 'onEvict must be a function' })
+})
+
+test('onEvict is not forwarded from the storages without it', async (t) => {
+  const storage = {
+    get: async () => undefined,
+    set: async () => {},
+    remove: async () => {},
+    invalidate: async () => [],
+    clear: async () => {},
+    refresh: async () => {}
+  }
+  const cache = new Cache({ storage, ttl: 10, onEvict: () => {} })
+  cache.define('fetchSomething', async (query) => query)
+
+  assert.equal(await cache.fetchSomething(1), 1)
+  assert.equal('onEvict' in storage, false)
+})
+
+test('the evictions are not forwarded without onEvict or evict listeners', async (t) => {
+  const storage = createStorage('memory', { size: 2 })
+  const cache = new Cache({ storage, ttl: 10 })
+  cache.define('fetchSomething', async (query) => query)
+  cache.define('fetchOther', { storage: { type: 'memory' } }, async (query) => query)
+
+  // so the full clear does not list the keys
+  assert.equal(storage.onEvict, undefined)
+  assert.equal(cache[kStorages].get('fetchOther').onEvict, undefined)
+
+  const events = []
+  cache.on('evict', ({ key, stage }) => events.push([key, stage]))
+  cache.on('evict', () => {})
+  const onEvict = storage.onEvict
+  assert.equal(typeof onEvict, 'function')
+  assert.equal(typeof cache[kStorages].get('fetchOther').onEvict, 'function')
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  await cache.fetchSomething(3)
+
+  assert.deepStrictEqual(events, [['1', 'capacity']])
+  // the forwarder is installed once
+  assert.equal(storage.onEvict, onEvict)
+})
+
+test('the evictions are forwarded to the functions defined after an evict listener', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+  const events = []
+  cache.on('evict', ({ name, key, stage }) => events.push([name, key, stage]))
+  cache.define('fetchSomething', { storage: { type: 'memory', options: { size: 1 } } }, async (query) => query)
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+
+  assert.deepStrictEqual(events, [['fetchSomething', '1', 'capacity']])
+})
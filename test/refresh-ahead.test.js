@@ -0,0 +1,256 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const createStorage = require('../src/storage')
+const { kValues } = require('../src/symbol')
+
+const sleep = promisify(setTimeout)
+
+function createMsCache (options) {
+  return new Cache({ storage: createStorage('memory', { ttlMs: true }), ...options })
+}
+
+test('refreshAhead refreshes the keys before they expire', async (t) => {
+  let misses = 0
+  const cache = createMsCache({ ttl: 200, onMiss: () => { misses++ } })
+
+  let calls = 0
+  cache.define('fetchSomething', { refreshAhead: true }, async (query) => {
+    calls++
+    return { k: query, calls }
+  })
+  t.after(() => cache.stopRefresh())
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+  await sleep(250)
+
+  assert.equal(calls, 2)
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 2 })
+  assert.equal(misses, 1)
+})
+
+test('refreshAhead with the ttls in seconds', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 1 })
+
+  let calls = 0
+  cache.define('fetchSomething', { refreshAhead: { threshold: 0.1 } }, async (query) => {
+    calls++
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  await cache.fetchSomething(42)
+  await sleep(150)
+
+  assert.equal(calls, 2)
+})
+
+test('refreshAhead keeps refreshing the keys requested since the last refresh', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  let calls = 0
+  cache.define('fetchSomething', { refreshAhead: { threshold: 0.5 } }, async (query) => {
+    calls++
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  await cache.fetchSomething(42)
+  await sleep(70)
+  assert.equal(calls, 2)
+  await cache.fetchSomething(42)
+  await sleep(50)
+
+  assert.equal(calls, 3)
+})
+
+test('refreshAhead stops refreshing the idle keys', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  let calls = 0
+  cache.define('fetchSomething', { refreshAhead: { threshold: 0.5 } }, async (query) => {
+    calls++
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  await cache.fetchSomething(42)
+  await sleep(250)
+
+  // refreshed once after the request, then dropped
+  assert.equal(calls, 2)
+  assert.equal(cache[kValues].fetchSomething.refreshAhead.keys.size, 0)
+})
+
+test('refreshAhead tracks the most recently requested keys up to maxKeys', async (t) => {
+  const cache = createMsCache({ ttl: 200 })
+
+  const calls = []
+  cache.define('fetchSomething', { refreshAhead: { maxKeys: 2 } }, async (query) => {
+    calls.push(query)
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  // the hit makes 1 the most recent, so 2 is dropped
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(3)
+  await sleep(180)
+
+  assert.deepStrictEqual(calls.slice(3).sort(), [1, 3])
+})
+
+test('refreshAhead runs up to concurrency refreshes at once', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  let running = 0
+  let max = 0
+  let calls = 0
+  cache.define('fetchSomething', { refreshAhead: { concurrency: 2 } }, async (query) => {
+    calls++
+    running++
+    max = Math.max(max, running)
+    await sleep(30)
+    running--
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  await Promise.all([1, 2, 3, 4].map(query => cache.fetchSomething(query)))
+  max = 0
+  await sleep(150)
+
+  assert.equal(calls, 8)
+  assert.equal(max, 2)
+})
+
+test('refreshAhead skips the keys cleared while waiting', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  const calls = []
+  cache.define('fetchSomething', { refreshAhead: true }, async (query) => {
+    calls.push(query)
+    await sleep(30)
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  await Promise.all([cache.fetchSomething(1), cache.fetchSomething(2)])
+  await sleep(95)
+  // 1 is refreshing, 2 is waiting
+  await cache.clear('fetchSomething', 2)
+  await sleep(60)
+
+  assert.deepStrictEqual(calls, [1, 2, 1])
+})
+
+test('refreshAhead stops tracking the keys on clear', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  let calls = 0
+  cache.define('fetchSomething', { refreshAhead: true }, async (query) => {
+    calls++
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  await cache.clear('fetchSomething', 1)
+  await cache.clear()
+  await sleep(150)
+
+  assert.equal(calls, 2)
+})
+
+test('refreshAhead does not track the keys that are not stored', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  let calls = 0
+  // stored only to be served stale
+  cache.define('fetchSomething', { ttl: () => 0, stale: 50, refreshAhead: true }, async (query) => {
+    calls++
+    return { k: query }
+  })
+  cache.define('fetchBypass', { refreshAhead: true }, async (query) => {
+    calls++
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+  await cache.fetchBypass(42, { bypass: true })
+  await sleep(150)
+
+  assert.equal(calls, 2)
+})
+
+test('refreshAhead emits the stale-refresh and error events', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  let fail = false
+  cache.define('fetchSomething', { refreshAhead: true, references: () => ['ref'] }, async (query) => {
+    if (fail) {
+      throw new Error('kaboom')
+    }
+    return { k: query }
+  })
+  t.after(() => cache.stopRefresh())
+
+  const events = []
+  cache.on('stale-refresh', ({ stage }) => events.push(['stale-refresh', stage]))
+  cache.on('error', ({ stage, error }) => events.push(['error', stage, error.message]))
+
+  await cache.fetchSomething(42)
+  await sleep(90)
+  // requested again, to be refreshed again
+  await cache.fetchSomething(42)
+  fail = true
+  await sleep(90)
+
+  assert.deepStrictEqual(events, [['stale-refresh', 'refresh-ahead'], ['error', 'refresh', 'kaboom']])
+})
+
+test('stopRefresh waits for the running refreshes', async (t) => {
+  const cache = createMsCache({ ttl: 100 })
+
+  let calls = 0
+  let done = 0
+  cache.define('fetchSomething', { refreshAhead: true }, async (query) => {
+    calls++
+    await sleep(50)
+    done++
+    return { k: query }
+  })
+  cache.define('fetchOther', async (query) => query)
+
+  await cache.fetchSomething(42)
+  await sleep(100)
+  assert.equal(calls, 2)
+
+  await cache.stopRefresh()
+  assert.equal(done, 2)
+
+  // nothing is scheduled anymore
+  await cache.clear()
+  await cache.fetchSomething(42)
+  await sleep(150)
+  assert.equal(calls, 3)
+})
+
+test('refreshAhead validation', async (t) => {
+  const cache = new Cache({ storage: createStorage() })
+  const func = async () => {}
+
+  assert.throws(() => cache.define('f1', { refreshAhead: 'yes' }, func), { message: 'refreshAhead must be a boolean or an object' })
+  assert.throws(() => cache.define('f2', { refreshAhead: { maxKeys: 0 } }, func), { message: 'refreshAhead.maxKeys must be a positive integer greater than 0' })
+  assert.throws(() => cache.define('f3', { refreshAhead: { concurrency: 1.5 } }, func), { message: 'refreshAhead.concurrency must be a positive integer greater than 0' })
+  assert.throws(() => cache.define('f4', { refreshAhead: { threshold: 1 } }, func), { message: 'refreshAhead.threshold must be a number between 0 and 1' })
+
+  cache.define('f5', { refreshAhead: false }, func)
+  assert.equal(cache.f1, undefined)
+})
@@ -0,0 +1,288 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { tspl } = require('@matteo.collina/tspl')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const { createCache } = require('../')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+test('staleIfError', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 8 })
+
+  const storage = createStorage()
+  const cache = new Cache({
+    storage,
+    ttl: 1,
+    staleIfError: 9,
+    onError: (err) => { equal(err.message, 'kaboom') },
+    onStaleServed: (key) => { equal(key, '42') }
+  })
+
+  let fail = false
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  equal(storage.getTTL('fetchSomething~42'), 10)
+
+  await sleep(2500)
+
+  // expired, the original function fails and the last good value is served
+  fail = true
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  equal(calls, 2)
+
+  // the expired value is still there, waiting for a good one
+  equal(storage.getTTL('fetchSomething~42') > 0, true)
+  equal(calls, 2)
+})
+
+test('staleIfError refreshes the expired value when the original function succeeds', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 5 })
+
+  const storage = createStorage()
+  const cache = new Cache({
+    storage,
+    ttl: 1,
+    staleIfError: 9,
+    onStaleServed: () => { assert.fail('should not serve stale') }
+  })
+
+  let toReturn = 42
+  cache.define('fetchSomething', async (query) => {
+    return { k: toReturn }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+
+  await sleep(2500)
+  toReturn++
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 43 })
+  equal(storage.getTTL('fetchSomething~42'), 10)
+  deepStrictEqual(await cache.fetchSomething(42), { k: 43 })
+})
+
+test('staleIfError hits and misses', async (t) => {
+  const hits = []
+  const misses = []
+  const cache = new Cache({
+    storage: createStorage(),
+    ttl: 1,
+    staleIfError: 9,
+    onHit: (key) => { hits.push(key) },
+    onMiss: (key) => { misses.push(key) }
+  })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+  assert.deepStrictEqual(hits, ['42'])
+  assert.deepStrictEqual(misses, ['42'])
+
+  await sleep(2500)
+  await cache.fetchSomething(42)
+  assert.deepStrictEqual(hits, ['42'])
+  assert.deepStrictEqual(misses, ['42', '42'])
+})
+
+test('staleIfError rejects when there is no value to serve', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({
+    storage,
+    ttl: 1,
+    staleIfError: 1,
+    onStaleServed: () => { assert.fail('should not serve stale') }
+  })
+
+  let fail = false
+  cache.define('fetchSomething', async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  await assert.doesNotReject(cache.fetchSomething(42))
+  await sleep(2500)
+
+  fail = true
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+  await assert.rejects(cache.fetchSomething(43), { message: 'kaboom' })
+  assert.equal(await storage.get('fetchSomething~42'), undefined)
+})
+
+test('staleIfError with stale', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 6 })
+
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 1, stale: 2, staleIfError: 10 })
+
+  let toReturn = 42
+  let fail = false
+  cache.define('fetchSomething', async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: toReturn }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  equal(storage.getTTL('fetchSomething~42'), 13)
+
+  // stale, the value is served and revalidated in background
+  await sleep(1500)
+  toReturn++
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  await sleep(100)
+  deepStrictEqual(await cache.fetchSomething(42), { k: 43 })
+
+  // expired, the original function fails
+  await sleep(3500)
+  fail = true
+  deepStrictEqual(await cache.fetchSomething(42), { k: 43 })
+  equal(storage.getTTL('fetchSomething~42') > 0, true)
+})
+
+test('staleIfError as define option', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 4 })
+
+  const cache = new Cache({ storage: createStorage(), ttl: 1 })
+
+  let fail = false
+  cache.define('fetchSomething', {
+    staleIfError: 9,
+    onStaleServed: (key) => { equal(key, '42') }
+  }, async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+  cache.define('fetchOther', async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  await cache.fetchOther(42)
+  await sleep(2500)
+
+  fail = true
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  await assert.rejects(cache.fetchOther(42), { message: 'kaboom' })
+  equal(await cache.get('fetchOther', 'fetchOther~42'), undefined)
+})
+
+test('staleIfError as function', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 3 })
+
+  const cache = createCache({
+    ttl: 1,
+    staleIfError: (result) => result.staleIfError,
+    onStaleServed: (key) => { equal(key, '1') }
+  })
+
+  let fail = false
+  cache.define('fetchSomething', async (id) => {
+    if (fail) { throw new Error('kaboom') }
+    return { id, staleIfError: id === 1 ? 5 : 0 }
+  })
+
+  await cache.fetchSomething(1)
+  await cache.fetchSomething(2)
+  await sleep(2500)
+
+  fail = true
+  deepStrictEqual(await cache.fetchSomething(1), { id: 1, staleIfError: 5 })
+  await assert.rejects(cache.fetchSomething(2), { message: 'kaboom' })
+  equal(await cache.exists('fetchSomething', 'fetchSomething~2'), false)
+})
+
+test('staleIfError with transformer', async (t) => {
+  const { deepStrictEqual } = tspl(t, { plan: 2 })
+
+  const cache = new Cache({
+    storage: createStorage(),
+    ttl: 1,
+    staleIfError: 9,
+    transformer: {
+      serialize: (value) => JSON.stringify(value),
+      deserialize: (value) => JSON.parse(value)
+    }
+  })
+
+  let fail = false
+  cache.define('fetchSomething', { references: () => ['something'] }, async (query) => {
+    if (fail) { throw new Error('kaboom') }
+    return { k: query }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+  await sleep(2500)
+  fail = true
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+})
+
+test('staleIfError serves the expired value when the original function times out', async (t) => {
+  const errors = []
+  const served = []
+  const storage = createStorage('memory', { ttlMs: true })
+  const cache = new Cache({
+    storage,
+    ttl: 20,
+    staleIfError: 1000,
+    onError: (err) => { errors.push(err.name) },
+    onStaleServed: (key) => { served.push(key) }
+  })
+
+  let slow = false
+  let originSignal
+  cache.define('fetchSomething', { timeout: 50 }, async (query, key, signal) => {
+    originSignal = signal
+    if (slow) { await sleep(100) }
+    return { k: query, slow }
+  })
+
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, slow: false })
+  await sleep(30)
+
+  slow = true
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, slow: false })
+  assert.deepStrictEqual(errors, ['TimeoutError'])
+  assert.deepStrictEqual(served, ['42'])
+  assert.equal(originSignal.reason.name, 'TimeoutError')
+
+  // the original function ignored the signal, so its result is stored anyway
+  await sleep(80)
+  assert.deepStrictEqual(storage.get('fetchSomething~42').slow, true)
+})
+
+test('staleIfError must be a positive integer', async (t) => {
+  assert.throws(() => new Cache({ storage: createStorage(), staleIfError: 3.14 }), {
+    message: 'staleIfError must be an integer greater or equal to 0'
+  })
+  assert.throws(() => new Cache({ storage: createStorage(), staleIfError: -1 }), {
+    message: 'staleIfError must be an integer greater or equal to 0'
+  })
+
+  const cache = new Cache({ storage: createStorage() })
+  assert.throws(() => cache.define('fetchSomething', { staleIfError: 1.5 }, async () => {}), {
+    message: 'staleIfError must be an integer greater or equal to 0'
+  })
+})
+
+test('onStaleServed must be a function', async (t) => {
+  assert.throws(() => new Cache({ storage: createStorage(), onStaleServed: 'nope' }), {
+    message: 'onStaleServed must be a function'
+  })
+
+  const cache = new Cache({ storage: createStorage() })
+  assert.throws(() => cache.define('fetchSomething', { onStaleServed: 'nope' }, async () => {}), {
+    message: 'onStaleServed must be a function'
+  })
+})
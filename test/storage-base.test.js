@@ -32,4 +32,24 @@ describe('storage', async (t) => {
       }
     }
   })
+
+  test('should call the single key methods from the bulk methods by default', async (t) => {
+    class MapStorage extends StorageInterface {
+      constructor () {
+        super()
+        this.store = new Map()
+      }
+
+      async get (key) { return this.store.get(key) }
+      async set (key, value, ttl) { this.store.set(key, value) }
+      async remove (key) { return this.store.delete(key) }
+    }
+
+    const storage = new MapStorage()
+
+    await storage.setMany([{ key: 'foo', value: 'bar', ttl: 10 }, { key: 'baz', value: 'qux', ttl: 10 }])
+    assert.deepStrictEqual(await storage.getMany(['foo', 'no-foo', 'baz']), ['bar', undefined, 'qux'])
+    assert.deepStrictEqual(await storage.removeMany(['foo', 'no-foo']), [true, false])
+    assert.deepStrictEqual(await storage.getMany(['foo', 'baz']), [undefined, 'qux'])
+  })
 })
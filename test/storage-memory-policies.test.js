@@ -0,0 +1,393 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const assert = require('node:assert')
+const { promisify } = require('util')
+const createStorage = require('../src/storage')
+const { POLICIES } = require('../src/storage/policies')
+
+const { lru: LRUPolicy, lfu: LFUPolicy, tinylfu: TinyLFUPolicy } = POLICIES
+
+const sleep = promisify(setTimeout)
+
+describe('storage memory policies', async () => {
+  test('should use lru by default', async () => {
+    const storage = createStorage('memory')
+
+    assert.equal(storage.policy, 'lru')
+    assert.ok(storage.store instanceof POLICIES.lru)
+  })
+
+  test('should get an error on invalid policy', async () => {
+    assert.throws(() => createStorage('memory', { policy: 'random' }), /policy must be one of lru, lfu, fifo, tinylfu/)
+    assert.throws(() => createStorage('memory', { policy: 'toString' }), /policy must be one of lru, lfu, fifo, tinylfu/)
+  })
+
+  for (const policy of Object.keys(POLICIES)) {
+    describe(policy, async () => {
+      test('should remove the references of the evicted keys', async () => {
+        const storage = createStorage('memory', { policy, size: 2, invalidation: true })
+        storage.set('a', 1, 100, ['ref'])
+        storage.set('b', 2, 100, ['ref'])
+        storage.set('c', 3, 100, ['ref'])
+
+        assert.equal(storage.stats().size, 2)
+        assert.equal(storage.stats().capacity, 2)
+        assert.equal(storage.invalidate('ref').length, 2)
+        assert.deepStrictEqual(storage.referencesKeys.size, 0)
+        assert.deepStrictEqual(storage.keysReferences.size, 0)
+      })
+
+      test('should get, replace, remove and clear the entries', async () => {
+        const storage = createStorage('memory', { policy, size: 10, invalidation: true })
+        storage.set('foo~a', 1, 100, ['ref'])
+        storage.set('foo~b', 2, 100)
+        storage.set('bar~a', 3, 100)
+        storage.set('foo~a', 4, 100)
+
+        assert.equal(storage.get('foo~a'), 4)
+        assert.equal(storage.exists('foo~b'), true)
+        assert.equal(storage.getTTL('bar~a'), 100)
+        assert.equal(storage.get('missing'), undefined)
+        assert.equal(storage.remove('foo~b'), true)
+        assert.equal(storage.remove('foo~b'), false)
+
+        assert.deepStrictEqual(storage.clear('foo~'), ['foo~a'])
+        assert.equal(storage.get('bar~a'), 3)
+        storage.clear()
+        assert.equal(storage.stats().size, 0)
+      })
+
+      test('should sweep the expired entries', async () => {
+        const storage = createStorage('memory', { policy, size: 10, ttlMs: true, sweep: { interval: 60000, sample: 3 } })
+        storage.close()
+        for (const key of ['a', 'b', 'c', 'd']) {
+          storage.set(key, key, 1)
+        }
+        storage.set('e', 'e', 1000)
+        storage.get('e')
+        await sleep(10)
+
+        assert.equal(storage.sweep() + storage.sweep(), 4)
+        assert.equal(storage.store.size, 1)
+        assert.equal(storage.get('e'), 'e')
+      })
+
+      test('should evict the entries to fit maxBytes', async () => {
+        const storage = createStorage('memory', { policy, size: 10, maxBytes: 10 })
+        storage.set('a', 'aaaa', 100)
+        storage.set('b', 'bbbb', 100)
+        storage.set('c', 'cccc', 100)
+
+        assert.equal(storage.get('c'), 'cccc')
+        assert.equal(storage.stats().size, 2)
+        assert.equal(storage.stats().bytes, 8)
+
+        // replacing the value doesn't need to evict
+        storage.set('c', 'cccccc', 100)
+        assert.equal(storage.stats().size, 2)
+
+        storage.set('d', 'd'.repeat(20), 100)
+        assert.equal(storage.get('d'), 'd'.repeat(20))
+        assert.equal(storage.stats().size, 1)
+      })
+
+      test('should not evict the key being replaced to fit maxBytes', async () => {
+        const evicted = []
+        const storage = createStorage('memory', { policy, size: 10, maxBytes: 10, onEvict: (key, reason) => evicted.push([key, reason]) })
+        storage.set('a', 'aaaa', 100)
+        storage.set('b', 'bbbb', 100)
+        storage.set('a', 'aaaaaaaa', 100)
+
+        assert.deepStrictEqual(evicted, [['b', 'capacity']])
+        assert.equal(storage.get('a'), 'aaaaaaaa')
+        assert.equal(storage.stats().bytes, 8)
+      })
+
+      for (const maxBytes of [undefined, 100]) {
+        test(`should stay consistent with random operations, maxBytes ${maxBytes}`, async () => {
+          // the stored keys with their values, the evicted ones are removed by onEvict
+          const model = new Map()
+          const storage = createStorage('memory', { policy, size: 20, maxBytes, invalidation: true, onEvict: (key) => model.delete(key) })
+          const random = seededRandom(42)
+          const pick = (n) => Math.floor(random() * n)
+
+          for (let i = 0; i < 3000; i++) {
+            const key = `k${pick(60)}`
+            const operation = pick(10)
+            if (operation < 5) {
+              const value = 'v'.repeat(1 + pick(30))
+              model.set(key, value)
+              storage.set(key, value, 100, [`ref:${pick(10)}`])
+            } else if (operation < 7) {
+              storage.get(key)
+            } else if (operation < 8) {
+              storage.remove(key)
+            } else if (operation < 9) {
+              storage.invalidate([`ref:${pick(10)}`])
+            } else {
+              storage.clear(`k${pick(6)}`)
+            }
+
+            const keys = [...storage.store.keys()]
+            assert.equal(storage.store.size, keys.length)
+            assert.deepStrictEqual(new Set(keys), new Set(model.keys()))
+            let bytes = 0
+            for (const key of keys) {
+              const entry = storage.store.peek(key)
+              assert.equal(entry.value, model.get(key))
+              bytes += entry.bytes
+            }
+            assert.equal(storage.bytes, maxBytes ? bytes : 0)
+            assert.ok(keys.length <= 20)
+            assert.ok(!maxBytes || bytes <= maxBytes)
+            for (const key of storage.keysReferences.keys()) {
+              assert.ok(model.has(key), `${key} has references but it's not stored`)
+            }
+          }
+        })
+      }
+    })
+  }
+
+  test('lru should keep the recently read keys', async () => {
+    const storage = createStorage('memory', { policy: 'lru', size: 2 })
+    storage.set('a', 1, 100)
+    storage.set('b', 2, 100)
+    storage.get('a')
+    storage.set('c', 3, 100)
+
+    assert.equal(storage.get('a'), 1)
+    assert.equal(storage.get('b'), undefined)
+  })
+
+  test('lru should find the victim among the stored keys after a remove', async () => {
+    const one = new LRUPolicy(1)
+    one.setpop('a', 1)
+    assert.equal(one.remove('a'), 1)
+    assert.equal(one.victim(), undefined)
+    assert.equal(one.setpop('b', 2), null)
+    assert.equal(one.victim(), 'b')
+
+    const lru = new LRUPolicy(3)
+    lru.setpop('a', 1)
+    lru.setpop('b', 2)
+    lru.setpop('c', 3)
+    lru.remove('a')
+    assert.equal(lru.victim(), 'b')
+    assert.deepStrictEqual(lru.setpop('b', 22), { evicted: false, key: 'b', value: 2 })
+    assert.equal(lru.victim(), 'c')
+    assert.equal(lru.get('missing'), undefined)
+    assert.deepStrictEqual([...lru.keys()], ['c', 'b'])
+  })
+
+  test('fifo should evict the first stored keys, even if read', async () => {
+    const storage = createStorage('memory', { policy: 'fifo', size: 2 })
+    storage.set('a', 1, 100)
+    storage.set('b', 2, 100)
+    storage.get('a')
+    storage.set('a', 11, 100)
+    storage.set('c', 3, 100)
+
+    assert.equal(storage.get('a'), undefined)
+    assert.equal(storage.get('b'), 2)
+    assert.equal(storage.get('c'), 3)
+  })
+
+  test('lfu should keep the frequently read keys', async () => {
+    const storage = createStorage('memory', { policy: 'lfu', size: 3 })
+    storage.set('a', 1, 100)
+    storage.set('b', 2, 100)
+    storage.set('c', 3, 100)
+    storage.get('a')
+    storage.get('a')
+    storage.get('b')
+    storage.get('c')
+    // the least recently used among the least frequently used
+    storage.set('d', 4, 100)
+
+    assert.equal(storage.exists('b'), false)
+    assert.equal(storage.exists('a'), true)
+    assert.equal(storage.exists('c'), true)
+    assert.equal(storage.exists('d'), true)
+  })
+
+  test('lfu should find the least frequent keys after a remove', async () => {
+    const lfu = new LFUPolicy(3)
+    lfu.setpop('a', 1)
+    lfu.get('a')
+    lfu.get('a')
+    lfu.setpop('b', 2)
+    lfu.get('b')
+
+    assert.equal(lfu.remove('missing'), undefined)
+    assert.equal(lfu.get('missing'), undefined)
+    assert.equal(lfu.peek('missing'), undefined)
+    assert.equal(lfu.peek('a'), 1)
+    lfu.setpop('c', 3)
+    lfu.remove('c')
+    assert.equal(lfu.victim(), 'b')
+
+    assert.deepStrictEqual(lfu.setpop('b', 22), { evicted: false, key: 'b', value: 2 })
+    lfu.setpop('d', 4)
+    lfu.setpop('e', 5)
+    assert.deepStrictEqual(lfu.setpop('f', 6), { evicted: true, key: 'e', value: 5 })
+
+    const entries = []
+    lfu.forEach((value, key) => entries.push([key, value]))
+    assert.deepStrictEqual(entries, [['a', 1], ['b', 22], ['f', 6]])
+  })
+
+  test('tinylfu should keep the hot keys during a scan', async () => {
+    const lru = createStorage('memory', { policy: 'lru', size: 100 })
+    const tinylfu = createStorage('memory', { policy: 'tinylfu', size: 100 })
+
+    for (const storage of [lru, tinylfu]) {
+      for (let round = 0; round < 5; round++) {
+        for (let i = 0; i < 50; i++) {
+          if (!storage.get(`hot~${i}`)) {
+            storage.set(`hot~${i}`, i, 100)
+          }
+        }
+      }
+      for (let i = 0; i < 1000; i++) {
+        if (!storage.get(`scan~${i}`)) {
+          storage.set(`scan~${i}`, i, 100)
+        }
+      }
+    }
+
+    const hot = (storage) => Array.from({ length: 50 }, (_, i) => storage.exists(`hot~${i}`)).filter(Boolean).length
+    assert.equal(hot(lru), 0)
+    assert.ok(hot(tinylfu) >= 45, `${hot(tinylfu)} hot keys should be kept`)
+    assert.equal(tinylfu.stats().size, 100)
+  })
+
+  test('tinylfu should admit the keys more frequent than the victim', async () => {
+    const tinylfu = new TinyLFUPolicy(3)
+    assert.equal(tinylfu.windowCapacity, 1)
+    assert.equal(tinylfu.mainCapacity, 2)
+
+    assert.equal(tinylfu.setpop('a', 1), null)
+    assert.equal(tinylfu.setpop('b', 2), null)
+    assert.equal(tinylfu.setpop('c', 3), null)
+    assert.equal(tinylfu.victim(), 'a')
+
+    // d is not more frequent than a, so it's rejected
+    tinylfu.setpop('d', 4)
+    assert.deepStrictEqual(tinylfu.setpop('e', 5), { evicted: true, key: 'd', value: 4 })
+
+    // f is more frequent than a, so it's admitted
+    tinylfu.get('f')
+    tinylfu.get('f')
+    tinylfu.setpop('f', 6)
+    assert.deepStrictEqual(tinylfu.setpop('g', 7), { evicted: true, key: 'a', value: 1 })
+    assert.equal(tinylfu.peek('f'), 6)
+    assert.equal(tinylfu.peek('missing'), undefined)
+    assert.equal(tinylfu.get('missing'), undefined)
+    assert.equal(tinylfu.remove('missing'), undefined)
+  })
+
+  test('tinylfu should promote the keys read again to protected', async () => {
+    const tinylfu = new TinyLFUPolicy(200)
+    assert.equal(tinylfu.windowCapacity, 2)
+    assert.equal(tinylfu.protectedCapacity, 158)
+
+    for (let i = 0; i < 200; i++) {
+      tinylfu.setpop(`k${i}`, i)
+    }
+    assert.equal(tinylfu.probation.size, 198)
+
+    // replaced in the window, in probation and in protected
+    assert.deepStrictEqual(tinylfu.setpop('k199', 1990), { evicted: false, key: 'k199', value: 199 })
+    assert.deepStrictEqual(tinylfu.setpop('k0', 10), { evicted: false, key: 'k0', value: 0 })
+    assert.equal(tinylfu.protected.get('k0'), 10)
+    assert.equal(tinylfu.get('k0'), 10)
+    assert.equal(tinylfu.get('k199'), 1990)
+
+    for (let i = 1; i < 160; i++) {
+      tinylfu.get(`k${i}`)
+    }
+    assert.equal(tinylfu.protected.size, 158)
+    // the least recently used in protected are demoted to probation
+    assert.ok(tinylfu.probation.has('k0'))
+    assert.ok(tinylfu.probation.has('k1'))
+
+    const keys = []
+    tinylfu.forEach((value, key) => keys.push(key))
+    assert.equal(keys.length, 200)
+
+    tinylfu.clear()
+    assert.equal(tinylfu.size, 0)
+  })
+
+  test('tinylfu should evict from protected, or from the window, when probation is empty', async () => {
+    const tinylfu = new TinyLFUPolicy(10)
+    tinylfu.setpop('a', 1)
+    assert.equal(tinylfu.victim(), 'a')
+
+    for (const key of ['b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j']) {
+      tinylfu.setpop(key, key)
+    }
+    for (const key of ['a', 'b', 'c', 'd', 'e', 'f', 'g']) {
+      tinylfu.get(key)
+    }
+    tinylfu.remove('h')
+    tinylfu.remove('i')
+    assert.equal(tinylfu.probation.size, 0)
+    assert.equal(tinylfu.victim(), 'a')
+
+    const one = new TinyLFUPolicy(1)
+    one.setpop('a', 1)
+    assert.deepStrictEqual(one.setpop('b', 2), { evicted: true, key: 'a', value: 1 })
+  })
+
+  test('tinylfu sketch should halve the frequencies periodically', async () => {
+    const tinylfu = new TinyLFUPolicy(2)
+    for (let i = 0; i < 10; i++) {
+      tinylfu.get('a')
+    }
+    assert.ok(tinylfu.sketch.frequency('a') <= 10)
+
+    const big = new TinyLFUPolicy(100)
+    for (let i = 0; i < 20; i++) {
+      big.get('a')
+    }
+    // the counters are saturated
+    assert.equal(big.sketch.frequency('a'), 15)
+    assert.equal(big.sketch.frequency('b'), 0)
+  })
+
+  test('tinylfu sketch should count each key on its own counters', async () => {
+    const counters = (key) => {
+      const { sketch } = new TinyLFUPolicy(1000)
+      sketch.increment(key)
+      return sketch.table.reduce((indexes, count, index) => count ? [...indexes, index] : indexes, [])
+    }
+
+    // a counter for each row
+    assert.equal(counters('a').length, 4)
+    assert.notDeepStrictEqual(counters('a'), counters('b'))
+
+    // no row gives the same counter to all the keys
+    const rows = [new Set(), new Set(), new Set(), new Set()]
+    for (let i = 0; i < 100; i++) {
+      counters(`k${i}`).forEach((index, row) => rows[row].add(index))
+    }
+    for (const row of rows) {
+      assert.ok(row.size > 50, `${row.size} counters used by 100 keys`)
+    }
+  })
+})
+
+/**
+ * mulberry32, so the random operations are the same on each run
+ */
+function seededRandom (seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -143,6 +143,170 @@ describe('storage memory', async () => {
     })
   })
 
+  describe('ttlMs', async () => {
+    test('should expire the values in milliseconds', async () => {
+      const storage = createStorage('memory', { ttlMs: true })
+      storage.set('foo', 'bar', 200)
+      storage.setMany([{ key: 'baz', value: 'qux', ttl: 200 }])
+
+      assert.equal(storage.get('foo'), 'bar')
+      assert.equal(storage.exists('baz'), true)
+      const ttl = storage.getTTL('foo')
+      assert.ok(ttl > 150 && ttl <= 200, `${ttl} should be in milliseconds`)
+
+      await sleep(250)
+
+      assert.equal(storage.get('foo'), undefined)
+      assert.equal(storage.exists('baz'), false)
+      assert.equal(storage.getTTL('foo'), 0)
+    })
+
+    test('should get an error on invalid ttlMs', async () => {
+      assert.throws(() => createStorage('memory', { ttlMs: 1 }), /ttlMs must be a boolean/)
+    })
+  })
+
+  describe('maxBytes', async () => {
+    test('should evict the least recently used entries over maxBytes', async () => {
+      const storage = createStorage('memory', { maxBytes: 20, invalidation: true })
+      storage.set('a', 'aaaaaaaa', 100, ['ref:a'])
+      storage.set('b', 'bbbbbbbb', 100)
+      assert.equal(storage.get('a'), 'aaaaaaaa')
+
+      storage.set('c', 'cccccccc', 100)
+
+      assert.equal(storage.get('a'), 'aaaaaaaa')
+      assert.equal(storage.get('b'), undefined)
+      assert.equal(storage.get('c'), 'cccccccc')
+      assert.deepStrictEqual(storage.stats(), { type: 'memory', size: 2, capacity: 1024, bytes: 16, maxBytes: 20, oversized: 0 })
+
+      storage.set('d', 'd'.repeat(18), 100)
+
+      assert.deepStrictEqual(storage.invalidate(['ref:a']), [])
+      assert.equal(storage.get('c'), undefined)
+      assert.equal(storage.get('d'), 'd'.repeat(18))
+      assert.equal(storage.stats().bytes, 18)
+    })
+
+    test('should keep the last value even if bigger than maxBytes', async () => {
+      const storage = createStorage('memory', { maxBytes: 10 })
+      storage.set('a', 'aaaa', 100)
+      storage.set('b', 'b'.repeat(20), 100)
+
+      assert.equal(storage.get('a'), undefined)
+      assert.equal(storage.get('b'), 'b'.repeat(20))
+      assert.equal(storage.stats().bytes, 20)
+    })
+
+    test('should account the bytes of the replaced and removed values', async () => {
+      const storage = createStorage('memory', { size: 2, maxBytes: 100 })
+      storage.set('a', 'aaaa', 100)
+      storage.set('a', 'aa', 100)
+      assert.equal(storage.stats().bytes, 2)
+
+      storage.set('b', 'bbbb', 100)
+      storage.set('c', 'cccccc', 100)
+      assert.equal(storage.stats().bytes, 10)
+
+      storage.remove('b')
+      assert.equal(storage.remove('b'), false)
+      assert.equal(storage.stats().bytes, 6)
+
+      storage.clear('c')
+      assert.equal(storage.stats().bytes, 0)
+
+      storage.set('d', 'dddd', 100)
+      storage.clear()
+      assert.equal(storage.stats().bytes, 0)
+    })
+
+    test('should estimate the values with the JSON length, or the length of strings and buffers', async () => {
+      const storage = createStorage('memory', { maxBytes: 1000 })
+      storage.set('object', { a: 1 }, 100)
+      assert.equal(storage.stats().bytes, 7)
+      storage.set('buffer', Buffer.from('€'), 100)
+      assert.equal(storage.stats().bytes, 10)
+      storage.set('string', '€', 100)
+      assert.equal(storage.stats().bytes, 11)
+      storage.set('undefined', undefined, 100)
+      assert.equal(storage.stats().bytes, 11)
+    })
+
+    test('should estimate the values with sizeOf', async () => {
+      const storage = createStorage('memory', { maxBytes: 10, sizeOf: (value) => value.weight })
+      storage.set('a', { weight: 6 }, 100)
+      storage.set('b', { weight: 6 }, 100)
+
+      assert.equal(storage.get('a'), undefined)
+      assert.deepStrictEqual(storage.get('b'), { weight: 6 })
+    })
+
+    test('should not store the values bigger than maxEntryBytes', async () => {
+      const storage = createStorage('memory', { maxEntryBytes: 5 })
+      storage.set('a', 'aaaa', 100)
+      storage.set('b', 'bbbbbbbb', 100)
+      assert.equal(storage.get('a'), 'aaaa')
+      assert.equal(storage.get('b'), undefined)
+
+      // the previous value is removed
+      storage.set('a', 'aaaaaaaa', 100)
+      assert.equal(storage.get('a'), undefined)
+
+      assert.deepStrictEqual(storage.stats(), { type: 'memory', size: 0, capacity: 1024, bytes: 0, maxBytes: undefined, oversized: 2 })
+    })
+
+    test('should evict to fit maxBytes after remove, clear and invalidate', async () => {
+      const evicted = []
+      const storage = createStorage('memory', { maxBytes: 10, invalidation: true, onEvict: (key, reason) => evicted.push([key, reason]) })
+      storage.set('foo~a', 'aaaa', 100, ['ref:a'])
+      storage.set('foo~b', 'bbbb', 100)
+      storage.set('bar~c', 'c', 100)
+      storage.set('bar~d', 'd', 100, ['ref:d'])
+
+      storage.remove('foo~b')
+      storage.set('e', 'eeee', 100)
+      assert.equal(storage.stats().bytes, 10)
+
+      storage.invalidate(['ref:a'])
+      storage.clear('bar~')
+      assert.equal(storage.stats().bytes, 4)
+
+      storage.set('f', 'ffff', 100)
+      storage.set('g', 'gggg', 100)
+
+      assert.deepStrictEqual(evicted, [
+        ['foo~b', 'cleared'],
+        ['foo~a', 'invalidated'],
+        ['bar~c', 'cleared'],
+        ['bar~d', 'cleared'],
+        ['e', 'capacity']
+      ])
+      assert.deepStrictEqual([...storage.store.keys()], ['f', 'g'])
+      assert.equal(storage.stats().bytes, 8)
+      assert.equal(storage.referencesKeys.size, 0)
+    })
+
+    test('should stop evicting when the victim is not stored', async (t) => {
+      const storage = createStorage('memory', { maxBytes: 10 })
+      storage.set('a', 'aaaa', 100)
+      storage.set('b', 'bbbb', 100)
+      t.mock.method(storage.store, 'victim', () => 'missing')
+      const error = t.mock.method(storage.log, 'error')
+
+      storage.set('c', 'cccc', 100)
+
+      assert.equal(error.mock.callCount(), 1)
+      assert.equal(storage.get('c'), 'cccc')
+      assert.equal(storage.stats().bytes, 12)
+    })
+
+    test('should get an error on invalid options', async () => {
+      assert.throws(() => createStorage('memory', { maxBytes: 0 }), /maxBytes must be a positive integer greater than 0/)
+      assert.throws(() => createStorage('memory', { maxEntryBytes: 1.5 }), /maxEntryBytes must be a positive integer greater than 0/)
+      assert.throws(() => createStorage('memory', { sizeOf: 42 }), /sizeOf must be a function/)
+    })
+  })
+
   describe('set', async () => {
     test('should set a value, with ttl', async () => {
       const storage = createStorage('memory')
@@ -170,8 +334,8 @@ describe('storage memory', async () => {
 
       const stored = storage.store.get('foo')
       assert.equal(stored.value, 'bar')
-      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), ['foo'])
-      assert.deepStrictEqual(storage.keysReferences.get('foo'), ['fooers'])
+      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), new Set(['foo']))
+      assert.deepStrictEqual(storage.keysReferences.get('foo'), new Set(['fooers']))
     })
 
     test('should not set an empty references', async () => {
@@ -207,8 +371,8 @@ describe('storage memory', async () => {
 
       const stored = storage.store.get('foo')
       assert.equal(stored.value, 'new-bar')
-      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), ['foo'])
-      assert.deepStrictEqual(storage.keysReferences.get('foo'), ['fooers'])
+      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), new Set(['foo']))
+      assert.deepStrictEqual(storage.keysReferences.get('foo'), new Set(['fooers']))
     })
 
     test('should add a key to an existing reference', async () => {
@@ -217,9 +381,9 @@ describe('storage memory', async () => {
       storage.set('foo1', 'bar1', 1, ['fooers'])
       storage.set('foo2', 'bar2', 1, ['fooers'])
 
-      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), ['foo1', 'foo2'])
-      assert.deepStrictEqual(storage.keysReferences.get('foo1'), ['fooers'])
-      assert.deepStrictEqual(storage.keysReferences.get('foo2'), ['fooers'])
+      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), new Set(['foo1', 'foo2']))
+      assert.deepStrictEqual(storage.keysReferences.get('foo1'), new Set(['fooers']))
+      assert.deepStrictEqual(storage.keysReferences.get('foo2'), new Set(['fooers']))
     })
 
     test('should update the key references, full replace', async () => {
@@ -230,10 +394,10 @@ describe('storage memory', async () => {
 
       assert.equal(storage.referencesKeys.get('fooers'), undefined)
       assert.equal(storage.referencesKeys.get('mooers'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('booers'), ['foo'])
-      assert.deepStrictEqual(storage.referencesKeys.get('tooers'), ['foo'])
+      assert.deepStrictEqual(storage.referencesKeys.get('booers'), new Set(['foo']))
+      assert.deepStrictEqual(storage.referencesKeys.get('tooers'), new Set(['foo']))
 
-      assert.deepStrictEqual(storage.keysReferences.get('foo'), ['booers', 'tooers'])
+      assert.deepStrictEqual(storage.keysReferences.get('foo'), new Set(['booers', 'tooers']))
     })
 
     test('should update the key references, partial replace', async () => {
@@ -243,10 +407,10 @@ describe('storage memory', async () => {
       storage.set('foo', 'bar2', 100, ['mooers', 'tooers'])
 
       assert.equal(storage.referencesKeys.get('fooers'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('mooers'), ['foo'])
-      assert.deepStrictEqual(storage.referencesKeys.get('tooers'), ['foo'])
+      assert.deepStrictEqual(storage.referencesKeys.get('mooers'), new Set(['foo']))
+      assert.deepStrictEqual(storage.referencesKeys.get('tooers'), new Set(['foo']))
 
-      assert.deepStrictEqual(storage.keysReferences.get('foo'), ['mooers', 'tooers'])
+      assert.deepStrictEqual(storage.keysReferences.get('foo'), new Set(['mooers', 'tooers']))
     })
 
     test('should update the key references, partial replace adding more references', async () => {
@@ -256,11 +420,11 @@ describe('storage memory', async () => {
       storage.set('foo', 'bar2', 100, ['z', 'b', 'd'])
 
       assert.equal(storage.referencesKeys.get('a'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('b'), ['foo'])
-      assert.deepStrictEqual(storage.referencesKeys.get('d'), ['foo'])
-      assert.deepStrictEqual(storage.referencesKeys.get('z'), ['foo'])
+      assert.deepStrictEqual(storage.referencesKeys.get('b'), new Set(['foo']))
+      assert.deepStrictEqual(storage.referencesKeys.get('d'), new Set(['foo']))
+      assert.deepStrictEqual(storage.referencesKeys.get('z'), new Set(['foo']))
 
-      assert.deepStrictEqual(storage.keysReferences.get('foo'), ['b', 'd', 'z'])
+      assert.deepStrictEqual(storage.keysReferences.get('foo'), new Set(['b', 'd', 'z']))
     })
 
     test('should update the key references, partial replace with shared reference', async () => {
@@ -270,12 +434,12 @@ describe('storage memory', async () => {
       storage.set('foo', 'bar1', 100, ['a', 'b'])
       storage.set('foo', 'bar2', 100, ['z', 'b', 'd'])
 
-      assert.deepStrictEqual(storage.referencesKeys.get('a'), ['boo'])
-      assert.deepStrictEqual(storage.referencesKeys.get('b'), ['boo', 'foo'])
-      assert.deepStrictEqual(storage.referencesKeys.get('d'), ['foo'])
-      assert.deepStrictEqual(storage.referencesKeys.get('z'), ['foo'])
+      assert.deepStrictEqual(storage.referencesKeys.get('a'), new Set(['boo']))
+      assert.deepStrictEqual(storage.referencesKeys.get('b'), new Set(['boo', 'foo']))
+      assert.deepStrictEqual(storage.referencesKeys.get('d'), new Set(['foo']))
+      assert.deepStrictEqual(storage.referencesKeys.get('z'), new Set(['foo']))
 
-      assert.deepStrictEqual(storage.keysReferences.get('foo'), ['b', 'd', 'z'])
+      assert.deepStrictEqual(storage.keysReferences.get('foo'), new Set(['b', 'd', 'z']))
     })
 
     test('should update the key references, add reference to existing key without them', async () => {
@@ -284,11 +448,11 @@ describe('storage memory', async () => {
       storage.set('key1', {}, 2)
       storage.set('key1', 'another value', 2, ['a', 'b', 'c'])
 
-      assert.deepStrictEqual(storage.referencesKeys.get('a'), ['key1'])
-      assert.deepStrictEqual(storage.referencesKeys.get('b'), ['key1'])
-      assert.deepStrictEqual(storage.referencesKeys.get('c'), ['key1'])
+      assert.deepStrictEqual(storage.referencesKeys.get('a'), new Set(['key1']))
+      assert.deepStrictEqual(storage.referencesKeys.get('b'), new Set(['key1']))
+      assert.deepStrictEqual(storage.referencesKeys.get('c'), new Set(['key1']))
 
-      assert.deepStrictEqual(storage.keysReferences.get('key1'), ['a', 'b', 'c'])
+      assert.deepStrictEqual(storage.keysReferences.get('key1'), new Set(['a', 'b', 'c']))
     })
 
     test('should update references of evicted keys (removed by size)', async () => {
@@ -304,12 +468,12 @@ describe('storage memory', async () => {
       assert.equal(storage.store.get('foo3').value, 'c')
       assert.equal(storage.store.get('foo4').value, 'd')
 
-      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), ['foo3', 'foo4'])
+      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), new Set(['foo3', 'foo4']))
 
       assert.deepStrictEqual(storage.keysReferences.get('foo1'), undefined)
       assert.deepStrictEqual(storage.keysReferences.get('foo2'), undefined)
-      assert.deepStrictEqual(storage.keysReferences.get('foo3'), ['foo:3', 'fooers'])
-      assert.deepStrictEqual(storage.keysReferences.get('foo4'), ['foo:4', 'fooers'])
+      assert.deepStrictEqual(storage.keysReferences.get('foo3'), new Set(['foo:3', 'fooers']))
+      assert.deepStrictEqual(storage.keysReferences.get('foo4'), new Set(['foo:4', 'fooers']))
     })
   })
 
@@ -368,15 +532,72 @@ describe('storage memory', async () => {
       assert.equal(storage.get('d'), 1)
       assert.equal(storage.get('e'), 1)
 
-      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), ['b', 'c'])
-      assert.deepStrictEqual(storage.referencesKeys.get('consonantes'), ['b', 'c', 'd'])
-      assert.deepStrictEqual(storage.referencesKeys.get('vowels'), ['e'])
+      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), new Set(['b', 'c']))
+      assert.deepStrictEqual(storage.referencesKeys.get('consonantes'), new Set(['b', 'c', 'd']))
+      assert.deepStrictEqual(storage.referencesKeys.get('vowels'), new Set(['e']))
 
       assert.deepStrictEqual(storage.keysReferences.get('a'), undefined)
-      assert.deepStrictEqual(storage.keysReferences.get('b'), ['fooers', 'consonantes'])
-      assert.deepStrictEqual(storage.keysReferences.get('c'), ['fooers', 'consonantes'])
-      assert.deepStrictEqual(storage.keysReferences.get('d'), ['consonantes'])
-      assert.deepStrictEqual(storage.keysReferences.get('e'), ['vowels'])
+      assert.deepStrictEqual(storage.keysReferences.get('b'), new Set(['fooers', 'consonantes']))
+      assert.deepStrictEqual(storage.keysReferences.get('c'), new Set(['fooers', 'consonantes']))
+      assert.deepStrictEqual(storage.keysReferences.get('d'), new Set(['consonantes']))
+      assert.deepStrictEqual(storage.keysReferences.get('e'), new Set(['vowels']))
+    })
+  })
+
+  describe('getMany', async () => {
+    test('should get the values by keys, in order', async () => {
+      const storage = createStorage('memory')
+
+      storage.set('foo', 'bar', 100)
+      storage.set('baz', { a: 1 }, 100)
+
+      assert.deepStrictEqual(storage.getMany(['baz', 'no-foo', 'foo']), [{ a: 1 }, undefined, 'bar'])
+    })
+  })
+
+  describe('setMany', async () => {
+    test('should set the values', async () => {
+      const storage = createStorage('memory', { invalidation: true })
+
+      storage.setMany([
+        { key: 'foo', value: 'bar', ttl: 100, references: ['fooers'] },
+        { key: 'baz', value: 'qux', ttl: 10 },
+        { key: 'none', value: 'bar', ttl: 0 }
+      ])
+
+      assert.deepStrictEqual(storage.getMany(['foo', 'baz', 'none']), ['bar', 'qux', undefined])
+      assert.equal(storage.getTTL('baz'), 10)
+      assert.deepStrictEqual(storage.invalidate(['fooers']), ['foo'])
+    })
+  })
+
+  describe('removeMany', async () => {
+    test('should remove the keys and their references', async () => {
+      const storage = createStorage('memory', { invalidation: true })
+      storage.set('foo', 'bar', 10, ['fooers'])
+      storage.set('baz', 'bar', 10, ['fooers', 'bazers'])
+      storage.set('qux', 'bar', 10, ['fooers'])
+
+      assert.deepStrictEqual(storage.removeMany(['foo', 'no-foo', 'baz']), [true, false, true])
+
+      assert.deepStrictEqual(storage.getMany(['foo', 'baz', 'qux']), [undefined, undefined, 'bar'])
+      assert.equal(storage.keysReferences.get('foo'), undefined)
+      assert.deepStrictEqual(storage.referencesKeys.get('fooers'), new Set(['qux']))
+      assert.equal(storage.referencesKeys.get('bazers'), undefined)
+    })
+  })
+
+  describe('stats', async () => {
+    test('should get the occupancy of the LRU', async () => {
+      const storage = createStorage('memory', { size: 2 })
+      storage.set('foo', 'bar', 100)
+
+      assert.deepStrictEqual(storage.stats(), { type: 'memory', size: 1, capacity: 2 })
+
+      storage.set('baz', 'bar', 100)
+      storage.set('qux', 'bar', 100)
+
+      assert.deepStrictEqual(storage.stats(), { type: 'memory', size: 2, capacity: 2 })
     })
   })
 
@@ -398,11 +619,11 @@ describe('storage memory', async () => {
       assert.equal(storage.referencesKeys.get('fooers'), undefined)
       assert.equal(storage.referencesKeys.get('foo:1'), undefined)
       assert.equal(storage.referencesKeys.get('foo:2'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('booers'), ['boo~1'])
+      assert.deepStrictEqual(storage.referencesKeys.get('booers'), new Set(['boo~1']))
 
       assert.equal(storage.keysReferences.get('foo~1'), undefined)
       assert.equal(storage.keysReferences.get('foo~2'), undefined)
-      assert.deepStrictEqual(storage.keysReferences.get('boo~1'), ['booers', 'boo:1'])
+      assert.deepStrictEqual(storage.keysReferences.get('boo~1'), new Set(['booers', 'boo:1']))
     })
 
     test('should not remove storage keys by not existing reference', async () => {
@@ -451,11 +672,11 @@ describe('storage memory', async () => {
 
       assert.equal(storage.referencesKeys.get('fooers'), undefined)
       assert.equal(storage.referencesKeys.get('foo:1'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('booers'), ['boo~1'])
+      assert.deepStrictEqual(storage.referencesKeys.get('booers'), new Set(['boo~1']))
 
       assert.equal(storage.keysReferences.get('foo~1'), undefined)
       assert.equal(storage.keysReferences.get('foo~boo'), undefined)
-      assert.deepStrictEqual(storage.keysReferences.get('boo~1'), ['booers', 'boo:1'])
+      assert.deepStrictEqual(storage.keysReferences.get('boo~1'), new Set(['booers', 'boo:1']))
     })
 
     test('should remove a keys and references and also linked ones', async () => {
@@ -476,14 +697,14 @@ describe('storage memory', async () => {
 
       assert.deepStrictEqual(storage.referencesKeys.get('fooers'), undefined)
       assert.deepStrictEqual(storage.referencesKeys.get('empty'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('consonantes'), ['d'])
-      assert.deepStrictEqual(storage.referencesKeys.get('vowels'), ['e'])
+      assert.deepStrictEqual(storage.referencesKeys.get('consonantes'), new Set(['d']))
+      assert.deepStrictEqual(storage.referencesKeys.get('vowels'), new Set(['e']))
 
       assert.deepStrictEqual(storage.keysReferences.get('a'), undefined)
       assert.deepStrictEqual(storage.keysReferences.get('b'), undefined)
       assert.deepStrictEqual(storage.keysReferences.get('c'), undefined)
-      assert.deepStrictEqual(storage.keysReferences.get('d'), ['consonantes'])
-      assert.deepStrictEqual(storage.keysReferences.get('e'), ['vowels'])
+      assert.deepStrictEqual(storage.keysReferences.get('d'), new Set(['consonantes']))
+      assert.deepStrictEqual(storage.keysReferences.get('e'), new Set(['vowels']))
     })
 
     test('should invalidate by a string', async () => {
@@ -503,11 +724,11 @@ describe('storage memory', async () => {
       assert.equal(storage.referencesKeys.get('fooers'), undefined)
       assert.equal(storage.referencesKeys.get('foo:1'), undefined)
       assert.equal(storage.referencesKeys.get('foo:2'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('booers'), ['boo~1'])
+      assert.deepStrictEqual(storage.referencesKeys.get('booers'), new Set(['boo~1']))
 
       assert.equal(storage.keysReferences.get('foo~1'), undefined)
       assert.equal(storage.keysReferences.get('foo~2'), undefined)
-      assert.deepStrictEqual(storage.keysReferences.get('boo~1'), ['booers', 'boo:1'])
+      assert.deepStrictEqual(storage.keysReferences.get('boo~1'), new Set(['booers', 'boo:1']))
     })
 
     test('should invalidate by an array of strings', async () => {
@@ -609,6 +830,24 @@ describe('storage memory', async () => {
 
       deepStrictEqual(storage.invalidate(['something']), [])
     })
+
+    test('should invalidate a reference shared by many keys', async () => {
+      const storage = createStorage('memory', { size: 20000, invalidation: true })
+      for (let i = 0; i < 20000; i++) {
+        storage.set(`key~${i}`, i, 100, ['all', `key:${i % 2}`])
+      }
+      // the removed keys leave the shared references
+      for (let i = 0; i < 10000; i += 2) {
+        storage.remove(`key~${i}`)
+      }
+
+      assert.equal(storage.referencesKeys.get('all').size, 15000)
+      assert.equal(storage.referencesKeys.get('key:0').size, 5000)
+      assert.equal(storage.invalidate('key:0').length, 5000)
+      assert.equal(storage.invalidate('all').length, 10000)
+      assert.equal(storage.referencesKeys.size, 0)
+      assert.equal(storage.keysReferences.size, 0)
+    })
   })
 
   describe('clear', async () => {
@@ -665,14 +904,14 @@ describe('storage memory', async () => {
 
       assert.deepStrictEqual(storage.referencesKeys.get('fooers'), undefined)
       assert.deepStrictEqual(storage.referencesKeys.get('empty'), undefined)
-      assert.deepStrictEqual(storage.referencesKeys.get('consonantes'), ['b-d'])
-      assert.deepStrictEqual(storage.referencesKeys.get('vowels'), ['b-e'])
+      assert.deepStrictEqual(storage.referencesKeys.get('consonantes'), new Set(['b-d']))
+      assert.deepStrictEqual(storage.referencesKeys.get('vowels'), new Set(['b-e']))
 
       assert.deepStrictEqual(storage.keysReferences.get('a-a'), undefined)
       assert.deepStrictEqual(storage.keysReferences.get('a-b'), undefined)
       assert.deepStrictEqual(storage.keysReferences.get('a-c'), undefined)
-      assert.deepStrictEqual(storage.keysReferences.get('b-d'), ['consonantes'])
-      assert.deepStrictEqual(storage.keysReferences.get('b-e'), ['vowels'])
+      assert.deepStrictEqual(storage.keysReferences.get('b-d'), new Set(['consonantes']))
+      assert.deepStrictEqual(storage.keysReferences.get('b-e'), new Set(['vowels']))
     })
   })
 
@@ -695,4 +934,186 @@ describe('storage memory', async () => {
       assert.equal(storage.referencesKeys.size, 0)
     })
   })
+
+  describe('sweep', async () => {
+    test('should remove the expired entries and their references in background', async (t) => {
+      const storage = createStorage('memory', { ttlMs: true, invalidation: true, sweep: { interval: 20 } })
+      t.after(() => storage.close())
+      storage.set('foo', 'bar', 10, ['ref:foo', 'ref:all'])
+      storage.set('baz', 'qux', 1000, ['ref:all'])
+
+      assert.equal(storage.sweeper.hasRef(), false)
+      await sleep(60)
+
+      assert.equal(storage.store.size, 1)
+      assert.equal(storage.store.peek('foo'), undefined)
+      assert.deepStrictEqual([...storage.keysReferences.keys()], ['baz'])
+      assert.deepStrictEqual([...storage.referencesKeys.keys()], ['ref:all'])
+      assert.deepStrictEqual(storage.referencesKeys.get('ref:all'), new Set(['baz']))
+    })
+
+    test('should check a sample at a time, from where the previous one stopped', async (t) => {
+      const storage = createStorage('memory', { ttlMs: true, sweep: { interval: 60000, sample: 2 } })
+      t.after(() => storage.close())
+      for (const key of ['a', 'b', 'c', 'd', 'e']) {
+        storage.set(key, key, 1)
+      }
+      storage.set('f', 'f', 1000)
+      await sleep(10)
+
+      assert.equal(storage.sweep(), 2)
+      assert.equal(storage.sweep(), 2)
+      assert.equal(storage.sweep(), 1)
+      assert.equal(storage.sweep(), 0)
+      assert.equal(storage.store.size, 1)
+    })
+
+    test('should go on while more than a quarter of the sample is expired', async (t) => {
+      const storage = createStorage('memory', { ttlMs: true, sweep: { interval: 20, sample: 4 } })
+      t.after(() => storage.close())
+      for (let i = 0; i < 20; i++) {
+        storage.set(`key${i}`, i, 1)
+      }
+      storage.set('fresh', 'fresh', 1000)
+      await sleep(50)
+
+      assert.equal(storage.store.size, 1)
+      assert.equal(storage.get('fresh'), 'fresh')
+    })
+
+    test('should restart after a clear and a refresh', async (t) => {
+      const storage = createStorage('memory', { ttlMs: true, sweep: { interval: 60000, sample: 1 } })
+      t.after(() => storage.close())
+      storage.set('a', 'a', 1)
+      storage.set('b', 'b', 1)
+      await sleep(10)
+      assert.equal(storage.sweep(), 1)
+
+      storage.clear()
+      assert.equal(storage.sweepCursor, undefined)
+      storage.set('c', 'c', 1)
+      storage.refresh()
+      assert.equal(storage.sweepCursor, undefined)
+      assert.equal(storage.sweep(), 0)
+    })
+
+    test('should stop on close', async (t) => {
+      const storage = createStorage('memory', { ttlMs: true, sweep: { interval: 10 } })
+      storage.set('foo', 'bar', 1)
+      storage.close()
+      await sleep(40)
+
+      assert.equal(storage.store.size, 1)
+      // it can be closed even without a sweeper
+      createStorage('memory').close()
+    })
+
+    test('should get an error on invalid options', async () => {
+      assert.throws(() => createStorage('memory', { sweep: 1000 }), /sweep must be a boolean or an object/)
+      assert.throws(() => createStorage('memory', { sweep: null }), /sweep must be a boolean or an object/)
+      assert.throws(() => createStorage('memory', { sweep: { interval: 0 } }), /sweep.interval must be a positive integer greater than 0/)
+      assert.throws(() => createStorage('memory', { sweep: { sample: 1.5 } }), /sweep.sample must be a positive integer greater than 0/)
+
+      const storage = createStorage('memory', { sweep: true })
+      assert.equal(storage.sweepInterval, 1000)
+      assert.equal(storage.sweepSample, 100)
+      storage.close()
+      createStorage('memory', { sweep: false }).close()
+    })
+  })
+
+  describe('onEvict', async () => {
+    test('should get an error on invalid onEvict', async () => {
+      assert.throws(() => createStorage('memory', { onEvict: 'log' }), /onEvict must be a function/)
+    })
+
+    test('should report the keys evicted for capacity, with their references removed', async () => {
+      const evicted = []
+      const storage = createStorage('memory', { size: 2, invalidation: true, onEvict: (key, reason) => evicted.push([key, reason]) })
+      storage.set('a', 1, 100, ['ref'])
+      storage.set('b', 2, 100)
+      storage.set('b', 22, 100)
+      storage.set('c', 3, 100)
+
+      assert.deepStrictEqual(evicted, [['a', 'capacity']])
+      assert.equal(storage.referencesKeys.size, 0)
+    })
+
+    test('should report the keys evicted to fit maxBytes', async () => {
+      const evicted = []
+      const storage = createStorage('memory', { maxBytes: 10, maxEntryBytes: 8, onEvict: (key, reason) => evicted.push([key, reason]) })
+      storage.set('a', 'aaaa', 100)
+      storage.set('b', 'bbbb', 100)
+      storage.set('c', 'cccc', 100)
+      // an oversized value is not stored, the previous one is dropped without being reported
+      storage.set('c', 'c'.repeat(20), 100)
+
+      assert.deepStrictEqual(evicted, [['a', 'capacity']])
+      assert.equal(storage.exists('c'), false)
+    })
+
+    test('should report the expired keys found by get, exists and sweep', async (t) => {
+      const evicted = []
+      const storage = createStorage('memory', { ttlMs: true, sweep: { interval: 60000 }, onEvict: (key, reason) => evicted.push([key, reason]) })
+      t.after(() => storage.close())
+      storage.set('a', 1, 1)
+      storage.set('b', 2, 1)
+      storage.set('c', 3, 1)
+      await sleep(10)
+
+      assert.equal(storage.get('a'), undefined)
+      assert.equal(storage.get('a'), undefined)
+      assert.equal(storage.exists('b'), false)
+      await sleep(0)
+      storage.sweep()
+
+      assert.deepStrictEqual(evicted, [['a', 'expired'], ['b', 'expired'], ['c', 'expired']])
+    })
+
+    test('should not remove an expired key set again before the removal', async () => {
+      const evicted = []
+      const storage = createStorage('memory', { ttlMs: true, onEvict: (key, reason) => evicted.push([key, reason]) })
+      storage.set('a', 1, 1)
+      await sleep(10)
+
+      assert.equal(storage.get('a'), undefined)
+      storage.set('a', 11, 1000)
+      await sleep(0)
+
+      assert.equal(storage.get('a'), 11)
+      assert.deepStrictEqual(evicted, [])
+    })
+
+    test('should report the invalidated keys', async () => {
+      const evicted = []
+      const storage = createStorage('memory', { invalidation: true, onEvict: (key, reason) => evicted.push([key, reason]) })
+      storage.set('a', 1, 100, ['ref:a', 'ref:all'])
+      storage.set('b', 2, 100, ['ref:b', 'ref:all'])
+      storage.set('c', 3, 100, ['ref:c'])
+
+      storage.invalidate('ref:a')
+      storage.invalidate(['ref:all', 'ref:c'])
+
+      assert.deepStrictEqual(evicted, [['a', 'invalidated'], ['b', 'invalidated'], ['c', 'invalidated']])
+    })
+
+    test('should report the cleared and removed keys', async () => {
+      const evicted = []
+      const storage = createStorage('memory', { invalidation: true, onEvict: (key, reason) => evicted.push([key, reason]) })
+      storage.set('foo~a', 1, 100, ['ref'])
+      storage.set('foo~b', 2, 100)
+      storage.set('bar~a', 3, 100)
+      storage.set('bar~b', 4, 100)
+      storage.set('baz~a', 5, 100)
+
+      storage.clear('foo~')
+      storage.remove('bar~a')
+      storage.remove('missing')
+      storage.removeMany(['bar~b', 'missing'])
+      storage.clear()
+
+      assert.deepStrictEqual(evicted, [['foo~a', 'cleared'], ['foo~b', 'cleared'], ['bar~a', 'cleared'], ['bar~b', 'cleared'], ['baz~a', 'cleared']])
+      assert.equal(storage.referencesKeys.size, 0)
+    })
+  })
 })
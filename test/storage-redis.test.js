@@ -6,7 +6,9 @@ const { tspl } = require('@matteo.collina/tspl')
 const { promisify } = require('util')
 const Redis = require('ioredis')
 const proxyquire = require('proxyquire')
+const RedisClusterMock = require('./helpers/redis-cluster')
 const createStorage = require('../src/storage')
+const { createCache } = require('../')
 const StorageRedis = proxyquire('../src/storage/redis', {
   '../util': {
     randomSubset: (array, size) => array.slice(0, size)
@@ -199,6 +201,60 @@ describe('storage redis', async () => {
     })
   })
 
+  describe('ttlMs', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should set the values with ttl in milliseconds', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, ttlMs: true })
+      await storage.set('foo', 'bar', 1500)
+      await storage.setMany([{ key: 'baz', value: 'qux', ttl: 2500 }])
+
+      const pttl = await storage.store.pttl('foo')
+      assert.ok(pttl > 1400 && pttl <= 1500)
+      assert.ok(await storage.store.pttl('baz') > 2400)
+
+      const ttl = await storage.getTTL('foo')
+      assert.ok(ttl > 1400 && ttl <= 1500, `${ttl} should be in milliseconds`)
+    })
+
+    test('should expire the values in milliseconds', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, ttlMs: true })
+      await storage.set('foo', 'bar', 200)
+
+      assert.equal(await storage.get('foo'), 'bar')
+      await sleep(250)
+      assert.equal(await storage.get('foo'), undefined)
+      assert.equal(await storage.getTTL('foo'), 0)
+    })
+
+    test('should set the values with references and ttl in milliseconds', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, ttlMs: true, invalidation: { referencesTTL: 10 } })
+      await storage.set('foo', 'bar', 1500, ['fooers'])
+
+      for (const key of ['foo', 'k:foo']) {
+        const pttl = await storage.store.pttl(key)
+        assert.ok(pttl > 1400 && pttl <= 1500, `${key} should expire in 1500ms`)
+      }
+      // the references ttl is in seconds anyway
+      assert.equal(await storage.store.ttl('r:fooers'), 10)
+    })
+
+    test('should set the values with ttl in seconds, as milliseconds', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+
+      assert.equal(await storage.store.ttl('foo'), 100)
+      assert.equal(await storage.store.ttl('k:foo'), 100)
+      assert.equal(await storage.getTTL('foo'), 100)
+    })
+
+    test('should throw on invalid ttlMs', async (t) => {
+      assert.throws(() => createStorage('redis', { client: redisClient, ttlMs: 'yes' }), /ttlMs must be a boolean/)
+    })
+  })
+
   describe('set', async () => {
     beforeEach(async () => {
       await redisClient.flushall()
@@ -458,6 +514,236 @@ describe('storage redis', async () => {
     })
   })
 
+  describe('getMany', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should get the values by keys, in order', async (t) => {
+      const storage = createStorage('redis', { client: redisClient })
+
+      await storage.set('foo', 'bar', 100)
+      await storage.set('baz', { a: 1 }, 100)
+
+      assert.deepStrictEqual(await storage.getMany(['baz', 'no-foo', 'foo']), [{ a: 1 }, undefined, 'bar'])
+    })
+
+    test('should clear the references of the missing keys when invalidation is enabled', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+
+      let cleared
+      const clearReferences = storage.clearReferences.bind(storage)
+      storage.clearReferences = (keys) => {
+        cleared = clearReferences(keys)
+        return cleared
+      }
+
+      await storage.set('foo', 'bar', 10, ['fooers'])
+      await storage.set('baz', 'bar', 10, ['fooers'])
+      await storage.store.del('foo') // Simulate expiration
+
+      assert.deepStrictEqual(await storage.getMany(['foo', 'baz']), [undefined, 'bar'])
+      await cleared
+
+      assert.deepStrictEqual(await storage.store.smembers('r:fooers'), ['baz'])
+      assert.equal((await storage.store.smembers('k:foo')).length, 0)
+    })
+
+    test('should not clear the references when all the keys exist', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      storage.clearReferences = () => { assert.fail('should not clear references') }
+
+      await storage.set('foo', 'bar', 10, ['fooers'])
+
+      assert.deepStrictEqual(await storage.getMany(['foo']), ['bar'])
+    })
+
+    test('should not throw on error', async (t) => {
+      const { equal, deepStrictEqual } = tspl(t, { plan: 3 })
+
+      const storage = createStorage('redis', {
+        client: {},
+        log: {
+          debug: () => { },
+          error: (error) => {
+            equal(error.msg, 'acd/storage/redis.getMany error')
+            deepStrictEqual(error.keys, ['foo', 'bar'])
+          }
+        }
+      })
+
+      deepStrictEqual(await storage.getMany(['foo', 'bar']), [undefined, undefined])
+    })
+  })
+
+  describe('setMany', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should set the values in a single pipeline', async (t) => {
+      const storage = createStorage('redis', { client: redisClient })
+
+      let pipelines = 0
+      const pipeline = storage.store.pipeline.bind(storage.store)
+      storage.store.pipeline = (commands) => {
+        pipelines++
+        return pipeline(commands)
+      }
+
+      await storage.setMany([
+        { key: 'foo', value: 'bar', ttl: 100 },
+        { key: 'baz', value: { a: 1 }, ttl: 10 },
+        { key: 'none', value: 'bar', ttl: 0 }
+      ])
+
+      assert.equal(pipelines, 1)
+      assert.deepStrictEqual(await storage.getMany(['foo', 'baz', 'none']), ['bar', { a: 1 }, undefined])
+      assert.equal(await storage.getTTL('foo'), 100)
+      assert.equal(await storage.getTTL('baz'), 10)
+    })
+
+    test('should set the values with references', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+
+      await storage.setMany([
+        { key: 'foo', value: 'bar', ttl: 100, references: ['fooers'] },
+        { key: 'baz', value: 'bar', ttl: 100, references: ['fooers', 'bazers'] },
+        { key: 'qux', value: 'bar', ttl: 100 }
+      ])
+
+      assert.deepStrictEqual(await storage.getMany(['foo', 'baz', 'qux']), ['bar', 'bar', 'bar'])
+      assertInclude(t, await storage.store.smembers('r:fooers'), ['foo', 'baz'])
+      assert.deepStrictEqual(await storage.store.smembers('r:bazers'), ['baz'])
+      assert.deepStrictEqual(await storage.invalidate(['bazers']), ['baz'])
+    })
+
+    test('should warn setting references when invalidation is disabled', async (t) => {
+      const { equal } = tspl(t, { plan: 2 })
+
+      const storage = createStorage('redis', {
+        client: redisClient,
+        log: {
+          debug: () => { },
+          warn: (warning) => {
+            equal(warning.msg, 'acd/storage/redis.setMany, invalidation is disabled, references are useless')
+          }
+        }
+      })
+
+      await storage.setMany([{ key: 'foo', value: 'bar', ttl: 100, references: ['fooers'] }])
+
+      equal(await storage.get('foo'), 'bar')
+    })
+
+    test('should not throw on error', async (t) => {
+      const { equal } = tspl(t, { plan: 2 })
+
+      const storage = createStorage('redis', {
+        client: redisClient,
+        log: {
+          debug: () => { },
+          error: (error) => {
+            equal(error.msg, 'acd/storage/redis.setMany error')
+          }
+        }
+      })
+      storage.exec = async (commands) => commands.map(() => [new Error('kaboom')])
+
+      await storage.setMany([{ key: 'foo', value: 'bar', ttl: 100 }])
+      equal(await storage.get('foo'), undefined)
+    })
+  })
+
+  describe('removeMany', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should remove the keys', async (t) => {
+      const storage = createStorage('redis', { client: redisClient })
+      await storage.setMany([
+        { key: 'foo', value: 'bar', ttl: 10 },
+        { key: 'baz', value: 'bar', ttl: 10 },
+        { key: 'qux', value: 'bar', ttl: 10 }
+      ])
+
+      assert.deepStrictEqual(await storage.removeMany(['foo', 'no-foo', 'baz']), [true, false, true])
+
+      assert.deepStrictEqual(await storage.getMany(['foo', 'baz', 'qux']), [undefined, undefined, 'bar'])
+    })
+
+    test('should remove the keys and their references', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 10, ['fooers'])
+      await storage.set('baz', 'bar', 10, ['fooers', 'bazers'])
+      await storage.set('qux', 'bar', 10, ['fooers'])
+
+      assert.deepStrictEqual(await storage.removeMany(['foo', 'baz']), [true, true])
+
+      assert.deepStrictEqual(await storage.store.smembers('r:fooers'), ['qux'])
+      assert.equal(await storage.store.exists('r:bazers'), 0)
+      assert.equal(await storage.store.exists('k:foo'), 0)
+      assert.equal(await storage.store.exists('k:baz'), 0)
+    })
+
+    test('should not clear references when no key is removed', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      storage.clearReferences = () => { assert.fail('should not clear references') }
+
+      assert.deepStrictEqual(await storage.removeMany(['foo']), [false])
+    })
+
+    test('should not throw on error', async (t) => {
+      const { equal, deepStrictEqual } = tspl(t, { plan: 3 })
+
+      const storage = createStorage('redis', {
+        client: redisClient,
+        log: {
+          debug: () => { },
+          error: (error) => {
+            equal(error.msg, 'acd/storage/redis.removeMany error')
+            deepStrictEqual(error.keys, ['foo'])
+          }
+        }
+      })
+      storage.exec = async (commands) => commands.map(() => [new Error('kaboom')])
+
+      deepStrictEqual(await storage.removeMany(['foo']), [false])
+    })
+  })
+
+  describe('stats', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should get the number of keys', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+      await storage.set('baz', 'bar', 100)
+
+      // the value, the key references and the reference keys
+      assert.deepStrictEqual(await storage.stats(), { type: 'redis', size: 4 })
+    })
+
+    test('should not throw on error', async (t) => {
+      const { equal, deepStrictEqual } = tspl(t, { plan: 2 })
+
+      const storage = createStorage('redis', {
+        client: {},
+        log: {
+          debug: () => { },
+          error: (error) => {
+            equal(error.msg, 'acd/storage/redis.stats error')
+          }
+        }
+      })
+
+      deepStrictEqual(await storage.stats(), { type: 'redis' })
+    })
+  })
+
   describe('invalidate', async () => {
     beforeEach(async () => {
       await redisClient.flushall()
@@ -476,6 +762,14 @@ describe('storage redis', async () => {
       assert.equal(await storage.get('boo~1'), 'fiz')
     })
 
+    test('should not remove storage keys by empty references', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo~1', 'bar', 1, ['fooers', 'foo:1'])
+
+      assert.deepStrictEqual(await storage.invalidate([]), [])
+      assert.equal(await storage.get('foo~1'), 'bar')
+    })
+
     test('should not remove storage keys by not existing reference', async (t) => {
       const storage = createStorage('redis', { client: redisClient, invalidation: true })
       await storage.set('foo~1', 'bar', 1, ['fooers', 'foo:1'])
@@ -628,6 +922,37 @@ describe('storage redis', async () => {
       assert.equal(await storage.get('f'), undefined)
     })
 
+    test('should invalidate with wildcard scanning in chunks, without using keys', async (t) => {
+      const progress = []
+      const storage = createStorage('redis', {
+        client: redisClient,
+        invalidation: true,
+        scan: { chunk: 5, onProgress: (p) => progress.push(p) }
+      })
+      for (let i = 0; i < 20; i++) {
+        await storage.set(`foo~${i}`, i, 10, [`foo:${i}`])
+      }
+      await storage.set('boo~1', 1, 10, ['boo:1'])
+
+      const keys = redisClient.keys
+      redisClient.keys = () => { assert.fail('should not use keys') }
+      const removed = await storage.invalidate('foo:*')
+      redisClient.keys = keys
+
+      assert.equal(new Set(removed).size, 20)
+      for (let i = 0; i < 20; i++) {
+        assert.equal(await storage.get(`foo~${i}`), undefined)
+      }
+      assert.equal(await storage.get('boo~1'), 1)
+
+      assert.ok(progress.length > 1)
+      const last = progress[progress.length - 1]
+      assert.equal(last.operation, 'invalidate')
+      assert.equal(last.pattern, 'r:foo:*')
+      assert.equal(last.removed, removed.length)
+      assert.ok(last.scanned >= 20)
+    })
+
     test('should get a warning with invalidation disabled', async (t) => {
       const { equal, deepStrictEqual } = tspl(t, { plan: 2 })
 
@@ -736,6 +1061,50 @@ describe('storage redis', async () => {
       assert.deepStrictEqual(await storage.store.smembers('k:b-e'), ['vowels'])
     })
 
+    test('should clear keys by name scanning in chunks, without using keys', async (t) => {
+      const progress = []
+      const storage = createStorage('redis', {
+        client: redisClient,
+        invalidation: true,
+        scan: { chunk: 5, onProgress: (p) => progress.push(p) }
+      })
+      for (let i = 0; i < 20; i++) {
+        await storage.set(`foo~${i}`, i, 10, [`foo:${i}`])
+      }
+      await storage.set('boo~1', 1, 10)
+
+      const keys = redisClient.keys
+      redisClient.keys = () => { assert.fail('should not use keys') }
+      await storage.clear('foo~')
+      redisClient.keys = keys
+
+      for (let i = 0; i < 20; i++) {
+        assert.equal(await storage.get(`foo~${i}`), undefined)
+        assert.equal(await redisClient.exists(`k:foo~${i}`), 0)
+        assert.equal(await redisClient.exists(`r:foo:${i}`), 0)
+      }
+      assert.equal(await storage.get('boo~1'), 1)
+
+      assert.ok(progress.length > 1)
+      const last = progress[progress.length - 1]
+      assert.equal(last.operation, 'clear')
+      assert.equal(last.pattern, 'foo~*')
+      assert.equal(last.removed, 20)
+      assert.ok(last.scanned >= 20)
+    })
+
+    test('should get an error on invalid scan chunk', async (t) => {
+      assert.throws(() => createStorage('redis', { client: redisClient, scan: { chunk: -1 } }), {
+        message: 'scan.chunk must be a positive integer greater than 0'
+      })
+    })
+
+    test('should get an error on invalid scan onProgress', async (t) => {
+      assert.throws(() => createStorage('redis', { client: redisClient, scan: { onProgress: 'nope' } }), {
+        message: 'scan.onProgress must be a function'
+      })
+    })
+
     test('should not throw on error', async (t) => {
       const { equal, doesNotThrow } = tspl(t, { plan: 3 })
 
@@ -1146,6 +1515,1074 @@ describe('storage redis', async () => {
     })
   })
 
+  describe('scripts', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should load each script only once', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+
+      let loads = 0
+      const script = redisClient.script
+      redisClient.script = function (...args) {
+        loads++
+        return script.apply(this, args)
+      }
+      await storage.set('foo', 'bar', 100, ['fooers'])
+      await storage.set('baz', 'bar', 100, ['bazers'])
+      await storage.invalidate('fooers')
+      await storage.invalidate('bazers')
+      redisClient.script = script
+
+      assert.equal(loads, 2)
+      assert.deepStrictEqual([...storage.scripts.keys()], ['setWithReferences', 'invalidateReferences'])
+    })
+
+    test('should set value and references in a single call', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+
+      const { pipeline, set } = redisClient
+      redisClient.pipeline = () => { assert.fail('should not use pipeline') }
+      redisClient.set = () => { assert.fail('should not use set') }
+      await storage.set('foo', 'bar', 100, ['fooers'])
+      redisClient.pipeline = pipeline
+      redisClient.set = set
+
+      assert.equal(await storage.get('foo'), 'bar')
+      assert.deepStrictEqual(await redisClient.smembers('r:fooers'), ['foo'])
+      assert.deepStrictEqual(await redisClient.smembers('k:foo'), ['fooers'])
+      assert.equal(await redisClient.ttl('k:foo'), 100)
+    })
+
+    test('should replace a single reference', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+      await storage.set('foo', 'bar', 100, ['bazers'])
+
+      assert.equal(await redisClient.exists('r:fooers'), 0)
+      assert.deepStrictEqual(await redisClient.smembers('r:bazers'), ['foo'])
+      assert.deepStrictEqual(await redisClient.smembers('k:foo'), ['bazers'])
+    })
+
+    test('should invalidate keys and references in a single call', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers', 'shared'])
+      await storage.set('baz', 'bar', 100, ['bazers', 'shared'])
+
+      const pipeline = redisClient.pipeline
+      redisClient.pipeline = () => { assert.fail('should not use pipeline') }
+      const removed = await storage.invalidate(['fooers', 'shared'])
+      redisClient.pipeline = pipeline
+
+      assert.deepStrictEqual(removed.sort(), ['baz', 'foo'])
+      assert.deepStrictEqual(await redisClient.keys('*'), [])
+    })
+
+    test('should declare all the keys touched by the scripts', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers', 'shared'])
+      await storage.set('baz', 'bar', 100, ['bazers', 'shared'])
+
+      const evalsha = t.mock.method(redisClient, 'evalsha')
+      await storage.set('foo', 'bar', 100, ['fooers', 'other'])
+      const removed = await storage.invalidate(['fooers', 'bazers'])
+
+      // the members of the sets come in any order
+      const declared = evalsha.mock.calls.map(({ arguments: [, count, ...args] }) => args.slice(0, count).sort())
+      assert.deepStrictEqual(declared, [
+        ['foo', 'k:foo', 'r:fooers', 'r:other', 'r:shared'],
+        ['baz', 'foo', 'k:baz', 'k:foo', 'r:bazers', 'r:bazers', 'r:fooers', 'r:fooers', 'r:other', 'r:shared']
+      ])
+      assert.deepStrictEqual(removed.sort(), ['baz', 'foo'])
+      assert.deepStrictEqual(await redisClient.keys('*'), [])
+    })
+
+    test('should write again the references changed meanwhile', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+
+      // the first read misses the current references
+      let reads = 0
+      const smembers = redisClient.smembers
+      redisClient.smembers = function (...args) {
+        return reads++ === 0 ? [] : smembers.apply(this, args)
+      }
+      await storage.set('foo', 'baz', 100, ['bazers'])
+      redisClient.smembers = smembers
+      assert.equal(reads, 2)
+
+      assert.equal(await storage.get('foo'), 'baz')
+      assert.equal(await redisClient.exists('r:fooers'), 0)
+      assert.deepStrictEqual(await redisClient.smembers('r:bazers'), ['foo'])
+      assert.deepStrictEqual(await redisClient.smembers('k:foo'), ['bazers'])
+    })
+
+    test('should invalidate again the keys changed meanwhile', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+      await storage.set('baz', 'bar', 100, ['fooers'])
+
+      // the first read misses a key of the reference
+      let reads = 0
+      const smembers = redisClient.smembers
+      redisClient.smembers = function (...args) {
+        return reads++ === 0 ? ['foo'] : smembers.apply(this, args)
+      }
+      const removed = await storage.invalidate(['fooers'])
+      redisClient.smembers = smembers
+      assert.equal(reads, 5)
+
+      assert.deepStrictEqual(removed.sort(), ['baz', 'foo'])
+      assert.deepStrictEqual(await redisClient.keys('*'), [])
+    })
+
+    test('should give up when the references keep changing', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+      const error = t.mock.method(storage.log, 'error')
+
+      const smembers = redisClient.smembers
+      redisClient.smembers = async () => []
+      await storage.set('foo', 'baz', 100, ['bazers'])
+      redisClient.smembers = smembers
+      assert.equal(error.mock.calls[0].arguments[0].err.message, 'the references of foo kept changing')
+      assert.equal(await storage.get('foo'), 'bar')
+
+      redisClient.smembers = async (label) => label === 'r:fooers' ? ['foo'] : []
+      assert.deepStrictEqual(await storage.invalidate(['fooers']), [])
+      redisClient.smembers = smembers
+      assert.equal(error.mock.calls[1].arguments[0].err.message, 'the keys of fooers kept changing')
+      assert.equal(await storage.get('foo'), 'bar')
+    })
+
+    test('should load the script again when redis lost it', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, invalidation: true })
+      storage.scripts.set('setWithReferences', 'ffffffffffffffffffffffffffffffffffffffff')
+
+      await storage.set('foo', 'bar', 100, ['fooers'])
+
+      assert.equal(await storage.get('foo'), 'bar')
+      assert.notEqual(storage.scripts.get('setWithReferences'), 'ffffffffffffffffffffffffffffffffffffffff')
+    })
+
+    test('should load the script again only once', async (t) => {
+      let loads = 0
+      const storage = createStorage('redis', {
+        client: {
+          script: async () => { loads++; return 'sha' },
+          evalsha: async () => { throw new Error('NOSCRIPT No matching script') }
+        }
+      })
+
+      await assert.rejects(storage.runScript('releaseLock', ['l:foo'], ['token']), { message: 'NOSCRIPT No matching script' })
+      assert.equal(loads, 2)
+    })
+
+    test('should not load the script again on other errors', async (t) => {
+      let loads = 0
+      const storage = createStorage('redis', {
+        client: {
+          script: async () => { loads++; return 'sha' },
+          evalsha: async () => { throw new Error('kaboom') }
+        }
+      })
+
+      await assert.rejects(storage.runScript('releaseLock', ['l:foo'], ['token']), { message: 'kaboom' })
+      assert.equal(loads, 1)
+      assert.equal(storage.scripts.get('releaseLock'), 'sha')
+    })
+  })
+
+  describe('prefix', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should throw on invalid prefix', async (t) => {
+      assert.throws(() => createStorage('redis', { client: redisClient, prefix: 1 }), {
+        message: 'prefix must be a string'
+      })
+    })
+
+    test('should store values and references under the prefix', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, prefix: 'ns:', invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+
+      assert.equal(await storage.get('foo'), 'bar')
+      assert.equal(await storage.exists('foo'), true)
+      assert.equal(await storage.getTTL('foo'), 100)
+
+      assert.deepStrictEqual((await redisClient.keys('*')).sort(), ['ns:foo', 'ns:k:foo', 'ns:r:fooers'])
+      assert.deepStrictEqual(await redisClient.smembers('ns:r:fooers'), ['foo'])
+      assert.deepStrictEqual(await redisClient.smembers('ns:k:foo'), ['fooers'])
+    })
+
+    test('should not see keys of other namespaces', async (t) => {
+      const storage1 = createStorage('redis', { client: redisClient, prefix: 'ns1:' })
+      const storage2 = createStorage('redis', { client: redisClient, prefix: 'ns2:' })
+      await storage1.set('foo', 'bar', 100)
+
+      assert.equal(await storage2.get('foo'), undefined)
+      assert.equal(await storage2.exists('foo'), false)
+      assert.equal(await storage2.getTTL('foo'), 0)
+    })
+
+    test('should remove under the prefix', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, prefix: 'ns:', invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+
+      assert.equal(await storage.remove('foo'), true)
+      assert.deepStrictEqual(await redisClient.keys('*'), [])
+    })
+
+    test('should invalidate under the prefix', async (t) => {
+      const storage1 = createStorage('redis', { client: redisClient, prefix: 'ns1:', invalidation: true })
+      const storage2 = createStorage('redis', { client: redisClient, prefix: 'ns2:', invalidation: true })
+      await storage1.set('foo~1', 'bar', 100, ['foo:1'])
+      await storage1.set('foo~2', 'bar', 100, ['foo:2'])
+      await storage2.set('foo~1', 'bar', 100, ['foo:1'])
+
+      assert.deepStrictEqual(await storage1.invalidate('foo:1'), ['foo~1'])
+      assert.deepStrictEqual(await storage1.invalidate(['foo:2']), ['foo~2'])
+      assert.equal(await storage1.get('foo~1'), undefined)
+      assert.equal(await storage1.get('foo~2'), undefined)
+      assert.equal(await storage2.get('foo~1'), 'bar')
+
+      await storage1.set('foo~1', 'bar', 100, ['foo:1'])
+      assert.deepStrictEqual(await storage1.invalidate('foo:*'), ['foo~1'])
+      assert.equal(await storage1.get('foo~1'), undefined)
+      assert.equal(await storage2.get('foo~1'), 'bar')
+    })
+
+    test('should escape the prefix in patterns', async (t) => {
+      const storage1 = createStorage('redis', { client: redisClient, prefix: 'n*:', invalidation: true })
+      const storage2 = createStorage('redis', { client: redisClient, prefix: 'ns:', invalidation: true })
+      await storage1.set('foo~1', 'bar', 100, ['foo:1'])
+      await storage2.set('foo~1', 'bar', 100, ['foo:1'])
+
+      assert.deepStrictEqual(await storage1.invalidate('foo:*'), ['foo~1'])
+      await storage1.clear()
+
+      assert.equal(await storage2.get('foo~1'), 'bar')
+      assert.deepStrictEqual((await redisClient.keys('*')).sort(), ['ns:foo~1', 'ns:k:foo~1', 'ns:r:foo:1'])
+    })
+
+    test('should clear by name under the prefix', async (t) => {
+      const storage1 = createStorage('redis', { client: redisClient, prefix: 'ns1:', invalidation: true })
+      const storage2 = createStorage('redis', { client: redisClient, prefix: 'ns2:', invalidation: true })
+      await storage1.set('foo~1', 'bar', 100, ['foo:1'])
+      await storage1.set('boo~1', 'bar', 100, ['boo:1'])
+      await storage2.set('foo~1', 'bar', 100, ['foo:1'])
+
+      await storage1.clear('foo~')
+
+      assert.equal(await storage1.get('foo~1'), undefined)
+      assert.equal(await redisClient.exists('ns1:k:foo~1'), 0)
+      assert.equal(await redisClient.exists('ns1:r:foo:1'), 0)
+      assert.equal(await storage1.get('boo~1'), 'bar')
+      assert.equal(await storage2.get('foo~1'), 'bar')
+    })
+
+    test('should clear only the namespace, without flushall', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, prefix: 'ns:', invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+      await redisClient.set('session', 'value')
+
+      const flushall = redisClient.flushall
+      redisClient.flushall = () => { assert.fail('should not use flushall') }
+      await storage.clear()
+      redisClient.flushall = flushall
+
+      assert.deepStrictEqual(await redisClient.keys('*'), ['session'])
+    })
+
+    test('should clear only the namespace, not the ones starting with its name', async (t) => {
+      const user = createStorage('redis', { client: redisClient, prefix: 'user', invalidation: true })
+      const users = createStorage('redis', { client: redisClient, prefix: 'users', invalidation: true })
+      assert.equal(user.prefix, 'user:')
+      await user.set('foo~1', 'bar', 100, ['foo:1'])
+      await users.set('foo~1', 'baz', 100, ['foo:1'])
+      await users.set('user~1', 'baz', 100)
+
+      await user.clear('user')
+      await user.clear()
+
+      assert.equal(await user.get('foo~1'), undefined)
+      assert.deepStrictEqual((await redisClient.keys('*')).sort(), ['users:foo~1', 'users:k:foo~1', 'users:r:foo:1', 'users:user~1'])
+    })
+
+    test('should refresh only the namespace, without flushall', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, prefix: 'ns:' })
+      await storage.set('foo', 'bar', 100)
+      await redisClient.set('session', 'value')
+
+      const flushall = redisClient.flushall
+      redisClient.flushall = () => { assert.fail('should not use flushall') }
+      await storage.refresh()
+      redisClient.flushall = flushall
+
+      assert.deepStrictEqual(await redisClient.keys('*'), ['session'])
+    })
+
+    test('should run gc under the prefix', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, prefix: 'ns:', invalidation: true })
+      await storage.set('foo', 'bar', 1, ['fooers'])
+      await storage.set('baz', 'bar', 100, ['bazers'])
+      await redisClient.sadd('r:others', 'foo')
+
+      await sleep(1500)
+
+      const report = await storage.gc('strict')
+      assert.equal(report.error, null)
+      assert.deepStrictEqual(report.references.scanned.sort(), ['ns:r:bazers', 'ns:r:fooers'])
+      assert.deepStrictEqual(report.references.removed, ['ns:r:fooers'])
+      assert.deepStrictEqual(await redisClient.smembers('r:others'), ['foo'])
+    })
+
+    test('should lock under the prefix', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, prefix: 'ns:', lock: { interval: 10 } })
+
+      const token = await storage.acquireLock('foo')
+      assert.equal(await redisClient.exists('ns:l:foo'), 1)
+
+      setTimeout(async () => {
+        await storage.set('foo', 'bar', 10)
+        await storage.releaseLock('foo', token)
+      }, 50)
+
+      assert.equal(await storage.waitForValue('foo'), 'bar')
+      assert.equal(await redisClient.exists('ns:l:foo'), 0)
+    })
+  })
+
+  describe('lock', async () => {
+    beforeEach(async () => {
+      await redisClient.flushall()
+    })
+
+    test('should throw on invalid lock timeout', async (t) => {
+      assert.throws(() => createStorage('redis', { client: redisClient, lock: { timeout: -1 } }), {
+        message: 'lock.timeout must be a positive integer greater than 0'
+      })
+    })
+
+    test('should throw on invalid lock interval', async (t) => {
+      assert.throws(() => createStorage('redis', { client: redisClient, lock: { interval: 'a' } }), {
+        message: 'lock.interval must be a positive integer greater than 0'
+      })
+    })
+
+    test('should get the default lock options', async (t) => {
+      assert.equal(createStorage('redis', { client: redisClient }).lock, null)
+      assert.deepStrictEqual(createStorage('redis', { client: redisClient, lock: true }).lock, { timeout: 5000, interval: 50 })
+      assert.deepStrictEqual(createStorage('redis', { client: redisClient, lock: { timeout: 100, interval: 10 } }).lock, { timeout: 100, interval: 10 })
+    })
+
+    test('should acquire the lock only once', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: { timeout: 1000 } })
+
+      const token = await storage.acquireLock('foo')
+      assert.ok(token)
+      assert.equal(await storage.acquireLock('foo'), undefined)
+
+      const pttl = await redisClient.pttl('l:foo')
+      assert.ok(pttl > 0 && pttl <= 1000)
+    })
+
+    test('should release the lock only by its owner', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: true })
+
+      const token = await storage.acquireLock('foo')
+
+      await storage.releaseLock('foo', 'not-the-token')
+      assert.equal(await redisClient.exists('l:foo'), 1)
+
+      await storage.releaseLock('foo', token)
+      assert.equal(await redisClient.exists('l:foo'), 0)
+      assert.ok(await storage.acquireLock('foo'))
+    })
+
+    test('should wait for the value set by the lock owner', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: { interval: 10 } })
+
+      const token = await storage.acquireLock('foo')
+      setTimeout(async () => {
+        await storage.set('foo', { bar: 1 }, 10)
+        await storage.releaseLock('foo', token)
+      }, 50)
+
+      assert.deepStrictEqual(await storage.waitForValue('foo'), { bar: 1 })
+    })
+
+    test('should stop waiting when the lock is released without value', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: { interval: 10 } })
+
+      const token = await storage.acquireLock('foo')
+      setTimeout(() => storage.releaseLock('foo', token), 50)
+
+      assert.equal(await storage.waitForValue('foo'), undefined)
+    })
+
+    test('should stop waiting on lock timeout', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: { timeout: 100, interval: 10 } })
+
+      // the lock is held longer than the storage timeout
+      await redisClient.set('l:foo', 'another-process', 'PX', 1000)
+
+      const start = Date.now()
+      assert.equal(await storage.waitForValue('foo'), undefined)
+      assert.ok(Date.now() - start < 500)
+    })
+
+    test('should wait for the lock to be released', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: { interval: 10 } })
+
+      await storage.set('foo', { bar: 1 }, 10)
+      const token = await storage.acquireLock('foo')
+      setTimeout(() => storage.releaseLock('foo', token), 50)
+
+      const start = Date.now()
+      assert.equal(await storage.waitForRelease('foo'), true)
+      assert.ok(Date.now() - start >= 40)
+    })
+
+    test('should stop waiting for the release on lock timeout', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: { timeout: 100, interval: 10 } })
+
+      await redisClient.set('l:foo', 'another-process', 'PX', 1000)
+
+      const start = Date.now()
+      assert.equal(await storage.waitForRelease('foo'), true)
+      assert.ok(Date.now() - start < 500)
+    })
+
+    test('should not throw on error', async (t) => {
+      const { equal } = tspl(t, { plan: 7 })
+
+      const storage = createStorage('redis', {
+        client: {},
+        lock: { interval: 1 },
+        log: {
+          debug: () => { },
+          error: (error) => {
+            equal(error.key, 'foo')
+          }
+        }
+      })
+
+      equal(await storage.acquireLock('foo'), undefined)
+      await storage.releaseLock('foo', 'token')
+      equal(await storage.waitForValue('foo'), undefined)
+      equal(await storage.waitForRelease('foo'), false)
+    })
+
+    test('should call the original function once across caches sharing redis', async (t) => {
+      const { equal, deepStrictEqual } = tspl(t, { plan: 4 })
+
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+
+      const fetchSomething = async (k) => {
+        equal(k, 42)
+        await sleep(100)
+        return { k }
+      }
+      cache1.define('fetchSomething', fetchSomething)
+      cache2.define('fetchSomething', fetchSomething)
+
+      const results = await Promise.all([cache1.fetchSomething(42), cache2.fetchSomething(42)])
+      deepStrictEqual(results, [{ k: 42 }, { k: 42 }])
+
+      equal(await redisClient.exists('l:fetchSomething~42'), 0)
+      deepStrictEqual(await cache2.fetchSomething(42), { k: 42 })
+    })
+
+    test('should call the original function when the lock owner fails', async (t) => {
+      const { equal, deepStrictEqual, rejects } = tspl(t, { plan: 4 })
+
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+
+      cache1.define('fetchSomething', async (k) => {
+        await sleep(50)
+        throw new Error('kaboom')
+      })
+      cache2.define('fetchSomething', async (k) => {
+        equal(k, 42)
+        return { k }
+      })
+
+      const p1 = cache1.fetchSomething(42)
+      await sleep(10)
+      const p2 = cache2.fetchSomething(42)
+
+      await rejects(p1, { message: 'kaboom' })
+      deepStrictEqual(await p2, { k: 42 })
+      equal(await redisClient.exists('l:fetchSomething~42'), 0)
+    })
+
+    test('should replay the error cached by the lock owner', async (t) => {
+      const { equal, rejects } = tspl(t, { plan: 4 })
+
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+
+      let calls = 0
+      const fetchSomething = async (k) => {
+        calls++
+        await sleep(50)
+        const err = new TypeError('kaboom')
+        err.code = 'E_KABOOM'
+        throw err
+      }
+      cache1.define('fetchSomething', { errorTtl: 10 }, fetchSomething)
+      cache2.define('fetchSomething', { errorTtl: 10 }, fetchSomething)
+
+      const p1 = cache1.fetchSomething(42)
+      await sleep(10)
+      const p2 = cache2.fetchSomething(42)
+
+      await rejects(p1, { message: 'kaboom' })
+      await rejects(p2, (err) => err instanceof TypeError && err.code === 'E_KABOOM')
+      await rejects(cache2.fetchSomething(42), { message: 'kaboom' })
+      equal(calls, 1)
+    })
+
+    test('should not cache the error of the lock owner on forceRefresh', async (t) => {
+      const { deepStrictEqual, rejects } = tspl(t, { plan: 3 })
+
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache = createCache({ ttl: 10, storage: { type: 'redis', options } })
+
+      let fail = false
+      cache.define('fetchSomething', { errorTtl: 10 }, async (k) => {
+        if (fail) { throw new Error('kaboom') }
+        return { k }
+      })
+
+      await cache.fetchSomething(42)
+      fail = true
+
+      await rejects(cache.fetchSomething.withOptions({ forceRefresh: true })(42), { message: 'kaboom' })
+      await sleep(10)
+      deepStrictEqual(JSON.parse(await redisClient.get('fetchSomething~42')), { k: 42 })
+      deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+    })
+
+    test('should not return the previous value on forceRefresh', async (t) => {
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, storage: { type: 'redis', options } })
+
+      let calls = 0
+      const fetchSomething = async (k) => {
+        const call = ++calls
+        await sleep(50)
+        return { k, call }
+      }
+      cache1.define('fetchSomething', fetchSomething)
+      cache2.define('fetchSomething', fetchSomething)
+      await redisClient.set('fetchSomething~42', JSON.stringify({ k: 'previous' }), 'EX', 10)
+
+      const p1 = cache1.fetchSomething.withOptions({ forceRefresh: true })(42)
+      await sleep(10)
+      const p2 = cache2.fetchSomething.withOptions({ forceRefresh: true })(42)
+
+      assert.deepStrictEqual(await p1, { k: 42, call: 1 })
+      // the original function is called once the lock is released, holding it
+      assert.deepStrictEqual(await p2, { k: 42, call: 2 })
+      assert.equal(await redisClient.exists('l:fetchSomething~42'), 0)
+    })
+
+    test('should refresh the stale value in one process only', async (t) => {
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: 10, stale: 9, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, stale: 9, storage: { type: 'redis', options } })
+
+      const refreshes = []
+      cache1.on('stale-refresh', ({ stage }) => refreshes.push(stage))
+      cache2.on('stale-refresh', ({ stage }) => refreshes.push(stage))
+      let calls = 0
+      const fetchSomething = async (k) => {
+        calls++
+        await sleep(50)
+        return { k }
+      }
+      cache1.define('fetchSomething', fetchSomething)
+      cache2.define('fetchSomething', fetchSomething)
+      // within the stale window
+      await redisClient.set('fetchSomething~42', JSON.stringify({ k: 'stale' }), 'EX', 5)
+
+      assert.deepStrictEqual(await Promise.all([cache1.fetchSomething(42), cache2.fetchSomething(42)]), [{ k: 'stale' }, { k: 'stale' }])
+      await sleep(100)
+
+      assert.equal(calls, 1)
+      assert.deepStrictEqual(refreshes, ['stale'])
+      assert.deepStrictEqual(JSON.parse(await redisClient.get('fetchSomething~42')), { k: 42 })
+      assert.equal(await redisClient.exists('l:fetchSomething~42'), 0)
+    })
+
+    test('should read the result of the lock owner on staleIfError', async (t) => {
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: 10, staleIfError: 9, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, staleIfError: 9, storage: { type: 'redis', options } })
+
+      let calls = 0
+      const fetchSomething = async (k) => {
+        calls++
+        await sleep(50)
+        return { k }
+      }
+      cache1.define('fetchSomething', fetchSomething)
+      cache2.define('fetchSomething', fetchSomething)
+      // expired, kept for staleIfError
+      await redisClient.set('fetchSomething~42', JSON.stringify({ k: 'expired' }), 'EX', 5)
+
+      const p1 = cache1.fetchSomething(42)
+      await sleep(10)
+      const p2 = cache2.fetchSomething(42)
+
+      assert.deepStrictEqual(await Promise.all([p1, p2]), [{ k: 42 }, { k: 42 }])
+      assert.equal(calls, 1)
+      assert.equal(await redisClient.exists('l:fetchSomething~42'), 0)
+    })
+
+    test('should serve the expired value when the lock owner fails on staleIfError', async (t) => {
+      const options = { client: redisClient, lock: { interval: 10 } }
+      let staleServed = 0
+      const onStaleServed = () => { staleServed++ }
+      const cache1 = createCache({ ttl: 10, staleIfError: 9, onStaleServed, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, staleIfError: 9, onStaleServed, storage: { type: 'redis', options } })
+
+      let calls = 0
+      const fetchSomething = async (k) => {
+        calls++
+        await sleep(50)
+        throw new Error('kaboom')
+      }
+      cache1.define('fetchSomething', fetchSomething)
+      cache2.define('fetchSomething', fetchSomething)
+      await redisClient.set('fetchSomething~42', JSON.stringify({ k: 'expired' }), 'EX', 5)
+
+      const p1 = cache1.fetchSomething(42)
+      await sleep(10)
+      const p2 = cache2.fetchSomething(42)
+
+      assert.deepStrictEqual(await Promise.all([p1, p2]), [{ k: 'expired' }, { k: 'expired' }])
+      assert.equal(calls, 1)
+      assert.equal(staleServed, 2)
+      assert.equal(await redisClient.exists('l:fetchSomething~42'), 0)
+    })
+
+    test('should call the original function on staleIfError when the lock fails', async (t) => {
+      const storage = createStorage('redis', { client: redisClient, lock: { interval: 10 } })
+      const cache = createCache({ ttl: 10, staleIfError: 9, storage: { type: 'custom', options: { storage } } })
+
+      cache.define('fetchSomething', async (k) => ({ k }))
+      await redisClient.set('fetchSomething~42', JSON.stringify({ k: 'expired' }), 'EX', 5)
+      await redisClient.set('l:fetchSomething~42', 'another-process', 'PX', 1000)
+      t.mock.method(storage, 'waitForRelease', async () => false)
+
+      assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+    })
+
+    test('should call the original function when the lock keeps failing', async (t) => {
+      const cache = createCache({
+        ttl: 10,
+        storage: { type: 'redis', options: { client: {}, lock: { interval: 1 }, log: { debug: () => {}, error: () => {} } } }
+      })
+
+      cache.define('fetchSomething', async (k) => ({ k }))
+
+      assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
+    })
+
+    test('should lock with ttl as function', async (t) => {
+      const { equal, deepStrictEqual } = tspl(t, { plan: 2 })
+
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: () => 10, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: () => 10, storage: { type: 'redis', options } })
+
+      const fetchSomething = async (k) => {
+        equal(k, 42)
+        await sleep(50)
+        return { k }
+      }
+      cache1.define('fetchSomething', fetchSomething)
+      cache2.define('fetchSomething', fetchSomething)
+
+      const results = await Promise.all([cache1.fetchSomething(42), cache2.fetchSomething(42)])
+      deepStrictEqual(results, [{ k: 42 }, { k: 42 }])
+    })
+
+    test('should not lock without ttl', async (t) => {
+      const { equal } = tspl(t, { plan: 3 })
+
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ storage: { type: 'redis', options } })
+      const cache2 = createCache({ storage: { type: 'redis', options } })
+
+      const fetchSomething = async (k) => {
+        equal(k, 42)
+        await sleep(50)
+        return { k }
+      }
+      cache1.define('fetchSomething', { errorTtl: 10 }, fetchSomething)
+      cache2.define('fetchSomething', { errorTtl: 10 }, fetchSomething)
+
+      await Promise.all([cache1.fetchSomething(42), cache2.fetchSomething(42)])
+      equal(await redisClient.exists('fetchSomething~42'), 0)
+    })
+
+    test('should use the transformer on the value set by another cache', async (t) => {
+      const { deepStrictEqual } = tspl(t, { plan: 2 })
+
+      const transformer = {
+        serialize: (result) => ({ date: result.date.toISOString() }),
+        deserialize: (data) => ({ date: new Date(data.date) })
+      }
+      const options = { client: redisClient, lock: { interval: 10 } }
+      const cache1 = createCache({ ttl: 10, transformer, storage: { type: 'redis', options } })
+      const cache2 = createCache({ ttl: 10, transformer, storage: { type: 'redis', options } })
+
+      const date = new Date()
+      const fetchSomething = async () => {
+        await sleep(50)
+        return { date }
+      }
+      cache1.define('fetchSomething', fetchSomething)
+      cache2.define('fetchSomething', fetchSomething)
+
+      const p1 = cache1.fetchSomething(42)
+      await sleep(10)
+      const p2 = cache2.fetchSomething(42)
+
+      deepStrictEqual(await p1, { date })
+      deepStrictEqual(await p2, { date })
+    })
+  })
+
+  describe('cluster', async () => {
+    const nodes = [new Redis({ db: 1 }), new Redis({ db: 2 }), new Redis({ db: 3 })]
+    const cluster = new RedisClusterMock(nodes)
+
+    async function nodeKeys () {
+      return Promise.all(nodes.map(async node => (await node.keys('*')).sort()))
+    }
+
+    beforeEach(async () => {
+      await Promise.all(nodes.map(node => node.flushdb()))
+    })
+
+    after(async () => {
+      await Promise.all(nodes.map(node => node.quit()))
+    })
+
+    test('should throw on invalid cluster option', async (t) => {
+      assert.throws(() => createStorage('redis', { client: cluster, cluster: 'yes' }), {
+        message: 'cluster must be a boolean'
+      })
+    })
+
+    test('should detect the cluster client', async (t) => {
+      assert.equal(createStorage('redis', { client: cluster }).cluster, true)
+      assert.equal(createStorage('redis', { client: cluster, cluster: false }).cluster, false)
+      assert.equal(createStorage('redis', { client: redisClient }).cluster, false)
+      assert.equal(createStorage('redis', { client: redisClient, cluster: true }).cluster, true)
+    })
+
+    test('should hash-tag the value, the references and the lock of the key to the same slot', async (t) => {
+      const storage = createStorage('redis', { client: cluster, prefix: 'ns:', invalidation: true })
+
+      assert.equal(storage.getKeyLabel('foo'), 'ns:{foo}')
+      assert.equal(storage.getKeyReferenceLabel('foo'), 'ns:k:{foo}')
+      assert.equal(storage.getLockLabel('foo'), 'ns:l:{foo}')
+      assert.equal(storage.getReferenceKeyLabel('fooers'), 'ns:r:fooers')
+      assert.equal(storage.getKeyFromLabel('ns:{foo}'), 'foo')
+
+      for (const key of ['foo', 'bar', 'baz~{"id":1}']) {
+        const node = cluster.getNode([storage.getKeyLabel(key)])
+        assert.equal(cluster.getNode([storage.getKeyReferenceLabel(key)]), node)
+        assert.equal(cluster.getNode([storage.getLockLabel(key)]), node)
+      }
+    })
+
+    test('should set and get values with references across the nodes', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      const references = ['a', 'b', 'c', 'd', 'e', 'f']
+      await storage.set('foo', 'bar', 100, references)
+
+      assert.equal(await storage.get('foo'), 'bar')
+      assert.equal(await storage.exists('foo'), true)
+      assert.equal(await storage.getTTL('foo'), 100)
+      assert.deepStrictEqual((await redisClient.smembers('k:foo')), [])
+      assertInclude(t, await cluster.smembers('k:{foo}'), references)
+      for (const reference of references) {
+        assert.deepStrictEqual(await cluster.smembers(`r:${reference}`), ['foo'])
+        assert.equal(await cluster.ttl(`r:${reference}`), 60)
+      }
+
+      const keys = await nodeKeys()
+      assert.ok(keys.filter(node => node.length > 0).length > 1, 'keys should be spread across the nodes')
+    })
+
+    test('should get, set and remove many keys across the nodes', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      const keys = ['a', 'b', 'c', 'd', 'e', 'f']
+      await storage.setMany(keys.map(key => ({ key, value: key.toUpperCase(), ttl: 100 })))
+      await storage.setMany([{ key: 'g', value: 'G', ttl: 100, references: ['r'] }])
+
+      assert.deepStrictEqual(await storage.getMany([...keys, 'g', 'h']), ['A', 'B', 'C', 'D', 'E', 'F', 'G', undefined])
+      assert.ok((await nodeKeys()).filter(node => node.length > 0).length > 1, 'keys should be spread across the nodes')
+
+      assert.deepStrictEqual(await storage.removeMany(['a', 'd', 'g', 'h']), [true, true, true, false])
+      assert.deepStrictEqual(await storage.getMany(['a', 'b', 'd', 'g']), [undefined, 'B', undefined, undefined])
+      assert.equal(await cluster.exists('r:r'), 0)
+    })
+
+    test('should get the number of keys of every node', async (t) => {
+      const storage = createStorage('redis', { client: cluster })
+      await storage.setMany(['a', 'b', 'c', 'd', 'e', 'f'].map(key => ({ key, value: key, ttl: 100 })))
+
+      assert.deepStrictEqual(await storage.stats(), { type: 'redis', size: 6 })
+    })
+
+    test('should not throw getting many keys on error', async (t) => {
+      const { equal, deepStrictEqual } = tspl(t, { plan: 2 })
+
+      const storage = createStorage('redis', {
+        client: cluster,
+        log: {
+          debug: () => { },
+          error: (error) => {
+            equal(error.msg, 'acd/storage/redis.getMany error')
+          }
+        }
+      })
+      storage.exec = async (commands) => commands.map(() => [new Error('kaboom')])
+
+      deepStrictEqual(await storage.getMany(['foo']), [undefined])
+    })
+
+    test('should replace the references of the key', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['a', 'b', 'c'])
+      await storage.set('foo', 'bar', 100, ['c', 'd'])
+
+      assertInclude(t, await cluster.smembers('k:{foo}'), ['c', 'd'])
+      assert.equal(await cluster.exists('r:a'), 0)
+      assert.equal(await cluster.exists('r:b'), 0)
+      assert.deepStrictEqual(await cluster.smembers('r:c'), ['foo'])
+      assert.deepStrictEqual(await cluster.smembers('r:d'), ['foo'])
+    })
+
+    test('should set values without references', async (t) => {
+      const storage = createStorage('redis', { client: cluster })
+      await storage.set('foo', 'bar', 100)
+
+      assert.equal(await storage.get('foo'), 'bar')
+      assert.deepStrictEqual(await nodeKeys().then(keys => keys.flat()), ['{foo}'])
+    })
+
+    test('should remove the key and its references', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      await storage.set('foo', 'bar', 100, ['a', 'b', 'c'])
+      await storage.set('baz', 'bar', 100, ['a'])
+
+      assert.equal(await storage.remove('foo'), true)
+
+      assert.deepStrictEqual((await nodeKeys()).flat().sort(), ['k:{baz}', 'r:a', '{baz}'])
+      assert.deepStrictEqual(await cluster.smembers('r:a'), ['baz'])
+    })
+
+    test('should invalidate references across the nodes', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      await storage.set('foo~1', 'bar', 100, ['foo:1', 'foos'])
+      await storage.set('foo~2', 'bar', 100, ['foo:2', 'foos'])
+      await storage.set('foo~3', 'bar', 100, ['foo:3', 'foos'])
+      await storage.set('baz', 'bar', 100, ['baz', 'foos'])
+
+      assert.deepStrictEqual(await storage.invalidate('foo:1'), ['foo~1'])
+      assert.deepStrictEqual((await storage.invalidate(['foo:2', 'foo:3'])).sort(), ['foo~2', 'foo~3'])
+
+      assert.equal(await storage.get('foo~1'), undefined)
+      assert.equal(await storage.get('foo~2'), undefined)
+      assert.equal(await storage.get('foo~3'), undefined)
+      assert.deepStrictEqual((await nodeKeys()).flat().sort(), ['k:{baz}', 'r:baz', 'r:foos', '{baz}'])
+      assert.deepStrictEqual(await cluster.smembers('r:foos'), ['baz'])
+    })
+
+    test('should invalidate references matching the wildcard on every node', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true, scan: { chunk: 1 } })
+      for (let i = 0; i < 10; i++) {
+        await storage.set(`foo~${i}`, 'bar', 100, [`foo:${i}`])
+      }
+      await storage.set('baz', 'bar', 100, ['baz'])
+
+      const removed = await storage.invalidate('foo:*')
+
+      assert.equal(removed.length, 10)
+      assert.deepStrictEqual((await nodeKeys()).flat().sort(), ['k:{baz}', 'r:baz', '{baz}'])
+    })
+
+    test('should clear the name on every node', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true, scan: { chunk: 1 } })
+      for (let i = 0; i < 10; i++) {
+        await storage.set(`foo~${i}`, 'bar', 100, ['foos'])
+      }
+      await storage.set('baz', 'bar', 100, ['foos'])
+
+      await storage.clear('foo')
+
+      assert.deepStrictEqual((await nodeKeys()).flat().sort(), ['k:{baz}', 'r:foos', '{baz}'])
+      assert.deepStrictEqual(await cluster.smembers('r:foos'), ['baz'])
+    })
+
+    test('should clear and refresh every node', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      const flush = nodes.map(node => node.flushall)
+      let flushes = 0
+      nodes.forEach((node, i) => {
+        node.flushall = function (...args) {
+          flushes++
+          return flush[i].apply(this, args)
+        }
+      })
+
+      await storage.set('foo', 'bar', 100, ['a', 'b', 'c'])
+      await storage.clear()
+      assert.deepStrictEqual((await nodeKeys()).flat(), [])
+
+      await storage.set('foo', 'bar', 100, ['a', 'b', 'c'])
+      await storage.refresh()
+      assert.deepStrictEqual((await nodeKeys()).flat(), [])
+
+      nodes.forEach((node, i) => { node.flushall = flush[i] })
+      assert.equal(flushes, 6)
+    })
+
+    test('should clear only the namespace on every node', async (t) => {
+      const storage1 = createStorage('redis', { client: cluster, prefix: 'ns1:', invalidation: true })
+      const storage2 = createStorage('redis', { client: cluster, prefix: 'ns2:', invalidation: true })
+      await storage1.set('foo', 'bar', 100, ['a', 'b', 'c'])
+      await storage2.set('foo', 'bar', 100, ['a'])
+
+      await storage1.clear()
+
+      assert.deepStrictEqual((await nodeKeys()).flat().sort(), ['ns2:k:{foo}', 'ns2:r:a', 'ns2:{foo}'])
+    })
+
+    test('should load the scripts on every node', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      const loaded = []
+      const script = nodes.map(node => node.script)
+      nodes.forEach((node, i) => {
+        node.script = function (...args) {
+          loaded.push(i)
+          return script[i].apply(this, args)
+        }
+      })
+
+      await storage.set('foo', 'bar', 100, ['a'])
+      await storage.set('bar', 'bar', 100, ['a'])
+      nodes.forEach((node, i) => { node.script = script[i] })
+
+      assert.deepStrictEqual(loaded.sort(), [0, 1, 2])
+    })
+
+    test('should run the commands in a pipeline per node', async (t) => {
+      const storage = createStorage('redis', { client: cluster })
+      const keys = ['a', 'b', 'c', 'd', 'e', 'f']
+      await assert.rejects(cluster.pipeline(keys.map(key => ['set', key, key])).exec())
+
+      await storage.exec(keys.map(key => ['set', key, key]))
+      const results = await storage.exec(keys.map(key => ['get', key]))
+
+      assert.deepStrictEqual(results, keys.map(key => [null, key]))
+    })
+
+    test('should run the commands in a pipeline per slot without the slots map', async (t) => {
+      const client = new RedisClusterMock(nodes)
+      client.slots = undefined
+      const storage = createStorage('redis', { client })
+      const keys = ['a', 'b', 'c', 'd', 'e', 'f']
+
+      await storage.exec(keys.map(key => ['set', key, key]))
+      const results = await storage.exec(keys.map(key => ['get', key]))
+
+      assert.deepStrictEqual(results, keys.map(key => [null, key]))
+    })
+
+    test('should run gc in strict mode on every node', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      await storage.set('foo', 'bar', 1, ['a', 'b', 'c', 'd', 'e', 'f'])
+      await storage.set('baz', 'bar', 100, ['a'])
+      await sleep(1500)
+
+      const report = await storage.gc('strict', { chunk: 1 })
+
+      assert.equal(report.error, null)
+      assert.deepStrictEqual(report.keys.removed, ['foo'])
+      assert.deepStrictEqual(report.references.removed.sort(), ['r:b', 'r:c', 'r:d', 'r:e', 'r:f'])
+      assert.deepStrictEqual(await cluster.smembers('r:a'), ['baz'])
+    })
+
+    test('should run gc in lazy mode on a node', async (t) => {
+      const storage = new StorageRedis({ client: cluster, invalidation: true })
+      await storage.set('foo', 'bar', 1, ['a', 'b', 'c', 'd', 'e', 'f'])
+      await sleep(1500)
+      const references = (await nodes[0].keys('r:*')).sort()
+      assert.ok(references.length > 0)
+
+      const report = await storage.gc('lazy', { lazy: { chunk: 10, cursor: 1 } })
+
+      assert.equal(report.error, null)
+      assert.deepStrictEqual(report.references.removed.sort(), references)
+      assert.deepStrictEqual((await nodeKeys())[0].filter(key => key.startsWith('r:')), [])
+    })
+
+    test('should lock the key', async (t) => {
+      const storage = createStorage('redis', { client: cluster, lock: { timeout: 1000, interval: 10 } })
+
+      const token = await storage.acquireLock('foo')
+      assert.ok(token)
+      assert.equal(await storage.acquireLock('foo'), undefined)
+
+      setTimeout(() => storage.set('foo', 'bar', 100), 50)
+      assert.equal(await storage.waitForValue('foo'), 'bar')
+
+      await storage.releaseLock('foo', token)
+      assert.equal(await cluster.exists('l:{foo}'), 0)
+    })
+
+    test('should cache and invalidate with the cluster', async (t) => {
+      const storage = createStorage('redis', { client: cluster, invalidation: true })
+      const cache = createCache({ storage: { type: 'custom', options: { storage } }, ttl: 100 })
+      let calls = 0
+      cache.define('fetchUser', {
+        references: (args, key, result) => [`user:${result.id}`, 'users']
+      }, async (id) => {
+        calls++
+        return { id }
+      })
+
+      await cache.fetchUser(1)
+      await cache.fetchUser(2)
+      await cache.fetchUser(1)
+      assert.equal(calls, 2)
+
+      await cache.invalidate('fetchUser', 'user:1')
+      await cache.fetchUser(1)
+      await cache.fetchUser(2)
+      assert.equal(calls, 3)
+    })
+  })
+
   test('should throw if is not server side and storage is redis', async (t) => {
     const createStorage = proxyquire('../src/storage/index.js', {
       '../util': { isServerSide: false }
@@ -0,0 +1,696 @@
+'use strict'
+
+const { test, describe, before, beforeEach, after } = require('node:test')
+const assert = require('node:assert')
+const { tspl } = require('@matteo.collina/tspl')
+const { promisify } = require('util')
+const Redis = require('ioredis')
+const proxyquire = require('proxyquire')
+const createStorage = require('../src/storage')
+const { createCache } = require('../')
+const { kStorage, kStorages } = require('../src/symbol')
+
+const sleep = promisify(setTimeout)
+
+const redisClient = new Redis()
+
+async function createTiered (options) {
+  const storage = createStorage('tiered', { client: redisClient, ...options })
+  await storage.subscription
+  return storage
+}
+
+describe('storage tiered', async () => {
+  before(async () => {
+    await redisClient.flushall()
+  })
+
+  after(async () => {
+    redisClient.quit()
+  })
+
+  beforeEach(async () => {
+    await redisClient.flushall()
+  })
+
+  test('should get an instance with default options', async (t) => {
+    const storage = await createTiered()
+
+    assert.ok(typeof storage.get === 'function')
+    assert.ok(typeof storage.set === 'function')
+    assert.ok(typeof storage.remove === 'function')
+    assert.ok(typeof storage.invalidate === 'function')
+    assert.ok(typeof storage.refresh === 'function')
+    assert.equal(storage.channel, 'acd:invalidation')
+    assert.equal(storage.l1.size, 1024)
+    assert.equal(storage.l1.invalidation, false)
+
+    await storage.close()
+  })
+
+  test('should pass memory options to L1', async (t) => {
+    const storage = await createTiered({ memory: { size: 10, sweep: true } })
+
+    assert.equal(storage.l1.size, 10)
+    const close = t.mock.method(storage.l1, 'close')
+
+    await storage.close()
+    assert.equal(close.mock.callCount(), 1)
+  })
+
+  test('should use the prefix on L2 and on the default channel', async (t) => {
+    const storage = await createTiered({ prefix: 'ns:' })
+    await storage.set('foo', 'bar', 100)
+
+    assert.equal(storage.channel, 'ns:acd:invalidation')
+    assert.equal(JSON.parse(await redisClient.get('ns:foo')), 'bar')
+
+    await storage.close()
+  })
+
+  test('should throw on missing options', async (t) => {
+    assert.throws(() => createStorage('tiered'), { message: 'Redis client is required' })
+  })
+
+  test('should throw on invalid subscriber', async (t) => {
+    assert.throws(() => createStorage('tiered', { client: redisClient, subscriber: -1 }), { message: 'subscriber must be a redis client' })
+  })
+
+  test('should throw when subscriber is missing and client cannot be duplicated', async (t) => {
+    assert.throws(() => createStorage('tiered', { client: {} }), { message: 'subscriber is required when client cannot be duplicated' })
+  })
+
+  test('should throw on invalid channel', async (t) => {
+    assert.throws(() => createStorage('tiered', { client: redisClient, channel: 1 }), { message: 'channel must be a string' })
+  })
+
+  test('should throw if is not server side and storage is tiered', async (t) => {
+    const createStorage = proxyquire('../src/storage/index.js', {
+      '../util': { isServerSide: false }
+    })
+
+    assert.throws(() => createStorage('tiered', { client: redisClient }), {
+      message: 'Tiered storage is not supported in the browser'
+    })
+  })
+
+  describe('get', async () => {
+    test('should get a value from L1 without reaching redis', async (t) => {
+      const storage = await createTiered()
+      await storage.set('foo', 'bar', 100)
+
+      storage.l2.get = () => { assert.fail('should not read L2') }
+
+      assert.equal(await storage.get('foo'), 'bar')
+
+      await storage.close()
+    })
+
+    test('should get a value from L2 and store it in L1', async (t) => {
+      const storage = await createTiered()
+      await storage.l2.set('foo', 'bar', 100)
+
+      assert.equal(storage.l1.get('foo'), undefined)
+      assert.equal(await storage.get('foo'), 'bar')
+      assert.equal(storage.l1.get('foo'), 'bar')
+      assert.equal(storage.l1.getTTL('foo'), 100)
+
+      await storage.close()
+    })
+
+    test('should get undefined retrieving a non stored key', async (t) => {
+      const storage = await createTiered()
+
+      assert.equal(await storage.get('foo'), undefined)
+      assert.equal(storage.l1.get('foo'), undefined)
+
+      await storage.close()
+    })
+
+    test('should not store in L1 a value removed while reading L2', async (t) => {
+      const storage = await createTiered()
+      await storage.l2.set('foo', 'bar', 100)
+
+      const getTTL = storage.l2.getTTL.bind(storage.l2)
+      storage.l2.getTTL = async (key) => {
+        storage._removeLocal([key])
+        return getTTL(key)
+      }
+
+      assert.equal(await storage.get('foo'), 'bar')
+      assert.equal(storage.l1.get('foo'), undefined)
+
+      await storage.close()
+    })
+  })
+
+  describe('exists', async () => {
+    test('should check L1 and then L2', async (t) => {
+      const storage = await createTiered()
+      await storage.set('foo', 'bar', 100)
+      await storage.l2.set('baz', 'qux', 100)
+
+      assert.equal(await storage.exists('foo'), true)
+      assert.equal(await storage.exists('baz'), true)
+      assert.equal(await storage.exists('no-foo'), false)
+
+      await storage.close()
+    })
+  })
+
+  describe('getTTL', async () => {
+    test('should get the ttl from L1 and then L2', async (t) => {
+      const storage = await createTiered()
+      await storage.set('foo', 'bar', 100)
+      await storage.l2.set('baz', 'qux', 50)
+
+      assert.equal(await storage.getTTL('foo'), 100)
+      assert.equal(await storage.getTTL('baz'), 50)
+      assert.equal(await storage.getTTL('no-foo'), 0)
+
+      await storage.close()
+    })
+
+    test('should get the ttl in milliseconds from both the tiers with ttlMs', async (t) => {
+      const storage = await createTiered({ ttlMs: true })
+      await storage.set('foo', 'bar', 1500)
+      await storage.l2.set('baz', 'qux', 2500)
+
+      assert.equal(storage.l1.ttlMs, true)
+      const ttl = await storage.getTTL('foo')
+      assert.ok(ttl > 1400 && ttl <= 1500)
+      assert.ok(await storage.getTTL('baz') > 2400)
+
+      // L2 values are copied to L1 with their ttl in milliseconds
+      assert.deepStrictEqual(await storage.getMany(['baz']), ['qux'])
+      assert.ok(storage.l1.getTTL('baz') > 2400)
+
+      await storage.close()
+    })
+  })
+
+  describe('set', async () => {
+    test('should write through both tiers', async (t) => {
+      const storage = await createTiered({ invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+
+      assert.equal(storage.l1.get('foo'), 'bar')
+      assert.equal(JSON.parse(await redisClient.get('foo')), 'bar')
+      assert.deepStrictEqual(await redisClient.smembers('r:fooers'), ['foo'])
+
+      await storage.close()
+    })
+
+    test('should drop the previous value in other processes', async (t) => {
+      const storage1 = await createTiered()
+      const storage2 = await createTiered()
+
+      await storage1.set('foo', 'bar', 100)
+      assert.equal(await storage2.get('foo'), 'bar')
+
+      await storage1.set('foo', 'baz', 100)
+      await sleep(100)
+
+      assert.equal(storage2.l1.get('foo'), undefined)
+      assert.equal(await storage2.get('foo'), 'baz')
+
+      await storage1.close()
+      await storage2.close()
+    })
+  })
+
+  describe('remove', async () => {
+    test('should remove the key from every process', async (t) => {
+      const storage1 = await createTiered()
+      const storage2 = await createTiered()
+
+      await storage1.set('foo', 'bar', 100)
+      assert.equal(await storage2.get('foo'), 'bar')
+
+      assert.equal(await storage1.remove('foo'), true)
+      await sleep(100)
+
+      assert.equal(storage1.l1.get('foo'), undefined)
+      assert.equal(storage2.l1.get('foo'), undefined)
+      assert.equal(await storage2.get('foo'), undefined)
+
+      await storage1.close()
+      await storage2.close()
+    })
+  })
+
+  describe('getMany', async () => {
+    test('should get the values from L1, then the missing ones from L2 and store them in L1', async (t) => {
+      const storage = await createTiered()
+      await storage.set('foo', 'bar', 100)
+      await storage.l2.set('baz', 'qux', 10)
+
+      const getMany = storage.l2.getMany.bind(storage.l2)
+      storage.l2.getMany = async (keys) => {
+        assert.deepStrictEqual(keys, ['baz', 'none'])
+        return getMany(keys)
+      }
+
+      assert.deepStrictEqual(await storage.getMany(['foo', 'baz', 'none']), ['bar', 'qux', undefined])
+      assert.equal(storage.l1.get('baz'), 'qux')
+      assert.equal(storage.l1.getTTL('baz'), 10)
+      assert.equal(storage.l1.get('none'), undefined)
+
+      await storage.close()
+    })
+
+    test('should get the values from L1 without reaching redis', async (t) => {
+      const storage = await createTiered()
+      await storage.setMany([{ key: 'foo', value: 'bar', ttl: 100 }, { key: 'baz', value: 'qux', ttl: 100 }])
+
+      storage.l2.getMany = () => { assert.fail('should not read L2') }
+
+      assert.deepStrictEqual(await storage.getMany(['foo', 'baz']), ['bar', 'qux'])
+
+      await storage.close()
+    })
+
+    test('should not read the ttls if no value is found in L2', async (t) => {
+      const storage = await createTiered()
+
+      storage.l2.exec = () => { assert.fail('should not read the ttls') }
+
+      assert.deepStrictEqual(await storage.getMany(['foo']), [undefined])
+
+      await storage.close()
+    })
+
+    test('should not store in L1 the values removed while reading L2', async (t) => {
+      const storage = await createTiered()
+      await storage.l2.setMany([{ key: 'foo', value: 'bar', ttl: 100 }, { key: 'baz', value: 'qux', ttl: 100 }])
+
+      const exec = storage.l2.exec.bind(storage.l2)
+      storage.l2.exec = async (commands) => {
+        storage._removeLocal(['foo'])
+        return exec(commands)
+      }
+
+      assert.deepStrictEqual(await storage.getMany(['foo', 'baz']), ['bar', 'qux'])
+      assert.equal(storage.l1.get('foo'), undefined)
+      assert.equal(storage.l1.get('baz'), undefined)
+
+      await storage.close()
+    })
+  })
+
+  describe('setMany', async () => {
+    test('should write through both tiers and drop the previous values in other processes', async (t) => {
+      const storage1 = await createTiered({ invalidation: true })
+      const storage2 = await createTiered({ invalidation: true })
+
+      await storage1.setMany([{ key: 'foo', value: 'bar', ttl: 100, references: ['fooers'] }, { key: 'baz', value: 'qux', ttl: 100 }])
+      assert.deepStrictEqual(await storage2.getMany(['foo', 'baz']), ['bar', 'qux'])
+      assert.equal(storage1.l1.get('foo'), 'bar')
+      assert.deepStrictEqual(await redisClient.smembers('r:fooers'), ['foo'])
+
+      await storage1.setMany([{ key: 'foo', value: 'bar2', ttl: 100 }, { key: 'baz', value: 'qux2', ttl: 100 }])
+      await sleep(100)
+
+      assert.equal(storage2.l1.get('foo'), undefined)
+      assert.equal(storage2.l1.get('baz'), undefined)
+      assert.deepStrictEqual(await storage2.getMany(['foo', 'baz']), ['bar2', 'qux2'])
+
+      await storage1.close()
+      await storage2.close()
+    })
+  })
+
+  describe('removeMany', async () => {
+    test('should remove the keys from every process', async (t) => {
+      const storage1 = await createTiered()
+      const storage2 = await createTiered()
+
+      await storage1.setMany([{ key: 'foo', value: 'bar', ttl: 100 }, { key: 'baz', value: 'qux', ttl: 100 }])
+      assert.deepStrictEqual(await storage2.getMany(['foo', 'baz']), ['bar', 'qux'])
+
+      assert.deepStrictEqual(await storage1.removeMany(['foo', 'baz', 'none']), [true, true, false])
+      await sleep(100)
+
+      assert.equal(storage1.l1.get('foo'), undefined)
+      assert.equal(storage2.l1.get('foo'), undefined)
+      assert.equal(storage2.l1.get('baz'), undefined)
+      assert.deepStrictEqual(await storage2.getMany(['foo', 'baz']), [undefined, undefined])
+
+      await storage1.close()
+      await storage2.close()
+    })
+  })
+
+  describe('stats', async () => {
+    test('should get the size of both tiers', async (t) => {
+      const storage = await createTiered({ memory: { size: 10 } })
+      await storage.set('foo', 'bar', 100)
+      await storage.l2.set('baz', 'bar', 100)
+
+      assert.deepStrictEqual(await storage.stats(), {
+        type: 'tiered',
+        size: 2,
+        memory: { type: 'memory', size: 1, capacity: 10 }
+      })
+
+      await storage.close()
+    })
+  })
+
+  describe('invalidate', async () => {
+    test('should invalidate the keys in every process', async (t) => {
+      const storage1 = await createTiered({ invalidation: true })
+      const storage2 = await createTiered({ invalidation: true })
+
+      await storage1.set('foo', 'bar', 100, ['fooers'])
+      await storage1.set('baz', 'qux', 100, ['bazers'])
+      // let the set notifications land before filling the other L1
+      await sleep(100)
+      assert.equal(await storage2.get('foo'), 'bar')
+      assert.equal(await storage2.get('baz'), 'qux')
+
+      assert.deepStrictEqual(await storage1.invalidate('fooers'), ['foo'])
+      await sleep(100)
+
+      assert.equal(storage1.l1.get('foo'), undefined)
+      assert.equal(storage2.l1.get('foo'), undefined)
+      assert.equal(storage2.l1.get('baz'), 'qux')
+
+      await storage1.close()
+      await storage2.close()
+    })
+
+    test('should invalidate with wildcard in every process', async (t) => {
+      const storage1 = await createTiered({ invalidation: true })
+      const storage2 = await createTiered({ invalidation: true })
+
+      await storage1.set('foo~1', 'bar', 100, ['foo:1'])
+      await storage1.set('foo~2', 'bar', 100, ['foo:2'])
+      assert.equal(await storage2.get('foo~1'), 'bar')
+      assert.equal(await storage2.get('foo~2'), 'bar')
+
+      assert.deepStrictEqual((await storage1.invalidate('foo:*')).sort(), ['foo~1', 'foo~2'])
+      await sleep(100)
+
+      assert.equal(storage2.l1.get('foo~1'), undefined)
+      assert.equal(storage2.l1.get('foo~2'), undefined)
+
+      await storage1.close()
+      await storage2.close()
+    })
+
+    test('should not publish when nothing has been invalidated', async (t) => {
+      const storage = await createTiered({ invalidation: true })
+      storage.publish = () => { assert.fail('should not publish') }
+
+      assert.deepStrictEqual(await storage.invalidate('fooers'), [])
+
+      await storage.close()
+    })
+  })
+
+  describe('clear', async () => {
+    test('should clear entries by name in every process', async (t) => {
+      const storage1 = await createTiered()
+      const storage2 = await createTiered()
+
+      await storage1.set('foo~1', 'bar', 100)
+      await storage1.set('baz~1', 'qux', 100)
+      await sleep(100)
+      assert.equal(await storage2.get('foo~1'), 'bar')
+      assert.equal(await storage2.get('baz~1'), 'qux')
+
+      await storage1.clear('foo~')
+      await sleep(100)
+
+      assert.equal(storage1.l1.get('foo~1'), undefined)
+      assert.equal(storage2.l1.get('foo~1'), undefined)
+      assert.equal(storage2.l1.get('baz~1'), 'qux')
+      assert.equal(await redisClient.get('foo~1'), null)
+
+      await storage1.close()
+      await storage2.close()
+    })
+
+    test('should clear all entries in every process', async (t) => {
+      const storage1 = await createTiered()
+      const storage2 = await createTiered()
+
+      await storage1.set('foo~1', 'bar', 100)
+      assert.equal(await storage2.get('foo~1'), 'bar')
+
+      await storage1.clear()
+      await sleep(100)
+
+      assert.equal(storage2.l1.get('foo~1'), undefined)
+      assert.equal(await storage2.get('foo~1'), undefined)
+
+      await storage1.close()
+      await storage2.close()
+    })
+  })
+
+  describe('refresh', async () => {
+    test('should refresh both tiers in every process', async (t) => {
+      const storage1 = await createTiered()
+      const storage2 = await createTiered()
+
+      await storage1.set('foo', 'bar', 100)
+      assert.equal(await storage2.get('foo'), 'bar')
+
+      await storage1.refresh()
+      await sleep(100)
+
+      assert.equal(storage1.l1.get('foo'), undefined)
+      assert.equal(storage2.l1.get('foo'), undefined)
+      assert.equal(await redisClient.get('foo'), null)
+
+      await storage1.close()
+      await storage2.close()
+    })
+  })
+
+  describe('gc', async () => {
+    test('should run gc on L2', async (t) => {
+      const storage = await createTiered({ invalidation: true })
+      await storage.set('foo', 'bar', 100, ['fooers'])
+
+      const report = await storage.gc('strict')
+      assert.equal(report.error, null)
+      assert.deepStrictEqual(report.references.scanned, ['r:fooers'])
+
+      await storage.close()
+    })
+  })
+
+  describe('lock', async () => {
+    test('should use the L2 lock', async (t) => {
+      const storage1 = await createTiered({ lock: { interval: 10 } })
+      const storage2 = await createTiered({ lock: { interval: 10 } })
+
+      assert.deepStrictEqual(storage1.lock, { timeout: 5000, interval: 10 })
+
+      const token = await storage1.acquireLock('foo')
+      assert.ok(token)
+      assert.equal(await storage2.acquireLock('foo'), undefined)
+
+      setTimeout(async () => {
+        await storage1.set('foo', 'bar', 10)
+        await storage1.releaseLock('foo', token)
+      }, 50)
+
+      assert.equal(await storage2.waitForValue('foo'), 'bar')
+      assert.equal(await redisClient.exists('l:foo'), 0)
+
+      const release = await storage1.acquireLock('foo')
+      setTimeout(() => storage1.releaseLock('foo', release), 50)
+      assert.equal(await storage2.waitForRelease('foo'), true)
+
+      await storage1.close()
+      await storage2.close()
+    })
+  })
+
+  describe('messages', async () => {
+    test('should ignore messages on other channels', async (t) => {
+      const storage = await createTiered()
+      await storage.set('foo', 'bar', 100)
+
+      storage.onMessage('another-channel', JSON.stringify({ id: 'another-process', keys: ['foo'] }))
+      assert.equal(storage.l1.get('foo'), 'bar')
+
+      await storage.close()
+    })
+
+    test('should ignore own messages', async (t) => {
+      const storage = await createTiered()
+      await storage.set('foo', 'bar', 100)
+
+      storage.onMessage(storage.channel, JSON.stringify({ id: storage.id, keys: ['foo'] }))
+      assert.equal(storage.l1.get('foo'), 'bar')
+
+      await storage.close()
+    })
+
+    test('should ignore unknown messages', async (t) => {
+      const storage = await createTiered()
+      await storage.set('foo', 'bar', 100)
+
+      storage.onMessage(storage.channel, JSON.stringify({ id: 'another-process' }))
+      assert.equal(storage.l1.get('foo'), 'bar')
+
+      await storage.close()
+    })
+
+    test('should log invalid messages', async (t) => {
+      const { equal } = tspl(t, { plan: 2 })
+
+      const storage = await createTiered({
+        log: {
+          debug: () => {},
+          error: (error) => {
+            equal(error.msg, 'acd/storage/tiered.onMessage invalid message')
+            equal(error.message, 'not-json')
+          }
+        }
+      })
+
+      storage.onMessage(storage.channel, 'not-json')
+
+      await storage.close()
+    })
+
+    test('should use a custom channel', async (t) => {
+      const storage1 = await createTiered({ channel: 'custom' })
+      const storage2 = await createTiered({ channel: 'custom' })
+      const storage3 = await createTiered()
+
+      await storage1.set('foo', 'bar', 100)
+      assert.equal(await storage2.get('foo'), 'bar')
+      assert.equal(await storage3.get('foo'), 'bar')
+
+      await storage1.remove('foo')
+      await sleep(100)
+
+      assert.equal(storage2.l1.get('foo'), undefined)
+      assert.equal(storage3.l1.get('foo'), 'bar')
+
+      await storage1.close()
+      await storage2.close()
+      await storage3.close()
+    })
+  })
+
+  describe('errors', async () => {
+    test('should not throw on publish error', async (t) => {
+      const { equal } = tspl(t, { plan: 2 })
+
+      const storage = await createTiered({
+        log: {
+          debug: () => {},
+          error: (error) => {
+            equal(error.msg, 'acd/storage/tiered.publish error')
+            equal(error.err.message, 'kaboom')
+          }
+        }
+      })
+      storage.store = { publish: async () => { throw new Error('kaboom') } }
+
+      await storage.publish({ keys: ['foo'] })
+
+      await storage.close()
+    })
+
+    test('should not throw on subscribe error', async (t) => {
+      const { equal } = tspl(t, { plan: 1 })
+
+      const subscriber = {
+        on: () => {},
+        removeListener: () => {},
+        subscribe: async () => { throw new Error('kaboom') },
+        unsubscribe: async () => {}
+      }
+      const storage = createStorage('tiered', {
+        client: redisClient,
+        subscriber,
+        log: {
+          debug: () => {},
+          error: (error) => {
+            equal(error.msg, 'acd/storage/tiered.subscribe error')
+          }
+        }
+      })
+
+      await storage.close()
+    })
+
+    test('should not throw on close error and keep a given subscriber open', async (t) => {
+      const { equal } = tspl(t, { plan: 1 })
+
+      const subscriber = {
+        on: () => {},
+        removeListener: () => {},
+        subscribe: async () => {},
+        unsubscribe: async () => { throw new Error('kaboom') },
+        quit: () => { assert.fail('should not quit a given subscriber') }
+      }
+      const storage = createStorage('tiered', {
+        client: redisClient,
+        subscriber,
+        log: {
+          debug: () => {},
+          error: (error) => {
+            equal(error.msg, 'acd/storage/tiered.close error')
+          }
+        }
+      })
+
+      await storage.close()
+    })
+  })
+
+  test('should be used by the cache', async (t) => {
+    const { equal } = tspl(t, { plan: 4 })
+
+    const options = { client: redisClient, invalidation: true }
+    const cache1 = createCache({ ttl: 100, storage: { type: 'tiered', options } })
+    const cache2 = createCache({ ttl: 100, storage: { type: 'tiered', options } })
+
+    let origin = 0
+    const fetchUser = async (id) => {
+      origin++
+      return { id, name: `user-${origin}` }
+    }
+    const references = (args, key, result) => [`user:${result.id}`]
+    cache1.define('fetchUser', { references }, fetchUser)
+    cache2.define('fetchUser', { references }, fetchUser)
+
+    equal((await cache1.fetchUser(1)).name, 'user-1')
+    equal((await cache2.fetchUser(1)).name, 'user-1')
+
+    await cache1.invalidateAll('user:1')
+    await sleep(100)
+
+    equal((await cache2.fetchUser(1)).name, 'user-2')
+    equal((await cache1.fetchUser(1)).name, 'user-2')
+
+    await cache1[kStorage].close()
+    await cache2[kStorage].close()
+  })
+
+  test('should be closed by the cache that created it', async (t) => {
+    const cache = createCache({ ttl: 100 })
+    cache.define('fetchUser', { storage: { type: 'tiered', options: { client: redisClient } } }, async (id) => ({ id }))
+
+    const storage = cache[kStorages].get('fetchUser')
+    await storage.subscription
+    const quit = t.mock.method(storage.subscriber, 'quit')
+    const close = t.mock.method(storage.l1, 'close')
+
+    assert.deepStrictEqual(await cache.fetchUser(1), { id: 1 })
+    await cache.close()
+
+    assert.equal(quit.mock.callCount(), 1)
+    assert.equal(close.mock.callCount(), 1)
+  })
+})
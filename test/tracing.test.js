@@ -0,0 +1,111 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const dc = require('node:diagnostics_channel')
+const { promisify } = require('util')
+const { createCache } = require('../')
+
+const sleep = promisify(setTimeout)
+
+/**
+ * subscribe to the tracing channel for the test
+ * @returns {Array} the events, as [event, context]
+ */
+function subscribe (t, name) {
+  const channel = dc.tracingChannel(`async-cache-dedupe:${name}`)
+  const events = []
+  const handlers = {}
+  for (const event of ['start', 'end', 'asyncStart', 'asyncEnd', 'error']) {
+    handlers[event] = (context) => { events.push([event, { ...context }]) }
+  }
+  channel.subscribe(handlers)
+  t.after(() => channel.unsubscribe(handlers))
+  return events
+}
+
+test('origin calls are published with the result', async (t) => {
+  const events = subscribe(t, 'origin')
+  const cache = createCache({ ttl: 10 })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+
+  assert.deepStrictEqual(events.map(([event]) => event), ['start', 'end', 'asyncStart', 'asyncEnd'])
+  assert.deepStrictEqual(events[0][1], { name: 'fetchSomething', key: '42', args: 42 })
+  assert.deepStrictEqual(events[3][1], { name: 'fetchSomething', key: '42', args: 42, result: { k: 42 } })
+})
+
+test('origin calls are published with the error', async (t) => {
+  const events = subscribe(t, 'origin')
+  const cache = createCache()
+
+  cache.define('fetchSomething', () => {
+    throw new Error('kaboom')
+  })
+
+  await assert.rejects(cache.fetchSomething(42), { message: 'kaboom' })
+
+  assert.deepStrictEqual(events.map(([event]) => event), ['start', 'end', 'error', 'asyncStart', 'asyncEnd'])
+  assert.equal(events[2][1].error.message, 'kaboom')
+})
+
+test('storage get and set are published with the hit', async (t) => {
+  const gets = subscribe(t, 'storage:get')
+  const sets = subscribe(t, 'storage:set')
+  const cache = createCache({ ttl: 10 })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+  await cache.fetchSomething(42)
+
+  const asyncEnds = gets.filter(([event]) => event === 'asyncEnd').map(([, context]) => context)
+  assert.deepStrictEqual(asyncEnds, [
+    { name: 'fetchSomething', key: 'fetchSomething~42', hit: false, result: undefined },
+    { name: 'fetchSomething', key: 'fetchSomething~42', hit: true, result: { k: 42 } }
+  ])
+
+  assert.deepStrictEqual(sets.filter(([event]) => event === 'asyncEnd').map(([, context]) => context), [
+    { name: 'fetchSomething', key: 'fetchSomething~42', ttl: 10, references: undefined, result: undefined }
+  ])
+
+  await cache.set('fetchSomething', 'fetchSomething~43', { k: 43 }, 5)
+  assert.deepStrictEqual(await cache.get('fetchSomething', 'fetchSomething~43'), { k: 43 })
+  assert.equal(sets.at(-1)[1].key, 'fetchSomething~43')
+  assert.equal(gets.at(-1)[1].hit, true)
+})
+
+test('storage invalidations are published', async (t) => {
+  const events = subscribe(t, 'storage:invalidate')
+  const cache = createCache({ ttl: 10, storage: { type: 'memory', options: { invalidation: true } } })
+
+  cache.define('fetchSomething', { references: (args) => [`some:${args}`] }, async (query) => ({ k: query }))
+
+  await cache.fetchSomething(42)
+  await cache.invalidate('fetchSomething', ['some:42'])
+  await cache.invalidateAll('some:43')
+
+  const asyncEnds = events.filter(([event]) => event === 'asyncEnd').map(([, context]) => context)
+  assert.deepStrictEqual(asyncEnds, [
+    { name: 'fetchSomething', references: ['some:42'], result: ['fetchSomething~42'] },
+    { storage: '_default', references: 'some:43', result: [] }
+  ])
+})
+
+test('dedupe joins are published', async (t) => {
+  const events = subscribe(t, 'dedupe')
+  const cache = createCache()
+
+  cache.define('fetchSomething', async (query) => {
+    await sleep(10)
+    return { k: query }
+  })
+
+  await Promise.all([cache.fetchSomething(42), cache.fetchSomething(42), cache.fetchSomething(43)])
+
+  assert.deepStrictEqual(events.map(([event]) => event), ['start', 'end', 'asyncStart', 'asyncEnd'])
+  assert.deepStrictEqual(events[3][1], { name: 'fetchSomething', key: '42', result: { k: 42 } })
+})
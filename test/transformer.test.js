@@ -124,4 +124,24 @@ describe('transformer', async function () {
     assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
     assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42 })
   })
+
+  test('should handle a custom transformer to set and get data', async function (t) {
+    const storage = createStorage()
+    const cache = new Cache({
+      storage,
+      transformer: {
+        serialize: (value) => JSON.stringify(value),
+        deserialize: (value) => JSON.parse(value)
+      }
+    })
+
+    cache.define('fetchSomething', async (query, cacheKey) => {
+      return { k: query }
+    })
+
+    await cache.set('fetchSomething', 'fetchSomething~42', { k: 42 }, 1000)
+
+    assert.equal(storage.get('fetchSomething~42'), '{"k":42}')
+    assert.deepStrictEqual(await cache.get('fetchSomething', 'fetchSomething~42'), { k: 42 })
+  })
 })
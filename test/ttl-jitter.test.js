@@ -0,0 +1,85 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { Cache } = require('../src/cache')
+const createStorage = require('../src/storage')
+
+test('ttlJitter shortens the stored ttl at random', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 100, ttlJitter: 10 })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+
+  t.mock.method(Math, 'random', () => 0.99)
+  await cache.fetchSomething(1)
+  t.mock.method(Math, 'random', () => 0)
+  await cache.fetchSomething(2)
+
+  assert.equal(await storage.getTTL('fetchSomething~1'), 90)
+  assert.equal(await storage.getTTL('fetchSomething~2'), 100)
+})
+
+test('ttlJitter as a percentage', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  cache.define('fetchSomething', { ttl: 200, ttlJitter: '25%' }, async (query) => ({ k: query }))
+
+  t.mock.method(Math, 'random', () => 0.99)
+  await cache.fetchSomething(42)
+
+  assert.equal(await storage.getTTL('fetchSomething~42'), 150)
+})
+
+test('ttlJitter composes with the ttl function', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10, ttlJitter: '50%' })
+
+  cache.define('fetchSomething', { ttl: (result) => result.ttl }, async (query) => ({ ttl: query }))
+
+  t.mock.method(Math, 'random', () => 0.99)
+  await cache.fetchSomething(100)
+  await cache.fetchSomething(0)
+
+  assert.equal(await storage.getTTL('fetchSomething~100'), 50)
+  assert.equal(await storage.get('fetchSomething~0'), undefined)
+})
+
+test('ttlJitter keeps the ttl positive and adds stale after the jitter', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 3, stale: 5, ttlJitter: 10 })
+
+  cache.define('fetchSomething', async (query) => ({ k: query }))
+
+  t.mock.method(Math, 'random', () => 0.99)
+  await cache.fetchSomething(42)
+
+  assert.equal(await storage.getTTL('fetchSomething~42'), 6)
+})
+
+test('ttlJitter is not applied to the errors', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 100, ttlJitter: 50 })
+
+  cache.define('fetchSomething', { errorTtl: 10 }, async () => {
+    throw new Error('kaboom')
+  })
+
+  t.mock.method(Math, 'random', () => 0.99)
+  await assert.rejects(cache.fetchSomething(42))
+
+  assert.equal(await storage.getTTL('fetchSomething~42'), 10)
+})
+
+test('ttlJitter validation', async (t) => {
+  const storage = createStorage()
+  const message = 'ttlJitter must be an integer greater or equal to 0 or a percentage'
+
+  for (const ttlJitter of [-1, 1.5, '10', '150%', 'a%', true]) {
+    assert.throws(() => new Cache({ storage, ttlJitter }), { message })
+    assert.throws(() => new Cache({ storage }).define('f', { ttlJitter }, async () => {}), { message })
+  }
+
+  new Cache({ storage, ttlJitter: 0 }).define('f', { ttlJitter: '12.5%' }, async () => {})
+})
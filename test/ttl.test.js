@@ -1,10 +1,12 @@
 'use strict'
 
 const { test } = require('node:test')
+const assert = require('node:assert')
 const { tspl } = require('@matteo.collina/tspl')
 const { promisify } = require('util')
 const { Cache } = require('../src/cache')
 const createStorage = require('../src/storage')
+const { createCache } = require('../')
 
 const sleep = promisify(setTimeout)
 
@@ -131,3 +133,75 @@ test('ttl as a function', async (t) => {
   await cache.fetchSomething(42)
   equal(callCount, 2)
 })
+
+test('ttl in milliseconds with a ttlMs storage', async (t) => {
+  const { equal, deepStrictEqual } = tspl(t, { plan: 6 })
+
+  const cache = createCache({ ttl: 200, storage: { type: 'memory', options: { ttlMs: true } } })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    return { k: query, calls }
+  })
+
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+  await sleep(250)
+  deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 2 })
+
+  // define with its own storage
+  cache.define('fetchOther', { ttl: 100, storage: { type: 'memory', options: { ttlMs: true } } }, async (query) => {
+    calls++
+    return calls
+  })
+
+  equal(await cache.fetchOther(1), 3)
+  equal(await cache.fetchOther(1), 3)
+  await sleep(150)
+  equal(await cache.fetchOther(1), 4)
+})
+
+test('stale in milliseconds with a ttlMs storage', async (t) => {
+  const cache = createCache({ ttl: 100, stale: 500, storage: { type: 'memory', options: { ttlMs: true } } })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    return { k: query, calls }
+  })
+
+  await cache.fetchSomething(42)
+  await sleep(150)
+
+  // served stale, while refreshing in background
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 1 })
+  await sleep(10)
+  assert.deepStrictEqual(await cache.fetchSomething(42), { k: 42, calls: 2 })
+})
+
+test('earlyRefresh with a ttlMs storage', async (t) => {
+  const cache = createCache({ ttl: 1000, earlyRefresh: true, storage: { type: 'memory', options: { ttlMs: true } } })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    await sleep(20)
+    return { k: query }
+  })
+
+  await cache.fetchSomething(42)
+
+  // -ln(0.5) * 20ms is about 14ms, far from the expiry in milliseconds
+  t.mock.method(Math, 'random', () => 0.5)
+  await cache.fetchSomething(42)
+  await sleep(50)
+  assert.equal(calls, 1)
+
+  // while -ln(0.001) * 20ms is about 140ms, enough to refresh at 100ms from the expiry
+  await sleep(870)
+  t.mock.method(Math, 'random', () => 0.001)
+  await cache.fetchSomething(42)
+  await sleep(50)
+  assert.equal(calls, 2)
+})
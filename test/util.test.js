@@ -2,25 +2,7 @@
 
 const { test } = require('node:test')
 const assert = require('node:assert')
-const { bsearchIndex, randomSubset, wildcardMatch } = require('../src/util')
-
-test('bsearchIndex', async t => {
-  const cases = [
-    { input: [[1, 2, 3, 4, 5], 1], output: 0 },
-    { input: [[1, 2, 3, 4, 5], 2], output: 1 },
-    { input: [[1, 2, 3, 4, 5], 3], output: 2 },
-    { input: [[1, 2, 3, 4, 5], 4], output: 3 },
-    { input: [[1, 2, 3, 4, 5], 5], output: 4 },
-    { input: [[1, 2, 3, 4, 5], 6], output: -1 },
-    { input: [[1, 2, 3, 4], 1], output: 0 },
-    { input: [[1, 2, 3, 4], -1], output: -1 }
-  ]
-
-  for (const case_ of cases) {
-    const result = bsearchIndex(...case_.input)
-    assert.equal(result, case_.output)
-  }
-})
+const { randomSubset, wildcardMatch, serializeError, isSerializedError, deserializeError, serializeEntry, isSerializedEntry, deserializeEntry } = require('../src/util')
 
 test('randomSubset', async t => {
   let cases = [
@@ -71,3 +53,52 @@ test('wildcardMatch', async t => {
     assert.equal(wildcardMatch(case_.value, case_.content), case_.result, `${case_.value} ${case_.content} => ${case_.result}`)
   }
 })
+
+test('serializeError', async t => {
+  const err = new RangeError('out of range', { cause: new Error('origin') })
+  err.code = 'E_RANGE'
+
+  const data = JSON.parse(JSON.stringify(serializeError(err)))
+  assert.ok(isSerializedError(data))
+
+  const result = deserializeError(data)
+  assert.ok(result instanceof RangeError)
+  assert.equal(result.message, 'out of range')
+  assert.equal(result.code, 'E_RANGE')
+  assert.equal(result.stack, err.stack)
+  assert.ok(result.cause instanceof Error)
+  assert.equal(result.cause.message, 'origin')
+})
+
+test('deserializeError with a custom error', async t => {
+  const err = new Error('not found')
+  err.name = 'NotFoundError'
+
+  const result = deserializeError(serializeError(err))
+  assert.ok(result instanceof Error)
+  assert.equal(result.name, 'NotFoundError')
+  assert.equal(result.message, 'not found')
+
+  // not the name of a global that isn't an error
+  err.name = 'constructor'
+  assert.equal(deserializeError(serializeError(err)).name, 'constructor')
+})
+
+test('isSerializedError', async t => {
+  assert.equal(isSerializedError(serializeError(new Error('kaboom'))), true)
+  assert.equal(isSerializedError({ message: 'kaboom' }), false)
+  assert.equal(isSerializedError('kaboom'), false)
+  assert.equal(isSerializedError(null), false)
+  assert.equal(isSerializedError(undefined), false)
+})
+
+test('serializeEntry', async t => {
+  const data = JSON.parse(JSON.stringify(serializeEntry({ k: 42 }, 100)))
+
+  assert.equal(isSerializedEntry(data), true)
+  assert.deepStrictEqual(deserializeEntry(data), { value: { k: 42 }, delta: 100 })
+
+  assert.equal(isSerializedEntry({ k: 42 }), false)
+  assert.equal(isSerializedEntry(serializeError(new Error('kaboom'))), false)
+  assert.equal(isSerializedEntry(null), false)
+})
@@ -0,0 +1,182 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { promisify } = require('util')
+const { Cache } = require('../src/cache')
+const createStorage = require('../src/storage')
+
+const sleep = promisify(setTimeout)
+
+test('warm stores the results of the args', async (t) => {
+  const storage = createStorage('memory', { invalidation: true })
+  const cache = new Cache({ storage, ttl: 10 })
+
+  const calls = []
+  cache.define('fetchSomething', { references: (args, key, result) => [`item:${result.k}`] }, async (query) => {
+    calls.push(query)
+    return { k: query }
+  })
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', [1, 2, 3]), { warmed: 3, failed: 0, skipped: 0, notStored: 0 })
+  assert.deepStrictEqual(calls, [1, 2, 3])
+
+  assert.deepStrictEqual(await cache.fetchSomething(2), { k: 2 })
+  assert.equal(await storage.getTTL('fetchSomething~2'), 10)
+  assert.deepStrictEqual(calls, [1, 2, 3])
+
+  await cache.invalidate('fetchSomething', ['item:2'])
+  assert.equal(storage.get('fetchSomething~2'), undefined)
+})
+
+test('warm skips the args already cached and counts the failures', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+
+  const errors = []
+  cache.define('fetchSomething', { onError: (err) => errors.push(err.message) }, async (query) => {
+    if (query === 'fail') {
+      throw new Error('kaboom')
+    }
+    return { k: query }
+  })
+  await cache.fetchSomething(1)
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', [1, 2, 'fail']), { warmed: 1, failed: 1, skipped: 1, notStored: 0 })
+  assert.deepStrictEqual(errors, ['kaboom'])
+})
+
+test('warm counts the results not stored', async (t) => {
+  const storage = createStorage('memory', { invalidation: true })
+  const cache = new Cache({ storage, ttl: 10, onError: () => {} })
+
+  cache.define('fetchSomething', { ttl: (result) => result.k === 2 ? 0 : 10 }, async (query) => ({ k: query }))
+  cache.define('fetchOther', { references: () => { throw new Error('kaboom') } }, async (query) => ({ k: query }))
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', [1, 2]), { warmed: 1, failed: 0, skipped: 0, notStored: 1 })
+  assert.equal(storage.get('fetchSomething~2'), undefined)
+  assert.deepStrictEqual(await cache.warm('fetchOther', [1]), { warmed: 0, failed: 0, skipped: 0, notStored: 1 })
+})
+
+test('warm the expired, stale and cached errors', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  let fail = true
+  const calls = []
+  const func = async (query) => {
+    calls.push(query)
+    if (fail) {
+      throw new Error('kaboom')
+    }
+    return { k: query }
+  }
+  cache.define('fetchExpired', { staleIfError: 9 }, func)
+  cache.define('fetchStale', { stale: 9 }, func)
+  cache.define('fetchError', { errorTtl: 10 }, func)
+
+  // the remaining ttl is within the staleIfError and the stale windows
+  storage.set('fetchExpired~1', { k: 'old' }, 5)
+  storage.set('fetchStale~1', { k: 'old' }, 5)
+  await assert.rejects(cache.fetchError(1), { message: 'kaboom' })
+  fail = false
+
+  assert.deepStrictEqual(await cache.warm('fetchExpired', [1]), { warmed: 1, failed: 0, skipped: 0, notStored: 0 })
+  assert.deepStrictEqual(await cache.warm('fetchStale', [1]), { warmed: 1, failed: 0, skipped: 0, notStored: 0 })
+  assert.deepStrictEqual(await cache.warm('fetchError', [1]), { warmed: 1, failed: 0, skipped: 0, notStored: 0 })
+  assert.deepStrictEqual(calls, [1, 1, 1, 1])
+  assert.deepStrictEqual(storage.get('fetchExpired~1'), { k: 1 })
+  assert.deepStrictEqual(storage.get('fetchStale~1'), { k: 1 })
+  assert.deepStrictEqual(storage.get('fetchError~1'), { k: 1 })
+
+  assert.deepStrictEqual(await cache.warm('fetchStale', [1]), { warmed: 0, failed: 0, skipped: 1, notStored: 0 })
+  assert.deepStrictEqual(calls, [1, 1, 1, 1])
+})
+
+test('warm the stale entries with stale and staleIfError as functions', async (t) => {
+  const storage = createStorage()
+  const cache = new Cache({ storage, ttl: 10 })
+
+  cache.define('fetchSomething', { stale: () => 2, staleIfError: () => 2 }, async (query) => ({ k: query }))
+
+  storage.set('fetchSomething~1', { k: 'old' }, 4)
+  storage.set('fetchSomething~2', { k: 'old' }, 5)
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', [1, 2]), { warmed: 1, failed: 0, skipped: 1, notStored: 0 })
+  assert.deepStrictEqual(storage.get('fetchSomething~1'), { k: 1 })
+  assert.deepStrictEqual(storage.get('fetchSomething~2'), { k: 'old' })
+})
+
+test('warm counts the failures of serialize', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+
+  cache.define('fetchSomething', { serialize: () => { throw new Error('kaboom') } }, async (query) => query)
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', [1]), { warmed: 0, failed: 1, skipped: 0, notStored: 0 })
+})
+
+test('warm accepts async iterables', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+
+  const calls = []
+  cache.define('fetchSomething', async (query) => {
+    calls.push(query)
+    return { k: query }
+  })
+
+  async function * cursor () {
+    for (let i = 0; i < 3; i++) {
+      await sleep(5)
+      yield { id: i }
+    }
+  }
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', cursor()), { warmed: 3, failed: 0, skipped: 0, notStored: 0 })
+  assert.deepStrictEqual(calls, [{ id: 0 }, { id: 1 }, { id: 2 }])
+  assert.deepStrictEqual(await cache.fetchSomething({ id: 1 }), { k: { id: 1 } })
+  assert.equal(calls.length, 3)
+})
+
+test('warm runs up to concurrency calls at once', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+
+  let running = 0
+  let max = 0
+  cache.define('fetchSomething', async (query) => {
+    running++
+    max = Math.max(max, running)
+    await sleep(20)
+    running--
+    return { k: query }
+  })
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', [1, 2, 3, 4, 5]), { warmed: 5, failed: 0, skipped: 0, notStored: 0 })
+  assert.equal(max, 1)
+
+  max = 0
+  assert.deepStrictEqual(await cache.warm('fetchSomething', new Set([6, 7, 8, 9, 10]), { concurrency: 3 }), { warmed: 5, failed: 0, skipped: 0, notStored: 0 })
+  assert.equal(max, 3)
+})
+
+test('warm dedupes the same args', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+
+  let calls = 0
+  cache.define('fetchSomething', async (query) => {
+    calls++
+    await sleep(10)
+    return { k: query }
+  })
+
+  assert.deepStrictEqual(await cache.warm('fetchSomething', [1, 1], { concurrency: 2 }), { warmed: 2, failed: 0, skipped: 0, notStored: 0 })
+  assert.equal(calls, 1)
+})
+
+test('warm validation', async (t) => {
+  const cache = new Cache({ storage: createStorage(), ttl: 10 })
+  cache.define('fetchSomething', async (query) => query)
+
+  await assert.rejects(cache.warm('fetchOther', []), { message: 'fetchOther is not defined in the cache' })
+  await assert.rejects(cache.warm('fetchSomething'), { message: 'args must be an iterable or an async iterable' })
+  await assert.rejects(cache.warm('fetchSomething', 42), { message: 'args must be an iterable or an async iterable' })
+  await assert.rejects(cache.warm('fetchSomething', [], { concurrency: 0 }), { message: 'concurrency must be a positive integer greater than 0' })
+})